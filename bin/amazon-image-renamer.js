@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// ---------------- Headless renamer ----------------
+// Same naming as the app (src/core), for scripts and build boxes:
+//   amazon-image-renamer --product "Nose Kit" --date 202511 --diff v2 ./shoot --zip out.zip
+import { realpathSync } from "node:fs";
+import { copyFile, mkdir, readdir, readFile, stat, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_NAMING,
+  IMAGE_EXT_RE,
+  blockerMessage,
+  buildZip,
+  exportBlockers,
+  namedSlots,
+  naturalCompare,
+  templateIssues,
+} from "../src/core/index.js";
+
+const USAGE = `Usage: amazon-image-renamer [options] <dir | files...>
+
+Renames images to Amazon slot names (MAIN, PT01, PT02…) in the order given.
+A directory contributes its images in natural filename order.
+
+Options:
+  --product <name>     Product name
+  --date <YYYYMM>      Date field
+  --diff <text>        Differentiator
+  --sku <sku>          SKU, for templates using {sku}
+  --asin <asin>        ASIN, for templates using {asin}
+  --template <tpl>     Filename template (default "${DEFAULT_NAMING.template}")
+  --dedupe             Add _2, _3… to names that would collide instead of failing
+  --out <dir>          Copy renamed files into this directory
+  --zip <file>         Write renamed files into this ZIP instead
+  --dry-run            Print the mapping and any problems as JSON, write nothing
+  -h, --help           Show this help
+
+Nothing is written while a field or filename is invalid (e.g. a date that is
+not YYYYMM, or two images that would get the same name).`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  product: { type: "string", default: "" },
+  date: { type: "string", default: "" },
+  diff: { type: "string", default: "" },
+  sku: { type: "string", default: "" },
+  asin: { type: "string", default: "" },
+  template: { type: "string" },
+  out: { type: "string" },
+  zip: { type: "string" },
+  dedupe: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Positionals in order; directories expand to their images, sorted naturally
+async function collectInputs(paths) {
+  const files = [];
+  for (const p of paths) {
+    const info = await stat(p).catch(() => null);
+    if (!info) throw new UsageError(`No such file or directory: ${p}`);
+    if (info.isDirectory()) {
+      const names = (await readdir(p, { withFileTypes: true }))
+        .filter((d) => d.isFile() && !d.name.startsWith(".") && IMAGE_EXT_RE.test(d.name))
+        .map((d) => d.name)
+        .sort(naturalCompare);
+      files.push(...names.map((name) => join(p, name)));
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+export async function main(argv = process.argv.slice(2), { stdout = process.stdout } = {}) {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (!positionals.length) throw new UsageError("No input files or directory given.");
+  if (!values["dry-run"] && !values.out && !values.zip) throw new UsageError("Pass --out <dir>, --zip <file> or --dry-run.");
+  if (values.out && values.zip) throw new UsageError("Use either --out or --zip, not both.");
+
+  // Nobody can answer a prompt here, so duplicates either fail or get suffixed
+  const naming = { ...DEFAULT_NAMING, ...(values.template ? { template: values.template } : {}), duplicates: values.dedupe ? "auto" : "block" };
+  const unknown = templateIssues(naming);
+  if (unknown.length) throw new UsageError(`Unknown template token(s): ${unknown.map((t) => `{${t}}`).join(", ")}`);
+
+  const sources = await collectInputs(positionals);
+  if (!sources.length) throw new UsageError("No images found in the input.");
+  // The templates only read the name ({origName}, {ext}); the bytes are needed for --zip
+  // alone, as --out copies the files on disk
+  const items = await Promise.all(sources.map(async (source, i) => ({
+    id: String(i),
+    source,
+    file: values.zip ? new File([await readFile(source)], basename(source)) : { name: basename(source) },
+  })));
+  const product = { product: values.product, date: values.date, diff: values.diff, sku: values.sku, asin: values.asin, files: items };
+
+  const mapping = namedSlots(product, naming).map((slot) => ({ source: slot.item.source, type: slot.type, name: slot.name }));
+  const problems = exportBlockers([product], naming).map(blockerMessage);
+  if (values["dry-run"]) {
+    stdout.write(`${JSON.stringify({ product: values.product, date: values.date, diff: values.diff, files: mapping, problems }, null, 2)}\n`);
+    return;
+  }
+  if (problems.length) throw new UsageError(`Nothing written:\n  ${problems.join("\n  ")}`);
+
+  if (values.zip) {
+    const { zip } = await buildZip([product], { naming, folders: false });
+    await writeFile(values.zip, await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" }));
+    stdout.write(`Wrote ${mapping.length} images to ${values.zip}\n`);
+  } else {
+    await mkdir(values.out, { recursive: true });
+    await Promise.all(mapping.map((m) => copyFile(m.source, join(values.out, m.name))));
+    stdout.write(`Copied ${mapping.length} images to ${values.out}\n`);
+  }
+}
+
+// Run only when executed directly (npm links bins through a symlink), not when imported by tests
+const isEntry = () => {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch (_) {
+    return false;
+  }
+};
+
+if (isEntry()) {
+  main().catch((e) => {
+    if (e instanceof UsageError) process.stderr.write(`amazon-image-renamer: ${e.message}\nRun with --help for usage.\n`);
+    else process.stderr.write(`amazon-image-renamer: ${e.stack || e.message}\n`);
+    process.exitCode = 1;
+  });
+}
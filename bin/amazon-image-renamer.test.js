@@ -0,0 +1,77 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import JSZip from "jszip";
+import { main } from "./amazon-image-renamer.js";
+
+let dir;
+const sink = () => {
+  const out = { text: "", write: (s) => { out.text += s; } };
+  return out;
+};
+const run = async (args) => {
+  const stdout = sink();
+  await main(args, { stdout });
+  return { stdout: stdout.text };
+};
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), "renamer-"));
+  await Promise.all(["img_10.jpg", "img_2.PNG", "img_1.jpg", "notes.txt", ".hidden.jpg"].map((name) => writeFile(join(dir, name), name)));
+});
+afterAll(() => rm(dir, { recursive: true, force: true }));
+
+describe("amazon-image-renamer", () => {
+  it("prints the mapping for a directory in natural order", async () => {
+    const { stdout } = await run(["--product", "Nose Kit", "--date", "202511", "--diff", "v2", "--dry-run", dir]);
+    const plan = JSON.parse(stdout);
+    expect(plan.problems).toEqual([]);
+    expect(plan.files.map((f) => [f.source.slice(dir.length + 1), f.type, f.name])).toEqual([
+      ["img_1.jpg", "MAIN", "NOSE_KIT_202511_V2_MAIN.jpg"],
+      ["img_2.PNG", "PT01", "NOSE_KIT_202511_V2_PT01.png"],
+      ["img_10.jpg", "PT02", "NOSE_KIT_202511_V2_PT02.jpg"],
+    ]);
+  });
+
+  it("keeps the order of explicit files", async () => {
+    const { stdout } = await run(["--product", "Kit", "--dry-run", join(dir, "img_10.jpg"), join(dir, "img_1.jpg")]);
+    expect(JSON.parse(stdout).files.map((f) => f.name)).toEqual(["KIT_MAIN.jpg", "KIT_PT01.jpg"]);
+  });
+
+  it("copies renamed files into --out", async () => {
+    const out = join(dir, "out");
+    await run(["--product", "Kit", "--date", "202511", "--out", out, join(dir, "img_1.jpg"), join(dir, "img_2.PNG")]);
+    expect((await readdir(out)).sort()).toEqual(["KIT_202511_MAIN.jpg", "KIT_202511_PT01.png"]);
+    expect(await readFile(join(out, "KIT_202511_MAIN.jpg"), "utf8")).toBe("img_1.jpg");
+  });
+
+  it("writes a --zip archive", async () => {
+    const target = join(dir, "out.zip");
+    await run(["--product", "Kit", "--date", "202511", "--zip", target, join(dir, "img_1.jpg")]);
+    const zip = await JSZip.loadAsync(await readFile(target));
+    expect(Object.keys(zip.files)).toEqual(["KIT_202511_MAIN.jpg"]);
+  });
+
+  it("lists problems on a dry run and refuses to write", async () => {
+    const { stdout } = await run(["--product", "Kit", "--date", "2025-11", "--dry-run", dir]);
+    expect(JSON.parse(stdout).problems).toEqual(["Date: Use YYYYMM, e.g. 202511"]);
+    await expect(run(["--product", "Kit", "--date", "2025-11", "--out", join(dir, "bad"), dir])).rejects.toThrow(/YYYYMM/);
+    await expect(readdir(join(dir, "bad"))).rejects.toThrow();
+  });
+
+  it("refuses names that would overwrite each other", async () => {
+    await expect(run(["--template", "{product}.{ext}", "--product", "Kit", "--zip", join(dir, "x.zip"), dir])).rejects.toThrow(/overwrite/);
+  });
+
+  it("suffixes collisions with --dedupe", async () => {
+    const { stdout } = await run(["--template", "{product}.{ext}", "--product", "Kit", "--dedupe", "--dry-run", dir]);
+    expect(JSON.parse(stdout).files.map((f) => f.name)).toEqual(["KIT.jpg", "KIT.png", "KIT_2.jpg"]);
+  });
+
+  it("requires an output unless dry-running", async () => {
+    await expect(run([dir])).rejects.toThrow(/--out/);
+    await expect(run(["--dry-run"])).rejects.toThrow(/No input/);
+    await expect(run(["--template", "{prodcut}", "--dry-run", dir])).rejects.toThrow(/prodcut/);
+  });
+});
@@ -1,6 +1,84 @@
-import React, { useRef, useState, useEffect, useMemo } from "react";
-import JSZip from "jszip";
+import React, { useRef, useState, useEffect, useMemo, useCallback } from "react";
 import saveAs from "file-saver";
+import { analyzeImage, checkCompliance, detectFormat, summarizeCompliance } from "./compliance";
+import ProductSidebar from "./components/ProductSidebar";
+import ProductTable from "./components/ProductTable";
+import ManifestImport from "./components/ManifestImport";
+import NamingTemplateEditor from "./components/NamingTemplateEditor";
+import SlotTypeSelect from "./components/SlotTypeSelect";
+import SlotNameField from "./components/SlotNameField";
+import ProcessingPanel from "./components/ProcessingPanel";
+import MetadataPanel from "./components/MetadataPanel";
+import MetadataInspector from "./components/MetadataInspector";
+import ImageEditor from "./components/ImageEditor";
+import ListingCompare from "./components/ListingCompare";
+import ExportProgress from "./components/ExportProgress";
+import SessionPanel from "./components/SessionPanel";
+import ProfilePanel from "./components/ProfilePanel";
+import FieldRulesPanel from "./components/FieldRulesPanel";
+import { AUTOSAVE_ID, loadProfiles, loadSession, restoreSettings, saveProfiles, saveSession } from "./sessions";
+import useHistory from "./useHistory";
+import { collectDropped, fromFileList, groupByFolder, isExternalDrag, isImageFile, sortIngest } from "./ingest";
+import { arrangeItems } from "./arrange";
+import { fetchLiveImages, liveFromImages, parseUrlList } from "./liveListing";
+import { DEFAULT_PROCESSING, THUMBNAIL, UPRIGHT_ONLY, outputPlan, processedExtension } from "./imageProcessing";
+import { processInBackground } from "./processingClient";
+import { exportZip, openZipSink } from "./zipExport";
+import { DEFAULT_FOLDER_EXPORT, folderExportSupported, pickFolder, saveToFolder } from "./folderExport";
+import {
+  CATEGORY_PRESETS,
+  CONFLICT_POLICIES,
+  DEFAULT_CATEGORY,
+  DEFAULT_METADATA,
+  DEFAULT_NAMING,
+  MANIFEST_FORMATS,
+  MAX_SLOTS,
+  MIN_SLOTS,
+  applyMetadata,
+  batchZipFileName,
+  blockerMessage,
+  buildFilename,
+  getExt,
+  duplicateTypes,
+  exportBlockers,
+  exportTargets,
+  fieldErrors,
+  isYearMonth,
+  manifestEntries,
+  manifestFiles,
+  manifestTsv,
+  namedSlots,
+  productSlots,
+  readMetadata,
+  renderOutputs,
+  replaceExt,
+  stripExt,
+  templateFilename,
+  resolveSlotTypes,
+  moveItem,
+  changedTypes,
+  diffListing,
+  describeEdit,
+  isEdited,
+  insertItems,
+  roomAt,
+  compareImages,
+  findDuplicates,
+  stepIndex,
+  validateProduct,
+  zipFileName,
+  applyProfile,
+  createProfile,
+  exportProfiles,
+  fillFields,
+  mergeProfiles,
+  parseProfiles,
+  profileModified,
+  DEFAULT_FIELD_RULES,
+  deriveFields,
+  typedFields,
+  withTypedFields,
+} from "./core";
 
 // ---------------- Utility helpers ----------------
 // Robust download helper (FileSaver fallback if unavailable)
@@ -45,66 +123,280 @@ function triggerDownloadSync(blobOrFile, filename) {
   }
 }
 
-// Map a position (0-based among FILLED tiles) to Amazon type
-const imageTypeForIndex = (i) => (i === 0 ? "MAIN" : `PT${String(i).padStart(2, "0")}`);
-// Sanitize strings for filenames
-const normalize = (s) => (s || "").trim().toUpperCase().replace(/\s+/g, "_").replace(/[^A-Z0-9_]/g, "_");
-// Safe extension extractor
-const getExt = (name) => {
-  const m = /.([^.]+)$/.exec(name || "");
-  return (m ? m[1] : "jpg").toLowerCase();
+// ---------------- Batch workspace ----------------
+const SLOT_COUNT = CATEGORY_PRESETS[0].slotCount;
+const emptySlots = (count = SLOT_COUNT) => Array(count).fill(null);
+const CONFLICT_LABELS = { rename: "Rename (_2, _3…)", skip: "Skip", overwrite: "Overwrite" };
+// A product owns its naming fields and its own slot grid; files.length is its slot count
+const createProduct = (fields = {}) => ({
+  id: crypto.randomUUID(),
+  product: "",
+  sku: "",
+  asin: "",
+  date: "",
+  diff: "",
+  category: DEFAULT_CATEGORY,
+  files: emptySlots(CATEGORY_PRESETS.find((c) => c.id === fields.category)?.slotCount),
+  derived: {}, // {field: "where from"} for fields the field rules filled in
+  ...fields,
+});
+// Re-derive every product's open fields; the same workspace when nothing changes
+const deriveAll = (ws) => {
+  const products = ws.products.map((p) => deriveFields(p, ws.fieldRules));
+  return products.every((p, i) => p === ws.products[i]) ? ws : { ...ws, products };
 };
 
-// Dev-time sanity checks (lightweight "tests")
-function runDevTestsOnce() {
-  if (typeof window === "undefined") return;
-  if (window.__RENAMER_TESTS__) return;
-  window.__RENAMER_TESTS__ = true;
-  try {
-    console.assert(imageTypeForIndex(0) === "MAIN", "index 0 → MAIN");
-    console.assert(imageTypeForIndex(1) === "PT01", "index 1 → PT01");
-    console.assert(imageTypeForIndex(2) === "PT02", "index 2 → PT02");
-    console.assert(imageTypeForIndex(9) === "PT09", "index 9 → PT09");
-    console.assert(imageTypeForIndex(10) === "PT10", "index 10 → PT10");
-    console.assert(normalize("Tw Nose Kit!") === "TW_NOSE_KIT_", "normalize strips specials");
-    console.assert(normalize("women refresh") === "WOMEN_REFRESH", "normalize underscores spaces");
-    console.assert(normalize("") === "", "normalize empty stays empty");
-    console.assert(getExt("photo.JPG") === "jpg", "getExt handles JPG");
-    console.assert(getExt("asset.png") === "png", "getExt handles png");
-    console.assert(getExt("") === "jpg", "getExt fallback");
-    console.assert(/^[0-9]{6}$/.test("202511"), "YYYYMM passes");
-    console.assert(!/^[0-9]{6}$/.test("2025-11"), "YYYYMM rejects hyphen");
-    console.assert(typeof triggerDownload === 'function', 'triggerDownload present');
-    console.assert(typeof triggerDownloadSync === 'function', 'triggerDownloadSync present');
-  } catch (e) {
-    // ignore test failures in production
-  }
-}
-
 export default function ImageRenamerApp() {
-  runDevTestsOnce();
-
-  // fixed 10 slots; each slot is either null or {id, file, url, error}
-  const [files, setFiles] = useState(Array(10).fill(null));
-  const [product, setProduct] = useState("TW-NOSEKIT");
-  const [date, setDate] = useState("202511");
-  const [diff, setDiff] = useState("WOMENREFRESH");
+  // Each product has its own slots; each slot is either null or {id, file, url, error, typeOverride?}.
+  // Every workspace change goes through the undo history.
+  const {
+    state: workspace,
+    set: setWorkspace,
+    undo,
+    redo,
+    reset: resetWorkspace,
+    canUndo,
+    canRedo,
+  } = useHistory(() => {
+    // Field defaults come from the default naming profile once profiles are loaded
+    const first = deriveFields(createProduct(), DEFAULT_FIELD_RULES);
+    return { products: [first], activeId: first.id, naming: DEFAULT_NAMING, processing: DEFAULT_PROCESSING, metadata: DEFAULT_METADATA, manifest: MANIFEST_FORMATS, compression: "store", folderExport: DEFAULT_FOLDER_EXPORT, reorder: "swap", skipDuplicates: false, liveProxy: "", profileId: null, fieldRules: DEFAULT_FIELD_RULES };
+  });
   const [busy, setBusy] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [copyMode, setCopyMode] = useState("names"); // "names" | "manifest" (TSV)
   const [pendingLinks, setPendingLinks] = useState([]); // [{name, url}]
   const [status, setStatus] = useState("");
+  const [analyses, setAnalyses] = useState({}); // {[item.id]: analyzeImage result}
+  const analysisJobs = useRef(new Map()); // item.id → promise of its analysis, running or done
+  const [session, setSession] = useState(null); // {id, name} of the open named session
+  const [ingestReport, setIngestReport] = useState(null); // {added, skipped: [{name, reason}]}
+  const [inspecting, setInspecting] = useState(null); // slot item shown in the metadata inspector
+  const [editing, setEditing] = useState(null); // slot index open in the crop/rotate editor
+  const [live, setLive] = useState({}); // {[productId]: {items, skipped, changedOnly}} live listing images to compare against
+  const [profileStore, setProfileStore] = useState({ profiles: [], defaultId: null }); // naming profiles, shared by all sessions
+  const closeEditor = useCallback(() => setEditing(null), []);
+  const [exportJob, setExportJob] = useState(null); // progress of the running/last ZIP export
+  const exportAbort = useRef(null); // AbortController of the running ZIP export
+  const closeInspector = useCallback(() => setInspecting(null), []);
+  const restored = useRef(false); // autosave stays off until the last workspace is restored
   const inputRef = useRef(null);
-  const dragIndex = useRef(null);
+  const folderInputRef = useRef(null);
+  const gridRef = useRef(null);
+  const [grab, setGrab] = useState(null); // keyboard pick-up: {from, over}
+  const [pointerDrag, setPointerDrag] = useState(null); // pointer drag in progress: {from, over}
+  const pointerStart = useRef(null); // {from, x, y, id, dragging} from pointerdown
+  const suppressClick = useRef(false); // swallow the click that ends a pointer drag
+  const [announcement, setAnnouncement] = useState(""); // screen-reader live region
+  const [externalDrag, setExternalDrag] = useState(false); // files/images from outside are over the page
+  const [fileDrop, setFileDrop] = useState(null); // tile under an external drag: {index, mode: "replace" | "insert"}
+  const pageDrop = useRef(null); // latest onDropFiles for the window listener
 
-  const filled = useMemo(() => files.filter(Boolean), [files]);
-  const normalizedProduct = useMemo(() => normalize(product), [product]);
-  const normalizedDiff = useMemo(() => normalize(diff), [diff]);
+  const { products, activeId, naming, processing, metadata, manifest, compression, folderExport, reorder, skipDuplicates, liveProxy, profileId, fieldRules } = workspace;
+  const active = products.find((p) => p.id === activeId) || products[0];
+  const { files, product, date, diff } = active;
 
-  const buildFilename = (index, item) => {
-    const type = imageTypeForIndex(index);
-    const ext = getExt(item?.file?.name);
-    return `${normalizedProduct}_${date}_${normalizedDiff}_${type}.${ext}`;
+  // Typing into a field coalesces into a single undo step per field; typed values
+  // replace derived ones
+  const updateProduct = (id, patch) => {
+    setWorkspace((ws) => ({
+      ...ws,
+      products: ws.products.map((p) => (p.id === id ? withTypedFields(p, patch) : p)),
+    }), { coalesce: `product:${id}:${Object.keys(patch).join(",")}` });
+  };
+  // Slot updates are addressed by product id so async ingestion lands in the right grid.
+  // Fields derived from the images follow the new slots.
+  const setProductFiles = (id, updater, options) => {
+    setWorkspace((ws) => ({
+      ...ws,
+      products: ws.products.map((p) => (p.id === id ? deriveFields({ ...p, files: updater(p.files) }, ws.fieldRules) : p)),
+    }), options);
+  };
+  const setFiles = (updater, options) => setProductFiles(active.id, updater, options);
+  const setProduct = (value) => updateProduct(active.id, { product: value });
+  const setDate = (value) => updateProduct(active.id, { date: value });
+  const setDiff = (value) => updateProduct(active.id, { diff: value });
+  // Unlocked, the date follows the current month; locking keeps the value it has
+  const toggleDateLock = () => {
+    setWorkspace((ws) => ({
+      ...ws,
+      products: ws.products.map((p) => {
+        if (p.id !== active.id) return p;
+        return "date" in p.derived ? withTypedFields(p, { date: p.date }) : deriveFields(withTypedFields(p, { date: "" }), ws.fieldRules);
+      }),
+    }));
   };
+  const updateFieldRules = (patch) =>
+    setWorkspace((ws) => deriveAll({ ...ws, fieldRules: { ...ws.fieldRules, ...patch } }), { coalesce: `fieldRules:${Object.keys(patch).join(",")}` });
+
+  // New products start from the profile's fields and inherit the typed date/diff of `from`,
+  // which are usually shared across a launch; the field rules fill in the rest
+  const newProduct = (fields = {}, from = active) => {
+    const shared = Object.fromEntries(["date", "diff"].filter((k) => from?.[k] && !(k in (from.derived || {}))).map((k) => [k, from[k]]));
+    return deriveFields(createProduct({ ...currentProfile?.fields, ...shared, ...fields }), fieldRules);
+  };
+
+  const addProduct = () => {
+    const next = newProduct();
+    setWorkspace((ws) => ({ ...ws, products: [...ws.products, next], activeId: next.id }));
+  };
+  const removeProduct = (id) => {
+    const target = products.find((p) => p.id === id);
+    if (target?.files.some(Boolean) && !confirm(`Remove "${target.product || "Untitled"}" and its images?`)) return;
+    setWorkspace((ws) => {
+      const rest = ws.products.filter((p) => p.id !== id);
+      const remaining = rest.length ? rest : [newProduct({}, target)];
+      const nextActive = remaining.some((p) => p.id === ws.activeId) ? ws.activeId : remaining[0].id;
+      return { ...ws, products: remaining, activeId: nextActive };
+    });
+  };
+  // Grow or shrink a product's grid; dropping filled slots needs confirmation
+  const setSlotCount = (id, count) => {
+    const target = products.find((p) => p.id === id);
+    const n = Math.min(MAX_SLOTS, Math.max(MIN_SLOTS, Math.round(Number(count)) || SLOT_COUNT));
+    if (!target || n === target.files.length) return;
+    const dropped = target.files.slice(n).filter(Boolean).length;
+    if (dropped && !confirm(`Reducing to ${n} slots removes ${dropped} image${dropped > 1 ? "s" : ""}. Continue?`)) return;
+    setProductFiles(id, (prev) => (n < prev.length ? prev.slice(0, n) : [...prev, ...emptySlots(n - prev.length)]));
+  };
+  const setCategory = (id, category) => {
+    const preset = CATEGORY_PRESETS.find((c) => c.id === category);
+    updateProduct(id, { category });
+    if (preset) setSlotCount(id, preset.slotCount);
+  };
+  // Pin a slot to a type code ("" returns it to position-based mapping)
+  const setSlotType = (index, code) => {
+    setFiles((prev) => prev.map((item, i) => (i === index && item ? { ...item, typeOverride: code || undefined } : item)));
+  };
+  // Per-slot filename (without extension); null goes back to the template name.
+  // `locked` marks a frozen copy of the generated name rather than a typed one.
+  const setSlotName = (index, name, locked = false) => {
+    setFiles(
+      (prev) => prev.map((item, i) => (i === index && item ? { ...item, nameOverride: name ?? undefined, nameLocked: name != null && locked ? true : undefined } : item)),
+      { coalesce: `name:${active.id}:${index}` }
+    );
+  };
+
+  // Switching products is navigation, not an edit
+  const selectProduct = (id) => setWorkspace((ws) => ({ ...ws, activeId: id }), { record: false });
+  const updateNaming = (patch) =>
+    setWorkspace((ws) => ({ ...ws, naming: { ...ws.naming, ...patch } }), { coalesce: `naming:${Object.keys(patch).join(",")}` });
+  const updateProcessing = (patch) =>
+    setWorkspace((ws) => ({ ...ws, processing: { ...ws.processing, ...patch } }), { coalesce: `processing:${Object.keys(patch).join(",")}` });
+  // Manifest formats written into export ZIPs ([] for none)
+  const setManifest = (formats) => setWorkspace((ws) => ({ ...ws, manifest: formats }));
+  // "store" is fastest and images barely shrink; "deflate" helps for PNG/TIFF
+  const setCompression = (value) => setWorkspace((ws) => ({ ...ws, compression: value }));
+  const updateFolderExport = (patch) => setWorkspace((ws) => ({ ...ws, folderExport: { ...ws.folderExport, ...patch } }));
+  const setReorder = (value) => setWorkspace((ws) => ({ ...ws, reorder: value }));
+  const setSkipDuplicates = (value) => setWorkspace((ws) => ({ ...ws, skipDuplicates: value }));
+  const setLiveProxy = (value) => setWorkspace((ws) => ({ ...ws, liveProxy: value }), { coalesce: "liveProxy" });
+  const updateMetadata = (patch) =>
+    setWorkspace((ws) => ({ ...ws, metadata: { ...ws.metadata, ...patch } }), { coalesce: `metadata:${Object.keys(patch).join(",")}` });
+
+  // ---------------- Naming profiles ----------------
+  const currentProfile = profileStore.profiles.find((p) => p.id === profileId) || null;
+  const profileChanged = useMemo(
+    () => !!currentProfile && profileModified(currentProfile, { naming, processing, fieldRules }),
+    [currentProfile, naming, processing, fieldRules]
+  );
+  // Profile settings over the defaults; the active product's empty or derived fields take
+  // its values and the rest are derived with its field rules
+  const withProfile = (ws, profile) => {
+    const settings = applyProfile(profile, { naming: DEFAULT_NAMING, processing: DEFAULT_PROCESSING, fieldRules: DEFAULT_FIELD_RULES });
+    return deriveAll({
+      ...ws,
+      ...settings,
+      profileId: profile.id,
+      products: ws.products.map((p) => (p.id === ws.activeId ? withTypedFields(p, fillFields(p, profile)) : p)),
+    });
+  };
+  const storeProfiles = async (next) => {
+    await saveProfiles(next);
+    setProfileStore(next);
+  };
+  const selectProfile = (id) => {
+    const profile = profileStore.profiles.find((p) => p.id === id);
+    setWorkspace((ws) => (profile ? withProfile(ws, profile) : { ...ws, profileId: null }));
+  };
+  // A new profile from the current settings and active product fields; an existing name is replaced
+  const saveProfileAs = async (name) => {
+    const profiles = mergeProfiles(profileStore.profiles, [createProfile(name, { naming, processing, fieldRules, fields: typedFields(active) })]);
+    await storeProfiles({ ...profileStore, profiles });
+    const saved = profiles.find((p) => p.name.toLowerCase() === name.trim().toLowerCase());
+    setWorkspace((ws) => ({ ...ws, profileId: saved.id }), { record: false });
+  };
+  const updateProfile = async () => {
+    if (!currentProfile) return;
+    const next = createProfile(currentProfile.name, { naming, processing, fieldRules, fields: typedFields(active) }, currentProfile.id);
+    await storeProfiles({ ...profileStore, profiles: profileStore.profiles.map((p) => (p.id === next.id ? next : p)) });
+  };
+  const deleteProfile = async (id) => {
+    await storeProfiles({
+      profiles: profileStore.profiles.filter((p) => p.id !== id),
+      defaultId: profileStore.defaultId === id ? null : profileStore.defaultId,
+    });
+    if (profileId === id) setWorkspace((ws) => ({ ...ws, profileId: null }), { record: false });
+  };
+  const setDefaultProfile = (id) => storeProfiles({ ...profileStore, defaultId: id });
+  const exportProfilesFile = () =>
+    triggerDownload(new Blob([exportProfiles(profileStore.profiles, profileStore.defaultId)], { type: "application/json" }), "naming-profiles.json");
+  // Merges a shared profiles file by name and adopts its default; resolves to the number read
+  const importProfilesFile = async (file) => {
+    const { profiles: incoming, defaultName } = parseProfiles(await file.text());
+    const profiles = mergeProfiles(profileStore.profiles, incoming);
+    const imported = defaultName && profiles.find((p) => p.name.toLowerCase() === defaultName.toLowerCase());
+    await storeProfiles({ profiles, defaultId: imported?.id || profileStore.defaultId });
+    return incoming.length;
+  };
+
+  const filled = useMemo(() => files.filter(Boolean), [files]);
+  const activeSlots = useMemo(() => productSlots(active), [active]);
+  const slotTypes = useMemo(() => resolveSlotTypes(files), [files]);
+  // Slot index -> closest exact or near-duplicate among the other slots
+  const duplicates = useMemo(() => findDuplicates(files.map((item) => (item ? analyses[item.id] : null))), [files, analyses]);
+  const typeClashes = useMemo(() => duplicateTypes(slotTypes), [slotTypes]);
+  // Extension after export processing (null keeps the original)
+  // Edited slots are re-encoded even with processing off (keeping the format where it can)
+  const outputExt = (item) => processedExtension(processing.enabled || !isEdited(item.edit) ? processing : UPRIGHT_ONLY, item.file);
+  // Field errors, final names and their problems for the active product; export stays
+  // disabled until the active product (or, for "Export all", every product) is clean
+  const validation = useMemo(() => validateProduct(active, naming, outputExt), [active, naming, processing]);
+  const activeBlockers = useMemo(() => exportBlockers([active], naming, outputExt), [active, naming, processing]);
+  const batchBlockers = useMemo(
+    () => exportBlockers(products.filter((p) => p.files.some(Boolean)), naming, outputExt),
+    [products, naming, processing]
+  );
+  // Template name (no extension) per slot index, shown on tiles without an override
+  const generatedStems = useMemo(() => {
+    const byIndex = {};
+    activeSlots.forEach((s) => {
+      byIndex[s.slot] = stripExt(templateFilename(active, { ...s, ext: outputExt(s.item) || undefined }, naming));
+    });
+    return byIndex;
+  }, [activeSlots, active, naming, processing]);
+  const fieldErrorsById = useMemo(
+    () => Object.fromEntries(products.map((p) => [p.id, fieldErrors(p, naming)])),
+    [products, naming]
+  );
+  // Compliance per filled slot across all products; MAIN rules apply to the slot typed MAIN
+  const compliance = useMemo(() => {
+    const byId = {};
+    products.forEach((p) => {
+      productSlots(p).forEach(({ item, type }) => {
+        const plan = processing.enabled && outputPlan(processing, item.file, type);
+        const output = plan
+          ? { format: detectFormat({ type: plan.mime }), maxBytes: processing.maxMB * 1024 * 1024, size: processing.size, upscale: processing.upscale, pad: plan.pad, flatten: plan.flatten }
+          : null;
+        byId[item.id] = checkCompliance(item.file, analyses[item.id], { isMain: type === "MAIN", output });
+      });
+    });
+    return byId;
+  }, [products, analyses, processing]);
+  const complianceSummary = useMemo(
+    () => summarizeCompliance(filled.map((item) => compliance[item.id])),
+    [filled, compliance]
+  );
 
   // Cleanup object/data URLs and pending links on unmount/update
   useEffect(() => () => {
@@ -118,42 +410,300 @@ export default function ImageRenamerApp() {
     } catch(_) {}
   }, [files, pendingLinks]);
 
+  // ---------------- Persistence ----------------
+  // Rebuild previews from stored blobs and swap the workspace in
+  const restoreWorkspace = async (saved) => {
+    const restoredProducts = await Promise.all(
+      (saved.products || []).map(async (p) => ({
+        ...createProduct(),
+        ...p,
+        files: await Promise.all(
+          p.files.map(async (item) => (item?.file ? { ...item, ...(await fileToPreview(item.file, item.edit)), id: item.id } : null))
+        ),
+      }))
+    );
+    restoredProducts.forEach((p) => p.files.forEach((item) => item && startAnalysis(item)));
+    const list = restoredProducts.length ? restoredProducts : [createProduct()];
+    // An unlocked date moves on to the current month
+    resetWorkspace(deriveAll({
+      products: list,
+      activeId: list.some((p) => p.id === saved.activeId) ? saved.activeId : list[0].id,
+      ...restoreSettings(saved),
+    }));
+  };
+
+  useEffect(() => {
+    const profilesLoaded = loadProfiles()
+      .then((stored) => {
+        setProfileStore(stored);
+        return stored;
+      })
+      .catch((e) => {
+        console.warn("Naming profiles unavailable", e);
+        return null;
+      });
+    loadSession(AUTOSAVE_ID)
+      .then(async (record) => {
+        if (restored.current) return;
+        if (!record) {
+          // A fresh workspace starts from the default profile
+          const stored = await profilesLoaded;
+          const profile = stored?.profiles.find((p) => p.id === stored.defaultId);
+          if (profile) setWorkspace((ws) => withProfile(ws, profile), { record: false });
+          return;
+        }
+        await restoreWorkspace(record.workspace);
+        if (record.sessionId) setSession({ id: record.sessionId, name: record.name });
+        setStatus("Restored your last workspace.");
+      })
+      .catch((e) => console.warn("Workspace restore skipped", e))
+      .finally(() => { restored.current = true; });
+  }, []);
+
+  // Autosave shortly after every change
+  useEffect(() => {
+    if (!restored.current) return;
+    const timer = setTimeout(() => {
+      saveSession({ id: AUTOSAVE_ID, name: session?.name || "Autosave", sessionId: session?.id || null, workspace })
+        .catch((e) => console.warn("Autosave failed", e));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [workspace, session]);
+
+  // Unlocked dates follow the month even when the tab stays open across its end
+  useEffect(() => {
+    const onVisible = () => {
+      if (document.visibilityState === "visible") setWorkspace(deriveAll, { record: false });
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => document.removeEventListener("visibilitychange", onVisible);
+  }, [setWorkspace]);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); text fields keep their native undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
   // ---------------- File ingestion ----------------
   const onPickFiles = async (e) => {
-    const picked = Array.from(e.target.files || []);
-    if (!picked.length) return;
-    await addFiles(picked);
+    const picked = fromFileList(e.target.files);
     e.target.value = "";
+    if (!picked.length) return;
+    await ingestSources(picked);
+  };
+
+  // Drops are read synchronously (folders and all) before the event ends. Without a
+  // target tile they fill the free slots; on a tile they replace it or insert and shift.
+  const onDropFiles = (e, targetIndex = null, insert = false) => {
+    e.preventDefault();
+    setExternalDrag(false);
+    setFileDrop(null);
+    collectDropped(e.dataTransfer).then((sources) => ingestSources(sources, targetIndex, insert));
+  };
+  pageDrop.current = onDropFiles;
+
+  // Files or images dragged in from outside: highlight the drop targets while they are
+  // over the page, and take drops that miss the upload area and the tiles
+  useEffect(() => {
+    const onDragOver = (e) => {
+      if (!isExternalDrag(e.dataTransfer)) return;
+      e.preventDefault();
+      setExternalDrag(true);
+    };
+    const onDragLeave = (e) => {
+      if (e.relatedTarget) return;
+      setExternalDrag(false);
+      setFileDrop(null);
+    };
+    const onDrop = (e) => {
+      setExternalDrag(false);
+      setFileDrop(null);
+      if (!e.defaultPrevented && isExternalDrag(e.dataTransfer)) pageDrop.current(e);
+    };
+    window.addEventListener("dragover", onDragOver);
+    window.addEventListener("dragleave", onDragLeave);
+    window.addEventListener("drop", onDrop);
+    return () => {
+      window.removeEventListener("dragover", onDragOver);
+      window.removeEventListener("dragleave", onDragLeave);
+      window.removeEventListener("drop", onDrop);
+    };
+  }, []);
+
+  // Top half of a filled tile replaces it, bottom half inserts before it; empty tiles take files in place
+  const tileDropMode = (e, item) => {
+    if (!item) return "insert";
+    const rect = e.currentTarget.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2 ? "insert" : "replace";
   };
 
-  async function fileToPreview(file) {
-    // Use DataURL for maximum compatibility (Opera, sandboxed iframes, etc.)
+  // Route [{file, path}] from any drop or picker: unpack ZIPs, skip non-images,
+  // and offer one product per folder when the drop spans several folders
+  async function ingestSources(sources, targetIndex = null, insert = false) {
+    const { images, skipped } = await sortIngest(sources);
+    const groups = groupByFolder(images);
+    let added = 0;
+    if (
+      targetIndex == null &&
+      groups.size > 1 &&
+      confirm(`These images come from ${groups.size} folders. Create one product per folder?\n(Cancel adds them all to "${product || "Untitled"}".)`)
+    ) {
+      const result = await addFolderProducts(groups);
+      added = result.added;
+      skipped.push(...result.skipped);
+    } else {
+      const result = await addFiles(images, targetIndex, { insert });
+      added = result.added;
+      skipped.push(...result.skipped);
+    }
+    setIngestReport({ added, skipped });
+  }
+
+  // Batch ingestion: each folder becomes a product named after it
+  async function addFolderProducts(groups) {
+    const skipped = [];
+    const created = await Promise.all(
+      [...groups.entries()].map(async ([folder, imgs]) => {
+        imgs.slice(SLOT_COUNT).forEach((img) => skipped.push({ name: img.path, reason: `More than ${SLOT_COUNT} images in folder` }));
+        const prepared = await Promise.all(
+          imgs.slice(0, SLOT_COUNT).map(async ({ file, path }) => ({ ...(await fileToPreview(file)), path }))
+        );
+        prepared.forEach(startAnalysis);
+        const files = emptySlots();
+        prepared.forEach((item, i) => { files[i] = item; });
+        // Named after the folder unless a field rule derives the product
+        return newProduct({ files, ...(fieldRules.product === "off" && { product: folder }) });
+      })
+    );
+    setWorkspace((ws) => ({ ...ws, products: [...ws.products, ...created], activeId: created[0].id }));
+    return { added: created.reduce((n, p) => n + p.files.filter(Boolean).length, 0), skipped };
+  }
+
+  // Grid previews are small upright JPEG thumbnails from the image worker, so the grid
+  // doesn't hold every full-size image as base64. Data URLs still work in sandboxed
+  // iframes and need no revoking when undo brings an item back. Files the worker can't
+  // decode fall back to a preview of the original. Edited slots preview their edit.
+  async function fileToPreview(file, edit = null) {
+    const id = crypto.randomUUID();
+    let source = file;
+    try {
+      source = await processInBackground(file, THUMBNAIL, null, edit);
+    } catch (_) {}
     return await new Promise((resolve) => {
       try {
         const fr = new FileReader();
         fr.onload = () => {
           const result = typeof fr.result === "string" ? fr.result : "";
           const ok = result.startsWith("data:");
-          resolve({ id: crypto.randomUUID(), file, url: ok ? result : "", error: !ok });
+          resolve({ id, file, url: ok ? result : "", error: !ok });
         };
-        fr.onerror = () => resolve({ id: crypto.randomUUID(), file, url: "", error: true });
-        fr.readAsDataURL(file);
+        fr.onerror = () => resolve({ id, file, url: "", error: true });
+        fr.readAsDataURL(source);
       } catch (_) {
-        resolve({ id: crypto.randomUUID(), file, url: "", error: true });
+        resolve({ id, file, url: "", error: true });
+      }
+    });
+  }
+
+  // Decode in the background; compliance badges show "Checking…" until this lands.
+  // Pass `analysis` when it was already computed (e.g. for duplicate checks).
+  function startAnalysis(item, analysis = null) {
+    const job = analysis ? Promise.resolve(analysis) : analyzeImage(item.file, item.edit);
+    analysisJobs.current.set(item.id, job);
+    // an item that left its slot before the result came in keeps nothing
+    job.then((result) => analysisJobs.current.get(item.id) === job && setAnalyses((prev) => ({ ...prev, [item.id]: result })));
+    return job;
+  }
+
+  // An item's analysis, waiting for it while it is still running (or starting it)
+  const analysisOf = (item) => analysisJobs.current.get(item.id) || startAnalysis(item);
+
+  // Analyses follow the slots and live listing images: items that leave them (deleted,
+  // replaced, re-edited) drop theirs, and items brought back by undo are analyzed again
+  const trackedIds = useRef(new Set());
+  useEffect(() => {
+    const items = [...products.flatMap((p) => p.files), ...Object.values(live).flatMap((l) => l.items || [])].filter(Boolean);
+    const ids = new Set(items.map((item) => item.id));
+    const gone = [...trackedIds.current].filter((id) => !ids.has(id));
+    trackedIds.current = ids;
+    items.forEach((item) => analysisJobs.current.has(item.id) || startAnalysis(item));
+    if (!gone.length) return;
+    gone.forEach((id) => analysisJobs.current.delete(id));
+    setAnalyses((prev) => {
+      const next = { ...prev };
+      gone.forEach((id) => delete next[id]);
+      return next;
+    });
+  }, [products, live]);
+
+  // With skipDuplicates on, analyze incoming images up front and drop those matching an
+  // image already in the product (or earlier in the same batch). Returns the kept
+  // sources, each with its analysis, and the skipped ones with a reason.
+  async function filterDuplicates(sources, target, replacing = null) {
+    if (!skipDuplicates) return { kept: sources, skipped: [] };
+    const types = resolveSlotTypes(target.files);
+    // Slots still "Checking…" count too, or a second drop right after the first slips through
+    const known = (
+      await Promise.all(
+        target.files.map(async (item, i) => (item && i !== replacing ? { label: types[i] || `slot ${i + 1}`, analysis: await analysisOf(item) } : null))
+      )
+    ).filter(Boolean);
+    const analyzed = await Promise.all(sources.map((s) => analyzeImage(s.file)));
+    const kept = [];
+    const skipped = [];
+    sources.forEach((s, i) => {
+      const others = [...known, ...kept.map((k) => ({ label: k.path, analysis: k.analysis }))];
+      const other = others.find((o) => compareImages(o.analysis, analyzed[i]));
+      if (other) {
+        const { kind } = compareImages(other.analysis, analyzed[i]);
+        skipped.push({ name: s.path, reason: `${kind === "exact" ? "Same image as" : "Near-duplicate of"} ${other.label}` });
+      } else {
+        kept.push({ ...s, analysis: analyzed[i] });
       }
     });
+    return { kept, skipped };
   }
 
-  async function addFiles(fileList, targetIndex = null) {
-    const imgs = fileList
-      .filter((f) => f && ((f.type && f.type.startsWith("image/")) || /\.(jpe?g|png)$/.test(f.name || "")))
-      .slice(0, 10);
+  // Accepts Files or {file, path}; returns {added, skipped} for images that found no slot.
+  // With a `targetIndex` the first image replaces that slot, or with `insert` the images
+  // go in there and the following slots shift into the next empty ones.
+  async function addFiles(fileList, targetIndex = null, { insert = false, productId = active.id } = {}) {
+    const target = products.find((p) => p.id === productId) || active;
+    const free = targetIndex == null ? target.files.filter((it) => !it).length : insert ? roomAt(target.files, targetIndex) : 1;
+    const { kept: sources, skipped } = await filterDuplicates(
+      fileList
+        .map((f) => (f instanceof Blob ? { file: f, path: f.webkitRelativePath || f.name } : f))
+        .filter((s) => isImageFile(s?.file)),
+      target,
+      insert ? null : targetIndex
+    );
+    const imgs = sources.slice(0, free);
+    skipped.push(...sources.slice(free).map((s) => ({
+      name: s.path,
+      reason: targetIndex != null && !insert ? "Only one image fits in a tile" : "No free slot left",
+    })));
 
-    if (!imgs.length) return;
+    if (!imgs.length) return { added: 0, skipped };
 
-    const prepared = await Promise.all(imgs.map(fileToPreview));
+    const prepared = await Promise.all(imgs.map(async ({ file, path }) => ({ ...(await fileToPreview(file)), path })));
+    prepared.forEach((item, i) => startAnalysis(item, imgs[i].analysis));
 
-    setFiles((prev) => {
+    setProductFiles(productId, (prev) => {
+      if (targetIndex != null && insert) return insertItems(prev, targetIndex, prepared);
       const next = [...prev];
       if (targetIndex != null) {
         next[targetIndex] = prepared[0] || null;
@@ -165,62 +715,300 @@ export default function ImageRenamerApp() {
       }
       return next;
     });
+    return { added: prepared.length, skipped };
   }
 
+  // Fill slots from a manifest plan, creating products for SKUs/ASINs not in the batch yet
+  const applyManifest = async ({ assignments }) => {
+    // Duplicates are checked per product, against its images outside the slots being replaced
+    let kept = assignments;
+    const skipped = [];
+    if (skipDuplicates) {
+      const groups = new Map();
+      assignments.forEach((a) => groups.set(a.productKey, [...(groups.get(a.productKey) || []), a]));
+      kept = [];
+      for (const group of groups.values()) {
+        const existing = products.find((p) => p.id === group[0].productId);
+        const replaced = new Set(group.map((a) => a.slotIndex));
+        const result = await filterDuplicates(group, { files: existing ? existing.files.map((item, i) => (replaced.has(i) ? null : item)) : [] });
+        kept.push(...result.kept);
+        skipped.push(...result.skipped);
+      }
+    }
+    // Positional assignments first, so "first free slot" ones never land on a slot the manifest names
+    const ordered = [...kept].sort((a, b) => (a.slotIndex == null) - (b.slotIndex == null));
+    const prepared = await Promise.all(
+      ordered.map(async (a) => ({ ...(await fileToPreview(a.file)), typeOverride: a.position, path: a.path }))
+    );
+    prepared.forEach((item, i) => startAnalysis(item, ordered[i].analysis));
+    setWorkspace((ws) => {
+      const next = ws.products.map((p) => ({ ...p, files: [...p.files] }));
+      const created = new Map();
+      ordered.forEach((a, i) => {
+        let target = (a.productId && next.find((p) => p.id === a.productId)) || created.get(a.productKey);
+        if (!target) {
+          // Named after the SKU/ASIN unless a field rule derives the product
+          target = newProduct({ sku: a.sku, asin: a.asin, ...(fieldRules.product === "off" && { product: a.sku || a.asin }) });
+          created.set(a.productKey, target);
+          next.push(target);
+        }
+        if (!target.sku && a.sku) target.sku = a.sku;
+        if (!target.asin && a.asin) target.asin = a.asin;
+        let slot = a.slotIndex != null && a.slotIndex < target.files.length ? a.slotIndex : target.files.indexOf(null);
+        if (slot < 0) slot = target.files.push(null) - 1;
+        target.files[slot] = prepared[i];
+      });
+      // Fields derived from the images follow the new slots, as in setProductFiles
+      return { ...ws, products: next.map((p) => deriveFields(p, ws.fieldRules)) };
+    });
+    setStatus(`Manifest applied: ${ordered.length} images assigned.`);
+    if (skipped.length) setIngestReport({ added: ordered.length, skipped });
+  };
+
   // ---------------- Downloads ----------------
+  // Block on invalid fields or names, type clashes and compliance failures, ask before exporting
+  // with warnings or (naming.duplicates "ask") colliding names. Returns null to cancel, else
+  // {dedupe} for the export. `targets` defaults to the active product; "Export all" passes every product.
+  // The export buttons are already disabled while blockers exist; this is the backstop.
+  const confirmExport = (targets = [active]) => {
+    const prefix = (p) => (p && targets.length > 1 ? `${p.product || "Untitled"} ` : "");
+    const blockers = exportBlockers(targets, naming, outputExt);
+    if (blockers.length) {
+      alert(`Export blocked — fix these first:\n\n${blockers.map((b) => `${prefix(b.product)}${blockerMessage(b)}`).join("\n")}`);
+      return null;
+    }
+    let dedupe = naming.duplicates === "auto";
+    if (naming.duplicates === "ask") {
+      const collisions = targets.flatMap((p) => validateProduct(p, naming, outputExt).collisions.map((name) => `${prefix(p)}${name}`));
+      if (collisions.length) {
+        if (!confirm(`These filenames would overwrite each other:\n\n${collisions.join("\n")}\n\nAdd _2, _3… to the repeats and continue?`)) return null;
+        dedupe = true;
+      }
+    }
+    const entries = targets.flatMap((p) =>
+      productSlots(p).map(({ item, type }) => ({
+        label: `${prefix(p)}${type}`,
+        result: compliance[item.id],
+      }))
+    );
+    const summary = summarizeCompliance(entries.map((e) => e.result));
+    if (summary.pending) {
+      alert("Images are still being checked. Try again in a moment.");
+      return null;
+    }
+    const lines = (level) => entries.flatMap(({ label, result }) =>
+      result.issues
+        .filter((issue) => issue.level === level)
+        .map((issue) => `${label}: ${issue.message}`)
+    );
+    if (summary.fail) {
+      alert(`Export blocked — fix these before uploading to Amazon:\n\n${lines("fail").join("\n")}`);
+      return null;
+    }
+    if (summary.warn && !confirm(`Some images have warnings:\n\n${lines("warn").join("\n")}\n\nExport anyway?`)) {
+      return null;
+    }
+    return { dedupe };
+  };
+
+  // Renamed (and, if enabled, processed) output for a slot from namedSlots: {name, blob, error?}.
+  // Rotated JPEG/PNGs are re-encoded upright even with processing off, then the metadata
+  // settings apply. Files the pipeline can't decode keep their original pixels and extension.
+  const exportSlot = async (p, slot) => {
+    const file = slot.item.file;
+    const original = new Uint8Array(await file.arrayBuffer());
+    const source = readMetadata(original);
+    const rotated = metadata.fixOrientation && source.orientation > 1 && source.format !== "other";
+    const edit = isEdited(slot.item.edit) ? slot.item.edit : null;
+    let bytes = original;
+    let type = file.type;
+    let name = slot.name;
+    let error;
+    if (processing.enabled || rotated || edit) {
+      try {
+        const blob = await processInBackground(file, processing.enabled ? processing : UPRIGHT_ONLY, slot.type, edit);
+        bytes = new Uint8Array(await blob.arrayBuffer());
+        type = blob.type;
+      } catch (e) {
+        console.error(e);
+        if (processing.enabled || edit) name = replaceExt(slot.name, getExt(file.name));
+        error = true;
+      }
+    }
+    const embed = metadata.embed ? { product: p.product, asin: p.asin, type: slot.type, copyright: metadata.copyright } : null;
+    const out = applyMetadata(bytes, { strip: metadata.strip, original, embed });
+    return { name, blob: out === original ? file : new Blob([out], { type }), error };
+  };
+  const reportUnprocessed = (outputs) => {
+    const failed = outputs.filter((o) => o.error).map((o) => o.name);
+    if (failed.length) alert(`These images could not be processed and were exported unchanged:\n\n${failed.join("\n")}`);
+  };
+
+  const saveZip = (blob, name) => {
+    // Always prepare a manual link first (visible regardless of auto success)
+    const manualUrl = URL.createObjectURL(blob);
+    setPendingLinks((prev) => [{ name, url: manualUrl }, ...prev.filter((l) => l.name !== name)]);
+
+    // Try auto download
+    const ok = triggerDownload(blob, name);
+    setStatus(ok ? "ZIP download triggered." : "Browser blocked ZIP download — manual link shown below.");
+    if (!ok) {
+      alert("Your browser blocked the ZIP download. Click the manual link below.");
+    }
+  };
+
+  // Stream `list` into a ZIP with per-file progress; the progress panel's Cancel aborts it
+  const runZipExport = async (list, { folders, zipName, dedupe }) => {
+    const targets = exportTargets(list, { naming, folders, extFor: outputExt, dedupe }).filter(refreshFilter());
+    if (!targets.length) return alert("Nothing to export: no slot differs from the live listing.");
+    let sink;
+    try {
+      sink = await openZipSink(zipName);
+    } catch (_) {
+      return setStatus("Export cancelled.");
+    }
+    const controller = new AbortController();
+    exportAbort.current = controller;
+    setBusy(true);
+    setStatus(`Preparing ${zipName}…`);
+    const finish = (state, message) => setExportJob((job) => job && { ...job, state, message });
+    try {
+      const { blob, outputs, failed } = await exportZip(targets, {
+        sink,
+        render: exportSlot,
+        compression,
+        manifest,
+        signal: controller.signal,
+        onUpdate: (job) => setExportJob({ ...job, title: zipName, state: "running" }),
+      });
+      finish("finished", failed.length ? `${failed.length} file${failed.length === 1 ? "" : "s"} left out` : "");
+      reportUnprocessed(outputs);
+      if (blob) saveZip(blob, zipName);
+      else setStatus(`Saved ${zipName}.`);
+    } catch (e) {
+      if (e?.name === "AbortError") {
+        finish("cancelled", "Cancelled — no ZIP was saved");
+        setStatus("Export cancelled.");
+      } else {
+        console.error(e);
+        finish("failed", e?.message || "Export failed");
+        setStatus("Error while creating ZIP.");
+        alert("Something went wrong while creating the ZIP. Check console for details.");
+      }
+    } finally {
+      exportAbort.current = null;
+      setBusy(false);
+    }
+  };
+
   const downloadZip = async () => {
     if (!filled.length) return alert("Add images first.");
-    setBusy(true);
-    setStatus("Preparing ZIP…");
+    const plan = confirmExport();
+    if (!plan) return;
+    await runZipExport([active], { folders: false, zipName: zipFileName(active, naming), dedupe: plan.dedupe });
+  };
+
+  // One ZIP for the whole batch, one folder per product
+  const exportAll = async () => {
+    const withImages = products.filter((p) => p.files.some(Boolean));
+    if (!withImages.length) return alert("Add images first.");
+    const plan = confirmExport(withImages);
+    if (!plan) return;
+    await runZipExport(withImages, { folders: true, zipName: batchZipFileName(withImages.length), dedupe: plan.dedupe });
+  };
+
+  // Write straight into a picked folder (File System Access API), optionally one
+  // subfolder per product; existing files follow the conflict policy
+  const runFolderExport = async (list, { dedupe }) => {
+    const targets = exportTargets(list, { naming, folders: folderExport.subfolders, extFor: outputExt, dedupe }).filter(refreshFilter());
+    if (!targets.length) return alert("Nothing to export: no slot differs from the live listing.");
+    let root;
     try {
-      const zip = new JSZip();
-      await Promise.all(
-        filled.map(async (item, i) => {
-          if (!item?.file) return;
-          const buf = await item.file.arrayBuffer();
-          zip.file(buildFilename(i, item), buf);
-        })
-      );
-      const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
-      const name = `${normalizedProduct}_${date}_${normalizedDiff}.zip`;
-
-      // Always prepare a manual link first (visible regardless of auto success)
-      const manualUrl = URL.createObjectURL(blob);
-      setPendingLinks((prev) => [{ name, url: manualUrl }, ...prev.filter((l) => l.name !== name)]);
-
-      // Try auto download
-      const ok = triggerDownload(blob, name);
-      setStatus(ok ? "ZIP download triggered." : "Browser blocked ZIP download — manual link shown below.");
-      if (!ok) {
-        alert("Your browser blocked the ZIP download. Click the manual link below.");
+      root = await pickFolder();
+    } catch (e) {
+      if (e?.name !== "AbortError") {
+        console.error(e);
+        alert("Could not open that folder for writing.");
       }
+      return setStatus("Save to folder cancelled.");
+    }
+    const controller = new AbortController();
+    exportAbort.current = controller;
+    setBusy(true);
+    setStatus(`Saving to ${root.name}…`);
+    const finish = (state, message) => setExportJob((job) => job && { ...job, state, message });
+    try {
+      const { outputs, failed, skipped, renamed } = await saveToFolder(root, targets, {
+        render: exportSlot,
+        conflict: folderExport.conflict,
+        signal: controller.signal,
+        onUpdate: (job) => setExportJob({ ...job, title: `to ${root.name}`, state: "running" }),
+      });
+      const notes = [
+        skipped.length && `${skipped.length} skipped`,
+        renamed.length && `${renamed.length} renamed`,
+        failed.length && `${failed.length} failed`,
+      ].filter(Boolean);
+      finish("finished", notes.join(", "));
+      reportUnprocessed(outputs);
+      setStatus(`Saved ${outputs.length} file${outputs.length === 1 ? "" : "s"} to ${root.name}.`);
     } catch (e) {
-      console.error(e);
-      setStatus("Error while creating ZIP.");
-      alert("Something went wrong while creating the ZIP. Check console for details.");
-    } finally { setBusy(false); }
+      if (e?.name === "AbortError") {
+        finish("cancelled", "Cancelled — files written so far were kept");
+        setStatus("Save to folder cancelled.");
+      } else {
+        console.error(e);
+        finish("failed", e?.message || "Save failed");
+        setStatus("Error while saving to the folder.");
+      }
+    } finally {
+      exportAbort.current = null;
+      setBusy(false);
+    }
+  };
+
+  const saveActiveToFolder = async () => {
+    if (!filled.length) return alert("Add images first.");
+    const plan = confirmExport();
+    if (!plan) return;
+    await runFolderExport([active], plan);
+  };
+
+  const saveAllToFolder = async () => {
+    const withImages = products.filter((p) => p.files.some(Boolean));
+    if (!withImages.length) return alert("Add images first.");
+    const plan = confirmExport(withImages);
+    if (!plan) return;
+    await runFolderExport(withImages, plan);
   };
 
   const downloadIndividually = async () => {
     if (!filled.length) return alert("Add images first.");
+    const plan = confirmExport();
+    if (!plan) return;
     setBusy(true);
     setStatus("Triggering individual downloads…");
     try {
       const manual = [];
+      const changed = refreshFilter();
+      const slots = namedSlots(active, naming, outputExt, { dedupe: plan.dedupe }).filter((slot) => slot.item?.file && changed({ product: active, slot }));
+      // Processing, metadata and crop/rotate edits are async and have to finish first;
+      // untouched exports keep every click inside the original user gesture
+      const untouched = !processing.enabled && !metadata.strip && !metadata.fixOrientation && !metadata.embed && !slots.some((s) => isEdited(s.item.edit));
+      const outputs = untouched
+        ? slots.map((slot) => ({ name: slot.name, blob: slot.item.file }))
+        : await Promise.all(slots.map((slot) => exportSlot(active, slot)));
 
       // Fire all clicks synchronously in a single user gesture (Slack-style)
-      for (let i = 0; i < filled.length; i++) {
-        const item = filled[i];
-        if (!item || !item.file) continue;
-        const filename = buildFilename(i, item);
-
-        const ok = triggerDownloadSync(item.file, filename);
+      for (const { name: filename, blob } of outputs) {
+        const ok = triggerDownloadSync(blob, filename);
         if (!ok) {
           // Prepare manual fallback for ones that didn't fire
-          const manualUrl = URL.createObjectURL(item.file);
+          const manualUrl = URL.createObjectURL(blob);
           manual.push({ name: filename, url: manualUrl });
         }
       }
+      reportUnprocessed(outputs);
 
       if (manual.length) {
         setPendingLinks((prev) => [...manual, ...prev]);
@@ -235,22 +1023,244 @@ export default function ImageRenamerApp() {
     } finally { setBusy(false); }
   };
 
+  // Manifest rows for the active product, rendered exactly as an export would be
+  const activeManifest = async (plan) => {
+    const outputs = await renderOutputs([active], { naming, folders: false, render: exportSlot, extFor: outputExt, dedupe: plan.dedupe });
+    reportUnprocessed(outputs);
+    return await manifestEntries(outputs);
+  };
+
+  // Standalone manifest download ("csv" or "json") for the active product
+  const downloadManifest = async (format) => {
+    if (!filled.length) return alert("Add images first.");
+    const plan = confirmExport();
+    if (!plan) return;
+    setBusy(true);
+    setStatus("Preparing manifest…");
+    try {
+      const entries = await activeManifest(plan);
+      const [{ name, content }] = manifestFiles(entries, [format], stripExt(zipFileName(active, naming)) + "_manifest");
+      const ok = triggerDownload(new Blob([content], { type: format === "json" ? "application/json" : "text/csv" }), name);
+      setStatus(ok ? "Manifest download triggered." : "Browser blocked the manifest download.");
+    } catch (e) {
+      console.error(e);
+      setStatus("Error while creating the manifest.");
+      alert("Something went wrong while creating the manifest. Check console for details.");
+    } finally { setBusy(false); }
+  };
+
+  const copyList = async () => {
+    try {
+      let text = computeFinalNames().join('\n');
+      if (copyMode === "manifest") {
+        const plan = confirmExport();
+        if (!plan) return;
+        setBusy(true);
+        setStatus("Preparing manifest…");
+        text = manifestTsv(await activeManifest(plan));
+      }
+      await navigator.clipboard.writeText(text);
+      if (copyMode === "manifest") setStatus("Manifest copied — paste it into a spreadsheet.");
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1200);
+    } catch (e) {
+      console.error(e);
+    } finally { setBusy(false); }
+  };
+
   // Preview of final filenames
-  const computeFinalNames = () => filled.map((item, i) => buildFilename(i, item));
+  const computeFinalNames = () => validation.names.map((n) => n.name);
+  // Shown while the grid is empty so template edits still have a live preview
+  const sampleName = () => buildFilename(active, { item: { file: { name: "example.jpg" } }, type: "MAIN", index: 0 }, naming);
 
   const handleRemove = (index) => {
     setFiles((prev) => prev.map((item, i) => (i === index ? null : item)));
   };
 
-  const swapFiles = (from, to) => {
-    if (from === null || from === to) return;
-    setFiles((prev) => {
-      const next = [...prev];
-      const temp = next[from];
-      next[from] = next[to];
-      next[to] = temp;
-      return next;
-    });
+  // ---------------- Live listing comparison ----------------
+  // Images currently live on a product's listing, matched against the new set by slot
+  // type. Kept for this visit only; their analyses land in `analyses` like any slot's.
+  const listingRows = (p) => {
+    const set = live[p.id];
+    if (!set) return null;
+    const types = resolveSlotTypes(p.files);
+    const current = p.files.map((item, i) => item && { type: types[i], item, analysis: analyses[item.id] || null }).filter(Boolean);
+    return diffListing(current, set.items.map((item) => ({ type: item.type, item, analysis: analyses[item.id] || null })));
+  };
+  const activeListing = useMemo(() => listingRows(active), [active, live, analyses]);
+
+  // With "only changed" on, products compared with their live listing export just the
+  // slots a refresh has to upload
+  const refreshFilter = () => {
+    const keep = new Map();
+    return ({ product: p, slot }) => {
+      if (!live[p.id]?.changedOnly) return true;
+      if (!keep.has(p.id)) keep.set(p.id, changedTypes(listingRows(p)));
+      return keep.get(p.id).has(slot.type);
+    };
+  };
+
+  const updateLive = (productId, patch) => setLive((prev) => ({ ...prev, [productId]: { ...prev[productId], ...patch } }));
+
+  const importLive = async (productId, { items, skipped }) => {
+    const prepared = await Promise.all(items.map(async ({ type, file, path }) => ({ ...(await fileToPreview(file)), type, path })));
+    prepared.forEach((item) => startAnalysis(item));
+    updateLive(productId, { items: prepared, skipped, changedOnly: live[productId]?.changedOnly ?? false });
+    setStatus(`Imported ${prepared.length} live image${prepared.length === 1 ? "" : "s"} for comparison.`);
+  };
+
+  const importLiveFiles = async (fileList) => {
+    const productId = active.id;
+    setBusy(true);
+    try {
+      const { images, skipped } = await sortIngest(fromFileList(fileList));
+      const result = liveFromImages(images, active.asin);
+      await importLive(productId, { items: result.items, skipped: [...skipped, ...result.skipped] });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importLiveUrls = async (text) => {
+    const entries = parseUrlList(text);
+    if (!entries.length) return alert("Paste image URLs (http or https), one per line.");
+    const productId = active.id;
+    setBusy(true);
+    setStatus(`Fetching ${entries.length} live image${entries.length === 1 ? "" : "s"}…`);
+    try {
+      await importLive(productId, await fetchLiveImages(entries, liveProxy));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Store the editor's parameters on the slot (null clears them). The item gets a new id
+  // so its preview and analysis are redone; undo brings back the old preview as-is.
+  const saveEdit = async (index, edit) => {
+    const item = files[index];
+    setEditing(null);
+    if (!item) return;
+    const next = { ...item, ...(await fileToPreview(item.file, edit)), edit };
+    startAnalysis(next);
+    setFiles((prev) => prev.map((it) => (it === item ? next : it)));
+    setStatus(edit ? `${slotLabel(index)}: ${describeEdit(edit)}. Press Ctrl+Z to undo.` : `${slotLabel(index)}: edits removed.`);
+  };
+
+  // ---------------- Reordering ----------------
+  // Pointer drags (mouse anywhere on a tile, touch/pen on its handle) and keyboard
+  // moves share moveSlot; the live region tells screen readers where things went.
+
+  // Live regions ignore identical text, so alternate a trailing space
+  const announce = (text) => setAnnouncement((prev) => (prev === text ? `${text} ` : text));
+  const slotLabel = (index, list = files) => resolveSlotTypes(list)[index] || `slot ${index + 1}`;
+  const itemLabel = (index) => files[index]?.file?.name || "image";
+
+  const moveSlot = (from, to) => {
+    if (from == null || to == null || from === to || !files[from]) return;
+    const next = moveItem(files, from, to, reorder);
+    const swapped = reorder === "swap" && files[to];
+    setFiles((prev) => moveItem(prev, from, to, reorder));
+    announce(
+      swapped
+        ? `Swapped ${itemLabel(from)} with ${itemLabel(to)}. Moved to ${slotLabel(to, next)}.`
+        : `Moved ${itemLabel(from)} to ${slotLabel(to, next)}.`
+    );
+  };
+
+  // Columns in the responsive grid: tiles sharing the first row's offset
+  const gridColumns = () => {
+    const tiles = [...(gridRef.current?.children || [])];
+    const top = tiles[0]?.offsetTop;
+    return Math.max(1, tiles.filter((tile) => tile.offsetTop === top).length);
+  };
+  const focusSlot = (index) => requestAnimationFrame(() => gridRef.current?.children[index]?.focus());
+
+  // Arrows move focus, Alt+arrows move the image; Space picks up, arrows choose a
+  // slot, Space/Enter drops and Escape cancels
+  const onTileKeyDown = (e, idx) => {
+    if (e.target !== e.currentTarget) return;
+    if (grab) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        setGrab(null);
+        announce(`Cancelled. ${itemLabel(grab.from)} stays in ${slotLabel(grab.from)}.`);
+        focusSlot(grab.from);
+      } else if (e.key === " " || e.key === "Enter") {
+        e.preventDefault();
+        setGrab(null);
+        if (grab.over === grab.from) announce(`Dropped ${itemLabel(grab.from)} where it was.`);
+        else moveSlot(grab.from, grab.over);
+        focusSlot(grab.over);
+      } else {
+        const over = stepIndex(grab.over, e.key, gridColumns(), files.length);
+        if (over == null) return;
+        e.preventDefault();
+        setGrab({ ...grab, over });
+        announce(over === grab.from ? `Back at ${slotLabel(over)}.` : `Over ${slotLabel(over)}.`);
+        focusSlot(over);
+      }
+      return;
+    }
+    const target = stepIndex(idx, e.key, gridColumns(), files.length);
+    if (target != null) {
+      e.preventDefault();
+      if (e.altKey) moveSlot(idx, target);
+      focusSlot(target);
+    } else if (e.key === " " && files[idx]) {
+      e.preventDefault();
+      setGrab({ from: idx, over: idx });
+      announce(`Picked up ${itemLabel(idx)} from ${slotLabel(idx)}. Use the arrow keys to choose a slot, Space to drop, Escape to cancel.`);
+    }
+  };
+
+  const tileAt = (x, y) => {
+    const tile = document.elementFromPoint(x, y)?.closest("[data-slot]");
+    return tile && gridRef.current?.contains(tile) ? Number(tile.dataset.slot) : null;
+  };
+
+  const onTilePointerDown = (e, idx) => {
+    if (!files[idx] || e.button !== 0 || grab) return;
+    const onHandle = !!e.target.closest("[data-drag-handle]");
+    // Touch and pen scroll the page unless they start on the handle
+    if (!onHandle && (e.pointerType !== "mouse" || e.target.closest("button, input, select, textarea, a, label"))) return;
+    suppressClick.current = false;
+    pointerStart.current = { from: idx, x: e.clientX, y: e.clientY, id: e.pointerId, dragging: false };
+  };
+
+  const onTilePointerMove = (e) => {
+    const start = pointerStart.current;
+    if (!start || e.pointerId !== start.id) return;
+    if (!start.dragging) {
+      if (Math.hypot(e.clientX - start.x, e.clientY - start.y) < 6) return;
+      start.dragging = true;
+      try { e.currentTarget.setPointerCapture(e.pointerId); } catch (_) {}
+    }
+    e.preventDefault();
+    const over = tileAt(e.clientX, e.clientY);
+    setPointerDrag((prev) => (prev && prev.over === over ? prev : { from: start.from, over }));
+  };
+
+  const onTilePointerUp = (e) => {
+    const start = pointerStart.current;
+    if (!start || e.pointerId !== start.id) return;
+    pointerStart.current = null;
+    setPointerDrag(null);
+    if (!start.dragging) return;
+    suppressClick.current = true;
+    if (e.type === "pointerup") moveSlot(start.from, tileAt(e.clientX, e.clientY));
+  };
+
+  // Best MAIN candidate into slot 0, the rest by filename hints / natural order, gaps closed
+  const autoArrange = () => {
+    const { ordered, main } = arrangeItems(filled, analyses);
+    if (!main) return;
+    setFiles((prev) => [...ordered, ...emptySlots(prev.length - ordered.length)]);
+    const waiting = filled.filter((item) => !analyses[item.id]).length;
+    setStatus(
+      `Auto-arranged: MAIN is ${main.item.file?.name || "the first image"} (${main.reason}).` +
+        (waiting ? ` ${waiting} image${waiting > 1 ? "s were" : " was"} still being analyzed.` : "") +
+        " Drag tiles (or Alt+arrow keys) to fine-tune, or press Ctrl+Z to undo."
+    );
   };
 
   const openSlotPicker = (slotIndex) => {
@@ -259,7 +1269,9 @@ export default function ImageRenamerApp() {
     input.accept = 'image/*';
     input.onchange = async (e) => {
       const picked = Array.from(e.target.files || []);
-      if (picked.length) await addFiles(picked.slice(0, 1), slotIndex);
+      if (!picked.length) return;
+      const result = await addFiles(picked.slice(0, 1), slotIndex);
+      if (result.skipped.length) setIngestReport(result);
     };
     input.click();
   };
@@ -267,196 +1279,677 @@ export default function ImageRenamerApp() {
   // ---------------- Render ----------------
   return (
     <div className="min-h-screen w-full bg-gray-50 text-gray-900">
-      <div className="max-w-5xl mx-auto px-4 py-8">
-        <h1 className="text-2xl font-semibold mb-6">Amazon Image Renamer — Drag, Map & Download</h1>
-
-        {/* Name Fields */}
-        <div className="grid md:grid-cols-4 gap-4 bg-white p-4 rounded-2xl shadow mb-6">
-          <div className="flex flex-col gap-1">
-            <label className="text-sm font-medium">Product Name</label>
-            <input value={product} onChange={(e) => setProduct(e.target.value)} className="border rounded-xl px-3 py-2" />
-          </div>
-          <div className="flex flex-col gap-1">
-            <label className="text-sm font-medium">Date (YYYYMM)</label>
-            <input value={date} onChange={(e) => setDate(e.target.value)} className="border rounded-xl px-3 py-2" />
-          </div>
-          <div className="flex flex-col gap-1">
-            <label className="text-sm font-medium">Differentiator</label>
-            <input value={diff} onChange={(e) => setDiff(e.target.value)} className="border rounded-xl px-3 py-2" />
-          </div>
-          <div className="flex items-end flex-wrap gap-2">
-            <button onClick={downloadZip} disabled={busy} className={`px-4 py-2 rounded-xl text-white ${busy ? 'bg-gray-400' : 'bg-blue-600 hover:bg-blue-700'}`}> 
-              {busy ? 'Building ZIP…' : 'Download ZIP'}
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+          <h1 className="text-2xl font-semibold">Amazon Image Renamer — Drag, Map & Download</h1>
+          <div className="flex gap-2">
+            <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)" className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40">
+              Undo
             </button>
-            <button onClick={downloadIndividually} disabled={busy} className={`px-4 py-2 rounded-xl text-white ${busy ? 'bg-gray-400' : 'bg-green-600 hover:bg-green-700'}`}> 
-              {busy ? 'Saving…' : 'Download Individually'}
+            <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40">
+              Redo
             </button>
           </div>
         </div>
 
-        {/* Upload Area */}
-        <div className="bg-white border-2 border-dashed rounded-2xl p-6 text-center shadow">
-          <input ref={inputRef} type="file" multiple accept="image/*" onChange={onPickFiles} className="hidden" />
-          <p className="mb-2">Drop up to 10 images here or</p>
-          <button onClick={() => inputRef.current?.click()} className="px-4 py-2 rounded-xl bg-gray-900 text-white hover:bg-black">Browse Files</button>
-        </div>
+        <div className="flex flex-col lg:flex-row gap-6 items-start">
+          <div className="w-full lg:w-60 shrink-0">
+            <ProductSidebar
+              products={products}
+              activeId={active.id}
+              compliance={compliance}
+              busy={busy}
+              blockers={batchBlockers}
+              onSelect={selectProduct}
+              onAdd={addProduct}
+              onExportAll={exportAll}
+              onSaveAllToFolder={folderExportSupported() ? saveAllToFolder : null}
+            />
+            <SessionPanel workspace={workspace} current={session} onCurrentChange={setSession} onRestore={restoreWorkspace} />
+            <ProfilePanel
+              profiles={profileStore.profiles}
+              defaultId={profileStore.defaultId}
+              current={currentProfile}
+              modified={profileChanged}
+              onSelect={selectProfile}
+              onSaveAs={saveProfileAs}
+              onUpdate={updateProfile}
+              onDelete={deleteProfile}
+              onSetDefault={setDefaultProfile}
+              onImport={importProfilesFile}
+              onExport={exportProfilesFile}
+            />
+          </div>
 
-        {/* Clear all button container */}
-        <div className="flex justify-end mt-4">
-          <button onClick={() => setFiles(Array(10).fill(null))} className="px-3 py-2 rounded-xl border hover:bg-gray-50" disabled={busy}>Clear all</button>
-        </div>
-        <div className="mt-6 text-center text-sm text-gray-500">
-  Drag to reorder. Click an empty tile to add a single image, or drop a file onto a specific tile.
-</div>
+          <div className="flex-1 min-w-0">
+            {/* Name Fields */}
+            <div className="grid md:grid-cols-4 gap-4 bg-white p-4 rounded-2xl shadow mb-6">
+              <div className="flex flex-col gap-1">
+                <label className="text-sm font-medium">Product Name</label>
+                <input
+                  value={product}
+                  onChange={(e) => setProduct(e.target.value)}
+                  aria-invalid={!!validation.fields.product}
+                  className={`border rounded-xl px-3 py-2 ${validation.fields.product ? "border-red-400" : ""}`}
+                />
+                {validation.fields.product && <div className="text-xs text-red-700">{validation.fields.product}</div>}
+                {active.derived.product && <div className="text-xs text-gray-500 break-all">From {active.derived.product}</div>}
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-sm font-medium">Date (YYYYMM)</label>
+                <div className="flex flex-wrap gap-1">
+                  <input
+                    value={date}
+                    onChange={(e) => setDate(e.target.value)}
+                    placeholder="202511"
+                    inputMode="numeric"
+                    aria-invalid={!!validation.fields.date}
+                    className={`flex-1 min-w-[6rem] border rounded-xl px-3 py-2 ${validation.fields.date ? "border-red-400" : ""}`}
+                  />
+                  {/* Month picker; writes back as YYYYMM */}
+                  <input
+                    type="month"
+                    aria-label="Pick month"
+                    value={isYearMonth(date) ? `${date.trim().slice(0, 4)}-${date.trim().slice(4)}` : ""}
+                    onChange={(e) => e.target.value && setDate(e.target.value.replace("-", ""))}
+                    className="w-36 border rounded-xl px-2 py-2 text-sm"
+                  />
+                  <button
+                    onClick={toggleDateLock}
+                    aria-pressed={!active.derived.date}
+                    title={active.derived.date ? "Keep this date when the month changes" : "Follow the current month again"}
+                    className="px-2 rounded-xl border text-sm hover:bg-gray-50"
+                  >
+                    {active.derived.date ? "Lock" : "Unlock"}
+                  </button>
+                </div>
+                {validation.fields.date && <div className="text-xs text-red-700">{validation.fields.date}</div>}
+                <div className="text-xs text-gray-500">{active.derived.date ? `From ${active.derived.date}` : "Locked"}</div>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-sm font-medium">Differentiator</label>
+                <input
+                  value={diff}
+                  onChange={(e) => setDiff(e.target.value)}
+                  list="campaign-codes"
+                  aria-invalid={!!validation.fields.diff}
+                  className={`border rounded-xl px-3 py-2 ${validation.fields.diff ? "border-red-400" : ""}`}
+                />
+                <datalist id="campaign-codes">
+                  {fieldRules.campaignCodes.map((code) => (
+                    <option key={code} value={code} />
+                  ))}
+                </datalist>
+                {validation.fields.diff && <div className="text-xs text-red-700">{validation.fields.diff}</div>}
+                {active.derived.diff && <div className="text-xs text-gray-500 break-all">From {active.derived.diff}</div>}
+              </div>
+              <div className="flex flex-col justify-end gap-1">
+                <div className="flex flex-wrap gap-2">
+                  <button onClick={downloadZip} disabled={busy || activeBlockers.length > 0} className={`px-4 py-2 rounded-xl text-white ${busy || activeBlockers.length ? 'bg-gray-400' : 'bg-blue-600 hover:bg-blue-700'}`}> 
+                    {busy ? 'Building ZIP…' : 'Download ZIP'}
+                  </button>
+                  {folderExportSupported() ? (
+                    <button onClick={saveActiveToFolder} disabled={busy || activeBlockers.length > 0} className={`px-4 py-2 rounded-xl text-white ${busy || activeBlockers.length ? 'bg-gray-400' : 'bg-green-600 hover:bg-green-700'}`}>
+                      {busy ? 'Saving…' : 'Save to folder…'}
+                    </button>
+                  ) : (
+                    <button onClick={downloadIndividually} disabled={busy || activeBlockers.length > 0} className={`px-4 py-2 rounded-xl text-white ${busy || activeBlockers.length ? 'bg-gray-400' : 'bg-green-600 hover:bg-green-700'}`}> 
+                      {busy ? 'Saving…' : 'Download Individually'}
+                    </button>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                  <label className="flex items-center gap-1">
+                    Manifest in ZIP
+                    <select
+                      value={manifest.join("+") || "none"}
+                      onChange={(e) => setManifest(e.target.value === "none" ? [] : e.target.value.split("+"))}
+                      className="border rounded-lg px-2 py-1"
+                    >
+                      <option value="none">None</option>
+                      <option value="csv">CSV</option>
+                      <option value="json">JSON</option>
+                      <option value="csv+json">CSV + JSON</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-1">
+                    Compression
+                    <select value={compression} onChange={(e) => setCompression(e.target.value)} className="border rounded-lg px-2 py-1">
+                      <option value="store">Store (fastest)</option>
+                      <option value="deflate">Deflate (smaller)</option>
+                    </select>
+                  </label>
+                  {folderExportSupported() && (
+                    <>
+                      <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={folderExport.subfolders} onChange={(e) => updateFolderExport({ subfolders: e.target.checked })} />
+                        Subfolder per product
+                      </label>
+                      <label className="flex items-center gap-1">
+                        If a file exists
+                        <select value={folderExport.conflict} onChange={(e) => updateFolderExport({ conflict: e.target.value })} className="border rounded-lg px-2 py-1">
+                          {CONFLICT_POLICIES.map((policy) => (
+                            <option key={policy} value={policy}>{CONFLICT_LABELS[policy]}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </>
+                  )}
+                  <span>Manifest only:</span>
+                  {MANIFEST_FORMATS.map((format) => (
+                    <button
+                      key={format}
+                      onClick={() => downloadManifest(format)}
+                      disabled={busy || activeBlockers.length > 0}
+                      className="px-2 py-1 rounded-lg border hover:bg-gray-50 uppercase"
+                    >
+                      {format}
+                    </button>
+                  ))}
+                </div>
+                {activeBlockers.length > 0 && (
+                  <div className="text-xs text-red-700" title={activeBlockers.map(blockerMessage).join("\n")}>
+                    Export disabled: {blockerMessage(activeBlockers[0])}
+                    {activeBlockers.length > 1 ? ` (+${activeBlockers.length - 1} more)` : ""}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <FieldRulesPanel rules={fieldRules} onChange={updateFieldRules} />
+            <ProcessingPanel processing={processing} onChange={updateProcessing} />
+            <MetadataPanel metadata={metadata} onChange={updateMetadata} />
 
+            {/* Upload Area */}
+            <div
+              className={`border-2 border-dashed rounded-2xl p-6 text-center shadow ${externalDrag ? "bg-green-50 border-green-500" : "bg-white"}`}
+              onDragOver={(e) => {
+                if (!isExternalDrag(e.dataTransfer)) return;
+                e.preventDefault();
+                setFileDrop(null);
+              }}
+              onDrop={(e) => onDropFiles(e)}
+            >
+              <input ref={inputRef} type="file" multiple accept="image/*,.tif,.tiff,.zip" onChange={onPickFiles} className="hidden" />
+              <input ref={folderInputRef} type="file" webkitdirectory="" onChange={onPickFiles} className="hidden" />
+              <p className="mb-2">Drop up to {files.length} images, a folder or a ZIP here or</p>
+              <div className="flex justify-center gap-2">
+                <button onClick={() => inputRef.current?.click()} className="px-4 py-2 rounded-xl bg-gray-900 text-white hover:bg-black">Browse Files</button>
+                <button onClick={() => folderInputRef.current?.click()} className="px-4 py-2 rounded-xl border hover:bg-gray-50">Browse Folder</button>
+              </div>
+              <label className="mt-3 inline-flex items-center gap-2 text-sm text-gray-600" title="Compares file contents and a perceptual hash, so resized copies are caught too">
+                <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+                Skip duplicates and near-duplicates when adding
+              </label>
+            </div>
 
-        {/* Status */}
-        {status && (
-          <div className="mt-3 text-sm text-gray-700">{status}</div>
-        )}
+            {/* Ingest report: what was added and what was skipped, with reasons */}
+            {ingestReport && (
+              <div className={`mt-4 rounded-2xl p-4 border text-sm ${ingestReport.skipped.length ? "bg-amber-50 border-amber-200 text-amber-800" : "bg-green-50 border-green-200 text-green-800"}`}>
+                <div className="flex items-center justify-between">
+                  <strong>
+                    Added {ingestReport.added} image{ingestReport.added === 1 ? "" : "s"}
+                    {ingestReport.skipped.length ? `, skipped ${ingestReport.skipped.length}` : ""}
+                  </strong>
+                  <button onClick={() => setIngestReport(null)} className="text-xs px-2 py-1 rounded border hover:bg-white">Dismiss</button>
+                </div>
+                {ingestReport.skipped.length > 0 && (
+                  <ul className="mt-2 list-disc pl-5 space-y-0.5 text-xs">
+                    {ingestReport.skipped.map((s, i) => (
+                      <li key={i}><span className="font-mono break-all">{s.name}</span> — {s.reason}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
 
-        {/* Manual download fallback links, if needed */}
-        {pendingLinks.length > 0 && (
-          <div className="mt-4 bg-amber-50 border border-amber-200 text-amber-800 rounded-2xl p-4">
-            <div className="flex items-center justify-between mb-2">
-              <strong>Manual download links</strong>
+            {/* Clear all button container */}
+            <div className="flex justify-end gap-2 mt-4">
+              <button
+                onClick={autoArrange}
+                disabled={busy || filled.length < 2}
+                className="px-3 py-2 rounded-xl border hover:bg-gray-50"
+              >
+                Auto-arrange
+              </button>
               <button
-                className="text-xs px-2 py-1 rounded border border-amber-300 hover:bg-amber-100"
                 onClick={() => {
-                  try { pendingLinks.forEach((l) => l?.url?.startsWith?.('blob:') && URL.revokeObjectURL(l.url)); } catch(_) {}
-                  setPendingLinks([]);
+                  setFiles((prev) => emptySlots(prev.length));
+                  setStatus("Cleared all slots. Press Ctrl+Z to undo.");
                 }}
+                className="px-3 py-2 rounded-xl border hover:bg-gray-50"
+                disabled={busy}
               >
-                Clear links
+                Clear all
               </button>
             </div>
-            <ul className="text-sm list-disc pl-5 space-y-1">
-              {pendingLinks.map((l, i) => (
-                <li key={i}>
-                  <a href={l.url} download={l.name} className="underline">{l.name}</a>
-                </li>
-              ))}
-            </ul>
-          </div>
-        )}
-
-        {/* Image Grid: always 10 placeholders */}
-        <div className="mt-6">
-          <ul className="grid sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-            {files.map((item, idx) => {
-              const rank = item ? filled.indexOf(item) : null;
-              const badge = (typeof rank === 'number' && rank >= 0) ? imageTypeForIndex(rank) : null;
-              const isError = !!(item && item.error);
-              return (
-                <li
-                  key={idx}
-                  draggable={!!item}
-                  onDragStart={(e) => {
-                    if (!item) return;
-                    dragIndex.current = idx;
-                    try { e.dataTransfer.effectAllowed = 'move'; } catch(_){} }}
-                  onDragOver={(e) => { e.preventDefault(); try { e.dataTransfer.dropEffect = 'move'; } catch(_){} }}
-                  onDrop={(e) => {
-                    e.preventDefault();
-                    const dropped = Array.from(e.dataTransfer.files || []);
-                    if (dropped.length && !item) {
-                      addFiles(dropped.slice(0, 1), idx);
-                    } else {
-                      const from = dragIndex.current;
-                      swapFiles(from, idx);
-                    }
-                    dragIndex.current = null;
-                  }}
-                  className="relative bg-white rounded-2xl shadow border overflow-hidden"
-                >
-                  {item && item.url ? (
-                    <img src={item.url} alt="preview" className="max-h-44 w-full object-contain bg-gray-100 pointer-events-none" />
-                  ) : item ? (
-                    <div className="h-44 w-full flex flex-col items-center justify-center bg-red-50 text-red-700 text-xs p-3 text-center">
-                      <div className="font-semibold mb-1">Preview failed</div>
-                      <div className="opacity-80">File will still be renamed & downloaded.</div>
-                      <button
-                        type="button"
-                        onClick={() => openSlotPicker(idx)}
-                        className="mt-2 px-2 py-1 text-xs rounded border border-red-300 hover:bg-red-100"
-                      >
-                        Replace image
-                      </button>
-                    </div>
-                  ) : (
-                    <button
-                      type="button"
-                      onClick={() => openSlotPicker(idx)}
-                      className="h-44 w-full flex items-center justify-center bg-gray-100 text-gray-500 text-sm hover:bg-gray-200"
-                    >
-                      Click here to upload image
-                    </button>
-                  )}
+            <div className="mt-6 text-center text-sm text-gray-500">
+      Drag to reorder (on touch screens, use the ⠿ handle), or focus a tile and press Alt+arrow keys. Drop files or images from another tab anywhere to fill the free slots; on a filled tile, drop on the top half to replace it or the bottom half to insert and shift.
+    </div>
 
-                  {/* Error badge */}
-                  {isError && (
-                    <div className="absolute top-2 left-2 text-xs font-semibold bg-red-600 text-white px-2 py-1 rounded-full">Preview error</div>
+
+            {/* Compliance summary */}
+            {filled.length > 0 && (
+              <div
+                className={`mt-4 rounded-2xl p-4 border text-sm ${
+                  complianceSummary.fail
+                    ? "bg-red-50 border-red-200 text-red-800"
+                    : complianceSummary.warn
+                    ? "bg-amber-50 border-amber-200 text-amber-800"
+                    : "bg-green-50 border-green-200 text-green-800"
+                }`}
+              >
+                <div className="font-medium mb-1">
+                  Amazon image check: {complianceSummary.pass} pass, {complianceSummary.warn} warn, {complianceSummary.fail} fail
+                  {complianceSummary.pending ? `, ${complianceSummary.pending} checking…` : ""}
+                </div>
+                {complianceSummary.fail > 0 && <div className="mb-1">Export is blocked until failures are fixed.</div>}
+                <ul className="list-disc pl-5 space-y-0.5">
+                  {activeSlots.flatMap(({ item, type }) =>
+                    compliance[item.id].issues.map((issue, k) => (
+                      <li key={`${item.id}-${k}`}>
+                        <span className="font-semibold">{type}</span>{" "}
+                        <span className="uppercase text-[10px]">{issue.level}</span> — {issue.message}
+                      </li>
+                    ))
                   )}
+                </ul>
+              </div>
+            )}
+
+            {/* Status */}
+            {status && (
+              <div className="mt-3 text-sm text-gray-700">{status}</div>
+            )}
 
-                  {/* MAIN/PTxx badge (top-left) */}
-                 {badge && (
-                <div className="absolute top-2 left-2 text-xs font-semibold bg-orange-600 text-white px-3 py-1 rounded-full shadow-md">
-                {badge}
+            {/* Manual download fallback links, if needed */}
+            {pendingLinks.length > 0 && (
+              <div className="mt-4 bg-amber-50 border border-amber-200 text-amber-800 rounded-2xl p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <strong>Manual download links</strong>
+                  <button
+                    className="text-xs px-2 py-1 rounded border border-amber-300 hover:bg-amber-100"
+                    onClick={() => {
+                      try { pendingLinks.forEach((l) => l?.url?.startsWith?.('blob:') && URL.revokeObjectURL(l.url)); } catch(_) {}
+                      setPendingLinks([]);
+                    }}
+                  >
+                    Clear links
+                  </button>
                 </div>
-)}
+                <ul className="text-sm list-disc pl-5 space-y-1">
+                  {pendingLinks.map((l, i) => (
+                    <li key={i}>
+                      <a href={l.url} download={l.name} className="underline">{l.name}</a>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
 
-                  {item && (
-                    <button
-                      onClick={() => handleRemove(idx)}
-                      className="absolute top-2 right-2 text-xs bg-red-600 text-white hover:bg-red-700 px-2 py-1 rounded-full"
+            {/* Slot layout for the active product */}
+            <div className="mt-4 flex flex-wrap items-end gap-3 text-sm">
+              <div className="flex flex-col gap-1">
+                <label className="font-medium">Category</label>
+                <select value={active.category} onChange={(e) => setCategory(active.id, e.target.value)} className="border rounded-xl px-3 py-2">
+                  {CATEGORY_PRESETS.map((c) => (
+                    <option key={c.id} value={c.id}>{c.label} ({c.slotCount})</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="font-medium">Slots</label>
+                <input
+                  type="number"
+                  min={MIN_SLOTS}
+                  max={MAX_SLOTS}
+                  value={files.length}
+                  onChange={(e) => setSlotCount(active.id, e.target.value)}
+                  className="border rounded-xl px-3 py-2 w-24"
+                />
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="font-medium">Reorder</label>
+                <select value={reorder} onChange={(e) => setReorder(e.target.value)} className="border rounded-xl px-3 py-2" title="What happens to the image already in the slot you move to">
+                  <option value="swap">Swap slots</option>
+                  <option value="insert">Insert &amp; shift</option>
+                </select>
+              </div>
+              {typeClashes.size > 0 && (
+                <div className="text-red-700 pb-2">
+                  More than one slot is set to {[...typeClashes].join(", ")} — export is blocked until each code is used once.
+                </div>
+              )}
+            </div>
+
+            {/* Image Grid: one placeholder per slot */}
+            <div className="mt-6">
+              <p id="reorder-help" className="sr-only">
+                Arrow keys move between slots. Alt plus an arrow key moves the image. Space picks it up; then use the arrow keys and press Space to drop or Escape to cancel.
+              </p>
+              <div aria-live="assertive" className="sr-only">{announcement}</div>
+              <ul
+                ref={gridRef}
+                aria-label="Image slots"
+                onClickCapture={(e) => {
+                  if (!suppressClick.current) return;
+                  suppressClick.current = false;
+                  e.stopPropagation();
+                  e.preventDefault();
+                }}
+                onBlur={(e) => {
+                  if (grab && !e.currentTarget.contains(e.relatedTarget)) {
+                    setGrab(null);
+                    announce("Move cancelled.");
+                  }
+                }}
+                className="grid sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4"
+              >
+                {files.map((item, idx) => {
+                  const badge = slotTypes[idx];
+                  const clash = !!badge && typeClashes.has(badge);
+                  const isError = !!(item && item.error);
+                  const check = item ? compliance[item.id] : null;
+                  const named = item ? validation.names.find((n) => n.slot === idx) : null;
+                  const meta = item ? analyses[item.id]?.metadata : null;
+                  const dup = item ? duplicates.get(idx) : null;
+                  const moving = pointerDrag || grab;
+                  const source = moving?.from === idx;
+                  const target = !!moving && moving.over === idx && !source;
+                  return (
+                    <li
+                      key={idx}
+                      data-slot={idx}
+                      tabIndex={item || idx === 0 ? 0 : -1}
+                      aria-label={`${slotLabel(idx)}: ${item ? item.file?.name || "image" : "empty"}`}
+                      aria-describedby="reorder-help"
+                      onKeyDown={(e) => onTileKeyDown(e, idx)}
+                      onPointerDown={(e) => onTilePointerDown(e, idx)}
+                      onPointerMove={onTilePointerMove}
+                      onPointerUp={onTilePointerUp}
+                      onPointerCancel={onTilePointerUp}
+                      onDragOver={(e) => {
+                        if (!isExternalDrag(e.dataTransfer)) return;
+                        e.preventDefault();
+                        try { e.dataTransfer.dropEffect = "copy"; } catch (_) {}
+                        const mode = tileDropMode(e, item);
+                        if (fileDrop?.index !== idx || fileDrop.mode !== mode) setFileDrop({ index: idx, mode });
+                      }}
+                      onDragLeave={(e) => {
+                        if (!e.currentTarget.contains(e.relatedTarget)) setFileDrop((prev) => (prev?.index === idx ? null : prev));
+                      }}
+                      onDrop={(e) => {
+                        if (!isExternalDrag(e.dataTransfer)) return;
+                        onDropFiles(e, idx, tileDropMode(e, item) === "insert");
+                      }}
+                      className={`relative bg-white rounded-2xl shadow border overflow-hidden focus:outline-none focus:ring-2 focus:ring-blue-400 ${
+                        target ? "ring-4 ring-blue-500" : externalDrag ? "ring-2 ring-green-300" : clash ? "ring-2 ring-red-500" : ""
+                      } ${source ? "opacity-50" : ""} ${pointerDrag ? "select-none" : ""}`}
                     >
-                      Remove
-                    </button>
-                  )}
+                      {/* External drop zones: green and dashed, unlike the blue reorder indicator */}
+                      {fileDrop?.index === idx && (
+                        <div className="absolute inset-0 z-20 flex flex-col border-4 border-dashed border-green-500 rounded-2xl overflow-hidden text-sm font-semibold pointer-events-none">
+                          {item ? (
+                            <>
+                              <div className={`flex-1 flex items-center justify-center ${fileDrop.mode === "replace" ? "bg-green-600 bg-opacity-90 text-white" : "bg-white bg-opacity-80 text-green-800"}`}>
+                                Replace {slotTypes[idx]}
+                              </div>
+                              <div className={`flex-1 flex items-center justify-center ${fileDrop.mode === "insert" ? "bg-green-600 bg-opacity-90 text-white" : "bg-white bg-opacity-80 text-green-800"}`}>
+                                Insert here &amp; shift
+                              </div>
+                            </>
+                          ) : (
+                            <div className="flex-1 flex items-center justify-center bg-green-600 bg-opacity-90 text-white">Add here</div>
+                          )}
+                        </div>
+                      )}
+                      {/* Drop indicator */}
+                      {target && (
+                        <div className="absolute inset-x-4 top-16 z-10 text-center text-xs font-semibold text-white bg-blue-600 rounded-full px-3 py-1 shadow pointer-events-none">
+                          {reorder === "insert" ? `Insert at ${slotTypes[idx] || `slot ${idx + 1}`}` : item ? `Swap with ${slotTypes[idx]}` : `Move to slot ${idx + 1}`}
+                        </div>
+                      )}
+                      {item && item.url ? (
+                        // Upright per EXIF orientation (the export bakes it in); click for the metadata inspector
+                        <img
+                          src={item.url}
+                          alt="preview"
+                          draggable={false}
+                          onClick={() => setInspecting(item)}
+                          title="Click to inspect metadata"
+                          style={{ imageOrientation: "from-image" }}
+                          className="max-h-44 w-full object-contain bg-gray-100 cursor-zoom-in"
+                        />
+                      ) : item ? (
+                        <div className="h-44 w-full flex flex-col items-center justify-center bg-red-50 text-red-700 text-xs p-3 text-center">
+                          <div className="font-semibold mb-1">Preview failed</div>
+                          <div className="opacity-80">File will still be renamed & downloaded.</div>
+                          <button
+                            type="button"
+                            onClick={() => openSlotPicker(idx)}
+                            className="mt-2 px-2 py-1 text-xs rounded border border-red-300 hover:bg-red-100"
+                          >
+                            Replace image
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => openSlotPicker(idx)}
+                          className="h-44 w-full flex items-center justify-center bg-gray-100 text-gray-500 text-sm hover:bg-gray-200"
+                        >
+                          Click here to upload image
+                        </button>
+                      )}
 
-                  <div className="p-3 text-xs text-gray-600">
-                    {item ? (
-                      <>
-                        <div className="text-[10px] uppercase text-gray-500 mb-0.5">Original file name:</div>
-                        <div className="font-mono break-all" title={item?.file?.name || ''}>{item?.file?.name || 'Unknown'}</div>
-                      </>
-                    ) : (
-                      <div className="text-gray-400 text-center">Slot empty</div>
-                    )}
-                  </div>
-                </li>
-              );
-            })}
-          </ul>
-        </div>
+                      {/* MAIN/PTxx, compliance, duplicate and error badges (top-left) */}
+                      {item && (
+                        <div className="absolute top-2 left-2 flex flex-wrap gap-1">
+                          {badge && (
+                            <div className={`text-xs font-semibold text-white px-3 py-1 rounded-full shadow-md ${clash ? "bg-red-600" : "bg-orange-600"}`}>
+                              {badge}
+                            </div>
+                          )}
+                          {check && (
+                            <div
+                              title={check.issues.map((issue) => issue.message).join("\n")}
+                              className={`text-xs font-semibold text-white px-2 py-1 rounded-full shadow-md ${
+                                check.status === "fail"
+                                  ? "bg-red-600"
+                                  : check.status === "warn"
+                                  ? "bg-amber-500"
+                                  : check.status === "pass"
+                                  ? "bg-green-600"
+                                  : "bg-gray-400"
+                              }`}
+                            >
+                              {check.status === "pending" ? "Checking…" : check.status.toUpperCase()}
+                            </div>
+                          )}
+                          {dup && (
+                            <button
+                              type="button"
+                              onClick={() => focusSlot(dup.index)}
+                              title={dup.kind === "exact" ? "Identical file content. Click to go to the other slot." : `Near-duplicate (${dup.distance} of 64 hash bits differ). Click to go to the other slot.`}
+                              className={`text-xs font-semibold text-white px-2 py-1 rounded-full shadow-md ${dup.kind === "exact" ? "bg-red-600 hover:bg-red-700" : "bg-amber-500 hover:bg-amber-600"}`}
+                            >
+                              {dup.kind === "exact" ? "Duplicate of" : "Similar to"} {slotTypes[dup.index] || `slot ${dup.index + 1}`}
+                            </button>
+                          )}
+                          {isError && (
+                            <div className="text-xs font-semibold bg-red-600 text-white px-2 py-1 rounded-full">Preview error</div>
+                          )}
+                          {meta?.gps && !metadata.strip && (
+                            <div title="This image contains a GPS location" className="text-xs font-semibold bg-amber-500 text-white px-2 py-1 rounded-full">GPS</div>
+                          )}
+                          {isEdited(item.edit) && (
+                            <div title={`${describeEdit(item.edit)} on export; the original file is kept`} className="text-xs font-semibold bg-blue-600 text-white px-2 py-1 rounded-full">
+                              Edited
+                            </div>
+                          )}
+                          {meta?.orientation > 1 && (
+                            <div title={metadata.fixOrientation ? "Rotated upright on export" : "Relies on the EXIF orientation tag"} className="text-xs font-semibold bg-gray-700 text-white px-2 py-1 rounded-full">
+                              {metadata.fixOrientation ? "Rotated" : "EXIF rotation"}
+                            </div>
+                          )}
+                        </div>
+                      )}
 
-        {/* Final filenames preview */}
-        <div className="mt-8 bg-white rounded-2xl shadow p-4">
-          <div className="flex items-center justify-between mb-2">
-            <h2 className="text-lg font-medium">Final filenames preview</h2>
- <button
-  onClick={async () => {
-    const names = computeFinalNames().join('\n');
-    try {
-      await navigator.clipboard.writeText(names);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 1200);
-    } catch (_) {}
-  }}
-  disabled={!filled.length}
-  className="px-3 py-2 rounded-xl border hover:bg-gray-50"
->
-  {copied ? 'Copied!' : 'Copy list'}
-</button>
+                      {item && (
+                        <div className="absolute top-2 right-2 flex gap-1">
+                          {!isError && (
+                            <button
+                              onClick={() => setEditing(idx)}
+                              title="Crop, rotate or flip"
+                              className="text-xs bg-white text-gray-800 border hover:bg-gray-50 px-2 py-1 rounded-full shadow"
+                            >
+                              Edit
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRemove(idx)}
+                            className="text-xs bg-red-600 text-white hover:bg-red-700 px-2 py-1 rounded-full"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      )}
+
+                      <div className="p-3 text-xs text-gray-600">
+                        {item ? (
+                          <>
+                            <div className="flex items-center justify-between">
+                              <div className="text-[10px] uppercase text-gray-500 mb-0.5">Original file name:</div>
+                              <span
+                                data-drag-handle
+                                aria-hidden="true"
+                                title="Drag to reorder"
+                                style={{ touchAction: "none" }}
+                                className="px-2 py-1 -mr-1 rounded text-gray-400 hover:bg-gray-100 cursor-grab select-none"
+                              >
+                                ⠿
+                              </span>
+                            </div>
+                            <div className="font-mono break-all" title={item?.file?.name || ''}>{item?.file?.name || 'Unknown'}</div>
+                            <SlotTypeSelect
+                              value={item.typeOverride || ""}
+                              autoType={item.typeOverride ? null : badge}
+                              slotCount={files.length}
+                              taken={files.filter((other) => other && other !== item && other.typeOverride).map((other) => other.typeOverride)}
+                              onChange={(code) => setSlotType(idx, code)}
+                            />
+                            {named && (
+                              <SlotNameField
+                                override={item.nameOverride}
+                                locked={!!item.nameLocked}
+                                generated={generatedStems[idx] || ""}
+                                finalName={named.name}
+                                duplicate={named.duplicate}
+                                problems={named.problems}
+                                onChange={(name, locked) => setSlotName(idx, name, locked)}
+                              />
+                            )}
+                          </>
+                        ) : (
+                          <div className="text-gray-400 text-center">Slot empty</div>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+
+            <ListingCompare
+              key={active.id}
+              rows={activeListing}
+              skipped={live[active.id]?.skipped}
+              proxy={liveProxy}
+              onProxyChange={setLiveProxy}
+              onImportFiles={importLiveFiles}
+              onImportUrls={importLiveUrls}
+              changedOnly={!!live[active.id]?.changedOnly}
+              onChangedOnly={(value) => updateLive(active.id, { changedOnly: value })}
+              onClear={() => setLive(({ [active.id]: _, ...rest }) => rest)}
+              busy={busy}
+            />
+
+            {/* Final filenames preview */}
+            <div className="mt-8 bg-white rounded-2xl shadow p-4">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-medium">Final filenames preview</h2>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={copyMode}
+                    onChange={(e) => setCopyMode(e.target.value)}
+                    aria-label="What to copy"
+                    className="border rounded-xl px-2 py-2 text-sm"
+                  >
+                    <option value="names">Filenames</option>
+                    <option value="manifest">Manifest (TSV)</option>
+                  </select>
+                  <button
+                    onClick={copyList}
+                    disabled={!filled.length || busy}
+                    className="px-3 py-2 rounded-xl border hover:bg-gray-50"
+                  >
+                    {copied ? 'Copied!' : 'Copy list'}
+                  </button>
+                </div>
+
+              </div>
+              <NamingTemplateEditor naming={naming} onChange={updateNaming} />
+              {filled.length ? (
+                <ul className="text-xs bg-gray-50 p-3 rounded-xl overflow-auto space-y-0.5">
+                  {validation.names.map(({ slot, name, problems, duplicate }) => (
+                    <li
+                      key={slot}
+                      className={problems.length || (duplicate && naming.duplicates === "block") ? "text-red-700" : duplicate ? "text-amber-700" : ""}
+                    >
+                      <span className="font-mono">{name}</span>
+                      {files[slot]?.nameOverride && <span className="text-gray-500"> ({files[slot].nameLocked ? "locked" : "custom"})</span>}
+                      {duplicate && <span> — same name as another image{naming.duplicates === "ask" ? "; you'll be asked to add _2, _3…" : ""}</span>}
+                      {problems.length > 0 && <span> — {problems.join("; ")}</span>}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  Add images to see the generated names. Example: <span className="font-mono">{sampleName()}</span>
+                </p>
+              )}
+            </div>
+
+            {/* Batch table: inline editing of every product's naming fields */}
+            <ProductTable
+              products={products}
+              activeId={active.id}
+              errors={fieldErrorsById}
+              onSelect={selectProduct}
+              onChange={updateProduct}
+              onRemove={removeProduct}
+              onAdd={addProduct}
+            />
 
+            <ManifestImport products={products} defaultSlotCount={SLOT_COUNT} busy={busy} onApply={applyManifest} />
           </div>
-          {filled.length ? (
-            <pre className="text-xs bg-gray-50 p-3 rounded-xl overflow-auto">{computeFinalNames().join('\n')}</pre>
-          ) : (
-            <p className="text-sm text-gray-500">Add images to see the generated names.</p>
-          )}
         </div>
       </div>
+      {exportJob && (
+        <ExportProgress job={exportJob} onCancel={() => exportAbort.current?.abort()} onClose={() => setExportJob(null)} />
+      )}
+      {editing != null && files[editing] && (
+        <ImageEditor
+          key={files[editing].id}
+          item={files[editing]}
+          type={slotTypes[editing]}
+          onSave={(edit) => saveEdit(editing, edit)}
+          onClose={closeEditor}
+        />
+      )}
+      {inspecting && (
+        <MetadataInspector item={inspecting} analysis={analyses[inspecting.id]} settings={metadata} onClose={closeInspector} />
+      )}
     </div>
   );
 }
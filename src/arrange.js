@@ -0,0 +1,53 @@
+import { parseTypeCode } from "./core/slotTypes.js";
+import { naturalCompare } from "./core/naming.js";
+
+// ---------------- Auto-arrange ----------------
+// Picks the most MAIN-like image for slot 0 and orders the rest by any type
+// suffix already in the vendor filename, then by natural filename order.
+
+// Type code embedded in a filename, e.g. "shoe_PT03.jpg" → "PT03", "SKU.MAIN.png" → "MAIN"
+export function typeHintFromName(name) {
+  const stem = String(name || "").replace(/\.[^.]+$/, "");
+  const m = /(?:^|[_.\-\s])(MAIN|PT\d{1,2}|SWCH)$/i.exec(stem) || /(?:^|[_.\-\s])(MAIN|PT\d{1,2}|SWCH)(?=[_.\-\s])/i.exec(stem);
+  return m ? parseTypeCode(m[1]) : null;
+}
+
+// 0…1: how well an analyzed image fits MAIN (pure white border, centered subject)
+export function mainScore(analysis) {
+  if (!analysis?.decoded || analysis.whiteBorderRatio == null) return 0;
+  const box = analysis.subjectBox;
+  let centered = 0;
+  if (box) {
+    const dx = box.x + box.w / 2 - 0.5;
+    const dy = box.y + box.h / 2 - 0.5;
+    // distance from the frame centre, 0 at the centre and 1 at a corner
+    centered = 1 - Math.min(1, Math.hypot(dx, dy) / Math.SQRT1_2);
+  }
+  return 0.65 * analysis.whiteBorderRatio + 0.35 * centered;
+}
+
+const hintRank = (code) => {
+  if (code === "MAIN") return 0;
+  const m = /^PT(\d+)$/.exec(code || "");
+  if (m) return Number(m[1]);
+  return code === "SWCH" ? 1000 : Infinity;
+};
+
+// Order filled items: MAIN first, then filename hints, then natural name order.
+// Returns {ordered, main: {item, reason}}.
+export function arrangeItems(items, analyses) {
+  const named = items.map((item) => ({ item, hint: typeHintFromName(item.file?.name), score: mainScore(analyses[item.id]) }));
+  if (!named.length) return { ordered: [], main: null };
+
+  let mainEntry = named.find((n) => n.hint === "MAIN");
+  let reason = "filename says MAIN";
+  if (!mainEntry) {
+    mainEntry = named.reduce((best, n) => (n.score > best.score ? n : best), named[0]);
+    reason = `best white-background score (${Math.round(mainEntry.score * 100)}%)`;
+  }
+
+  const rest = named
+    .filter((n) => n !== mainEntry)
+    .sort((a, b) => hintRank(a.hint) - hintRank(b.hint) || naturalCompare(a.item.file?.name, b.item.file?.name));
+  return { ordered: [mainEntry.item, ...rest.map((n) => n.item)], main: { item: mainEntry.item, reason } };
+}
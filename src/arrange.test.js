@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { arrangeItems, mainScore, typeHintFromName } from "./arrange";
+
+const item = (name) => ({ id: name, file: { name } });
+
+describe("typeHintFromName", () => {
+  it("finds a type code at the end or between separators", () => {
+    expect(typeHintFromName("shoe_pt3.jpg")).toBe("PT03");
+    expect(typeHintFromName("B0ABCDEFGH.MAIN.jpg")).toBe("MAIN");
+    expect(typeHintFromName("kit-SWCH-final.png")).toBe("SWCH");
+    expect(typeHintFromName("SHIPMENT.jpg")).toBeNull();
+    expect(typeHintFromName("domain.jpg")).toBeNull();
+  });
+});
+
+describe("mainScore", () => {
+  it("rewards a white border and a centered subject", () => {
+    const centered = { decoded: true, whiteBorderRatio: 1, subjectBox: { x: 0.25, y: 0.25, w: 0.5, h: 0.5 } };
+    expect(mainScore(centered)).toBeCloseTo(1);
+    expect(mainScore({ ...centered, subjectBox: { x: 0, y: 0, w: 0.2, h: 0.2 } })).toBeLessThan(mainScore(centered));
+    expect(mainScore({ decoded: false })).toBe(0);
+  });
+});
+
+describe("arrangeItems", () => {
+  it("puts a MAIN-named file first, then hints, then natural order", () => {
+    const items = ["b_10.jpg", "x_PT02.jpg", "b_2.jpg", "hero_MAIN.jpg", "x_PT01.jpg"].map(item);
+    const { ordered, main } = arrangeItems(items, {});
+    expect(ordered.map((i) => i.id)).toEqual(["hero_MAIN.jpg", "x_PT01.jpg", "x_PT02.jpg", "b_2.jpg", "b_10.jpg"]);
+    expect(main.reason).toBe("filename says MAIN");
+  });
+
+  it("otherwise picks the best white-background image", () => {
+    const items = ["a.jpg", "b.jpg"].map(item);
+    const { ordered, main } = arrangeItems(items, { "b.jpg": { decoded: true, whiteBorderRatio: 1, subjectBox: null } });
+    expect(ordered[0].id).toBe("b.jpg");
+    expect(main.reason).toBe("best white-background score (65%)");
+    expect(arrangeItems([], {})).toEqual({ ordered: [], main: null });
+  });
+});
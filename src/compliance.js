@@ -0,0 +1,239 @@
+import { dHash } from "./core/duplicates";
+import { isEdited } from "./core/edits";
+import { sha256Hex } from "./core/exportManifest";
+import { readMetadata } from "./core/metadata";
+import { computeLayout, decodeUpright, renderEdit } from "./imageProcessing";
+
+// ---------------- Amazon image compliance ----------------
+// Rules from Seller Central's product image requirements. Sizes are in px
+// on the longest side; MAIN images additionally need a pure white background.
+export const IMAGE_RULES = {
+  minSide: 500,
+  zoomSide: 1000,
+  maxSide: 10000,
+  maxBytes: 10 * 1024 * 1024,
+  formats: ["jpeg", "png", "gif", "tiff"],
+  // share of border samples that must be exactly RGB 255,255,255
+  mainWhitePass: 0.97,
+  mainWhiteWarn: 0.8,
+  // share of the frame the product should span (longest side of its bounding box)
+  mainFill: 0.85,
+};
+
+// Longest side we draw when sampling pixels; keeps 10000px uploads cheap.
+const SAMPLE_SIDE = 800;
+// Bytes read for EXIF/XMP; APP segments come before the image data.
+const METADATA_BYTES = 256 * 1024;
+// Channel value below which a pixel counts as "product" for the fill estimate.
+const SUBJECT_THRESHOLD = 245;
+
+const MIME_FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/pjpeg": "jpeg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/tiff": "tiff",
+  "image/tif": "tiff",
+};
+const EXT_FORMATS = { jpg: "jpeg", jpeg: "jpeg", png: "png", gif: "gif", tif: "tiff", tiff: "tiff" };
+
+// Resolve the accepted format of a File from its MIME type, then its extension.
+export function detectFormat(file) {
+  const byMime = MIME_FORMATS[(file?.type || "").toLowerCase()];
+  if (byMime) return byMime;
+  const m = /\.([^.]+)$/.exec(file?.name || "");
+  return (m && EXT_FORMATS[m[1].toLowerCase()]) || null;
+}
+
+async function decode(file) {
+  if (typeof createImageBitmap === "function") {
+    try {
+      return await decodeUpright(file);
+    } catch (_) {}
+  }
+  // Fallback for browsers without createImageBitmap support for this type
+  return await new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("decode failed")); };
+    img.src = url;
+  });
+}
+
+// Scan RGBA pixels for the white-border ratio and the subject's bounding box.
+// `edges` counts each side's border pixels ({white, clear, total}; corners belong to
+// top and bottom) so the border can be worked out again for padded or flattened output.
+export function measurePixels(data, width, height) {
+  const at = (x, y) => (y * width + x) * 4;
+  const edges = Object.fromEntries(["top", "bottom", "left", "right"].map((side) => [side, { white: 0, clear: 0, total: 0 }]));
+  const sampleBorder = (side, x, y) => {
+    const o = at(x, y);
+    const edge = edges[side];
+    edge.total++;
+    if (data[o] === 255 && data[o + 1] === 255 && data[o + 2] === 255 && data[o + 3] === 255) edge.white++;
+    else if (data[o + 3] < 16) edge.clear++;
+  };
+  for (let x = 0; x < width; x++) {
+    sampleBorder("top", x, 0);
+    if (height > 1) sampleBorder("bottom", x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sampleBorder("left", 0, y);
+    if (width > 1) sampleBorder("right", width - 1, y);
+  }
+  const borderTotal = Object.values(edges).reduce((n, e) => n + e.total, 0);
+  const borderWhite = Object.values(edges).reduce((n, e) => n + e.white, 0);
+
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = at(x, y);
+      // transparent pixels count as background
+      if (data[o + 3] < 16) continue;
+      if (data[o] < SUBJECT_THRESHOLD || data[o + 1] < SUBJECT_THRESHOLD || data[o + 2] < SUBJECT_THRESHOLD) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  const hasSubject = maxX >= 0;
+  const fillRatio = hasSubject ? Math.max((maxX - minX + 1) / width, (maxY - minY + 1) / height) : 0;
+  return {
+    whiteBorderRatio: borderTotal ? borderWhite / borderTotal : 0,
+    edges,
+    fillRatio,
+    subjectBox: hasSubject ? { x: minX / width, y: minY / height, w: (maxX - minX + 1) / width, h: (maxY - minY + 1) / height } : null,
+  };
+}
+
+// Decode a file and collect everything checkCompliance needs, measured on the slot's
+// edit (crop/rotate) when it has one. Never throws: undecodable files come back with decoded=false.
+export async function analyzeImage(file, edit = null) {
+  const edited = isEdited(edit);
+  // Orientation, camera and GPS for the tile badges and the inspector (EXIF sits near the start)
+  let metadata = null;
+  try {
+    metadata = readMetadata(new Uint8Array(await file.slice(0, METADATA_BYTES).arrayBuffer()));
+  } catch (_) {}
+  // Content hash for exact duplicate detection (an edited slot exports other bytes);
+  // the dHash below catches resized copies
+  let sha256 = null;
+  try {
+    if (!edited) sha256 = await sha256Hex(await file.arrayBuffer());
+  } catch (_) {}
+  let source;
+  try {
+    source = await decode(file);
+    if (edited) {
+      const upright = source;
+      source = renderEdit(upright, edit);
+      upright.close?.();
+    }
+  } catch (_) {
+    return { decoded: false, metadata, sha256, dhash: null };
+  }
+  const width = source.width || source.naturalWidth || 0;
+  const height = source.height || source.naturalHeight || 0;
+  const result = { decoded: true, width, height, whiteBorderRatio: null, fillRatio: null, subjectBox: null, metadata, sha256, dhash: null };
+  try {
+    const scale = Math.min(1, SAMPLE_SIDE / Math.max(width, height, 1));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, w, h);
+    const { data } = ctx.getImageData(0, 0, w, h);
+    Object.assign(result, measurePixels(data, w, h), { dhash: dHash(data, w, h) });
+  } catch (_) {
+    // pixel access can fail (e.g. tainted canvas); dimensions are still useful
+  } finally {
+    if (typeof source.close === "function") source.close();
+  }
+  return result;
+}
+
+const pct = (n) => `${Math.round(n * 100)}%`;
+
+// What the exported image will look like, given analyzeImage's measurements of the slot
+// and the export `output` ({size, upscale, pad, flatten}, null without processing):
+// {width, height, whiteBorderRatio, fillRatio}. Padding is white; flattening turns
+// transparent border pixels white.
+export function outputGeometry(analysis, output = null) {
+  const { width, height, whiteBorderRatio, fillRatio, subjectBox, edges } = analysis;
+  if (!output) return { width, height, whiteBorderRatio, fillRatio };
+  const layout = computeLayout(width, height, output);
+  const W = layout.canvasWidth;
+  const H = layout.canvasHeight;
+  // share of the frame the subject spans; the scale cancels out
+  const fill = subjectBox ? Math.max((subjectBox.w * layout.width) / W, (subjectBox.h * layout.height) / H) : fillRatio;
+  if (!edges || whiteBorderRatio == null) return { width: W, height: H, whiteBorderRatio, fillRatio: fill };
+
+  const white = (side) => (edges[side].total ? (edges[side].white + (output.flatten ? edges[side].clear : 0)) / edges[side].total : 1);
+  // Each side of the frame: all padding when the image sits inside it, else the image's
+  // edge with padding beside it
+  const side = (name, inset, length, imageLength) => (inset ? length : length - imageLength + white(name) * imageLength);
+  const whiteSum =
+    side("top", layout.y > 0, W, layout.width) +
+    side("bottom", layout.y + layout.height < H, W, layout.width) +
+    side("left", layout.x > 0, H, layout.height) +
+    side("right", layout.x + layout.width < W, H, layout.height);
+  return { width: W, height: H, whiteBorderRatio: whiteSum / (2 * W + 2 * H), fillRatio: fill };
+}
+
+// Evaluate one slot. Returns {status: "pass"|"warn"|"fail"|"pending", issues: [{level, message}]}.
+// `output` describes export processing when it will rewrite the file: {format, maxBytes}
+// plus the size, upscale, pad and flatten settings for this slot, so the checks apply to
+// the exported image rather than the original.
+export function checkCompliance(file, analysis, { isMain = false, output = null, rules = IMAGE_RULES } = {}) {
+  if (!analysis) return { status: "pending", issues: [] };
+  const issues = [];
+  const fail = (message) => issues.push({ level: "fail", message });
+  const warn = (message) => issues.push({ level: "warn", message });
+
+  const format = output?.format || detectFormat(file);
+  if (!format || !rules.formats.includes(format)) {
+    fail(`Format ${file?.type || "unknown"} not accepted (use JPEG, PNG, GIF or TIFF)`);
+  }
+  const capped = output?.maxBytes && output.maxBytes <= rules.maxBytes;
+  if (!capped && (file?.size || 0) >= rules.maxBytes) {
+    fail(`File is ${(file.size / 1024 / 1024).toFixed(1)} MB (limit 10 MB)`);
+  }
+
+  if (!analysis.decoded) {
+    warn("Could not decode image; dimensions not checked");
+  } else {
+    const out = outputGeometry(analysis, output);
+    const longest = Math.max(out.width, out.height);
+    const dims = `${out.width}×${out.height}`;
+    if (longest < rules.minSide) fail(`${dims} is below the ${rules.minSide}px minimum`);
+    else if (longest < rules.zoomSide) warn(`${dims}: under ${rules.zoomSide}px, zoom will be disabled`);
+    if (longest > rules.maxSide) fail(`${dims} exceeds the ${rules.maxSide}px maximum`);
+
+    if (isMain && out.whiteBorderRatio != null) {
+      if (out.whiteBorderRatio < rules.mainWhiteWarn) {
+        fail(`Background is not pure white (${pct(out.whiteBorderRatio)} of border is RGB 255)`);
+      } else if (out.whiteBorderRatio < rules.mainWhitePass) {
+        warn(`Background is mostly but not pure white (${pct(out.whiteBorderRatio)} of border is RGB 255)`);
+      }
+      if (out.fillRatio < rules.mainFill) {
+        warn(`Product fills about ${pct(out.fillRatio)} of the frame (aim for ${pct(rules.mainFill)})`);
+      }
+    }
+  }
+
+  const status = issues.some((i) => i.level === "fail") ? "fail" : issues.length ? "warn" : "pass";
+  return { status, issues };
+}
+
+// Count statuses across a list of checkCompliance results.
+export function summarizeCompliance(results) {
+  const summary = { pass: 0, warn: 0, fail: 0, pending: 0 };
+  results.forEach((r) => { summary[r.status] = (summary[r.status] || 0) + 1; });
+  return summary;
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import { IMAGE_RULES, checkCompliance, detectFormat, measurePixels, outputGeometry, summarizeCompliance } from "./compliance";
+
+// RGBA buffer filled white, with an opaque black rectangle [x0, x1) × [y0, y1)
+function canvas(width, height, box = null) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  if (box) {
+    for (let y = box.y0; y < box.y1; y++) {
+      for (let x = box.x0; x < box.x1; x++) data.set([0, 0, 0, 255], (y * width + x) * 4);
+    }
+  }
+  return data;
+}
+
+const file = (name, type, size = 1000) => ({ name, type, size });
+const analysis = (fields) => ({ decoded: true, width: 2000, height: 2000, whiteBorderRatio: 1, fillRatio: 0.9, ...fields });
+
+describe("detectFormat", () => {
+  it("prefers the MIME type and falls back to the extension", () => {
+    expect(detectFormat(file("a.png", "image/jpeg"))).toBe("jpeg");
+    expect(detectFormat(file("a.TIF", ""))).toBe("tiff");
+    expect(detectFormat(file("a.webp", "image/webp"))).toBeNull();
+  });
+});
+
+describe("measurePixels", () => {
+  it("measures the white border and the subject box", () => {
+    const m = measurePixels(canvas(10, 10, { x0: 2, x1: 8, y0: 4, y1: 6 }), 10, 10);
+    expect(m.whiteBorderRatio).toBe(1);
+    expect(m.fillRatio).toBeCloseTo(0.6);
+    expect(m.subjectBox).toEqual({ x: 0.2, y: 0.4, w: 0.6, h: 0.2 });
+  });
+
+  it("counts a subject touching the edge against the border", () => {
+    const m = measurePixels(canvas(10, 10, { x0: 0, x1: 10, y0: 0, y1: 1 }), 10, 10);
+    expect(m.whiteBorderRatio).toBeCloseTo(26 / 36);
+  });
+
+  it("treats transparent pixels as background", () => {
+    const data = canvas(4, 4);
+    data.set([0, 0, 0, 0], (1 * 4 + 1) * 4);
+    const m = measurePixels(data, 4, 4);
+    expect(m.subjectBox).toBeNull();
+    expect(m.fillRatio).toBe(0);
+  });
+});
+
+describe("checkCompliance", () => {
+  const jpeg = file("a.jpg", "image/jpeg");
+
+  it("is pending until analyzed and passes a good MAIN", () => {
+    expect(checkCompliance(jpeg, null).status).toBe("pending");
+    expect(checkCompliance(jpeg, analysis(), { isMain: true })).toEqual({ status: "pass", issues: [] });
+  });
+
+  it("fails small, oversized and unsupported files", () => {
+    expect(checkCompliance(jpeg, analysis({ width: 400, height: 300 })).status).toBe("fail");
+    expect(checkCompliance(file("a.jpg", "image/jpeg", IMAGE_RULES.maxBytes), analysis()).status).toBe("fail");
+    expect(checkCompliance(file("a.webp", "image/webp"), analysis()).status).toBe("fail");
+  });
+
+  it("trusts export processing to convert and cap the file", () => {
+    const big = file("a.webp", "image/webp", IMAGE_RULES.maxBytes * 2);
+    expect(checkCompliance(big, analysis(), { output: { format: "jpeg", maxBytes: 5 * 1024 * 1024 } }).status).toBe("pass");
+  });
+
+  it("counts a cap of exactly the limit as capped", () => {
+    const big = file("a.jpg", "image/jpeg", IMAGE_RULES.maxBytes * 2);
+    expect(checkCompliance(big, analysis(), { output: { format: "jpeg", maxBytes: IMAGE_RULES.maxBytes } }).status).toBe("pass");
+  });
+
+  it("checks the dimensions after resizing", () => {
+    const huge = analysis({ width: 12000, height: 9000 });
+    expect(checkCompliance(jpeg, huge).status).toBe("fail");
+    expect(checkCompliance(jpeg, huge, { output: { format: "jpeg", size: 2000 } })).toEqual({ status: "pass", issues: [] });
+    const small = checkCompliance(jpeg, huge, { output: { format: "jpeg", size: 800 } });
+    expect(small.issues).toEqual([{ level: "warn", message: "800×600: under 1000px, zoom will be disabled" }]);
+    const upscaled = checkCompliance(jpeg, analysis({ width: 400, height: 300 }), { output: { format: "jpeg", size: 1600, upscale: true } });
+    expect(upscaled.status).toBe("pass");
+  });
+
+  it("checks the MAIN background and fill only for MAIN", () => {
+    const grey = analysis({ whiteBorderRatio: 0.5, fillRatio: 0.5 });
+    const main = checkCompliance(jpeg, grey, { isMain: true });
+    expect(main.status).toBe("fail");
+    expect(main.issues.map((i) => i.level)).toEqual(["fail", "warn"]);
+    expect(checkCompliance(jpeg, grey).status).toBe("pass");
+    expect(checkCompliance(jpeg, analysis({ width: 800, height: 600 })).status).toBe("warn");
+  });
+
+  it("checks the MAIN background of the padded or flattened output", () => {
+    // subject spans the full height, so it touches the top and bottom edges
+    const tall = { decoded: true, width: 20, height: 10, ...measurePixels(canvas(20, 10, { x0: 8, x1: 12, y0: 0, y1: 10 }), 20, 10) };
+    expect(checkCompliance(jpeg, tall, { isMain: true }).issues.map((i) => i.message)).toContain(
+      "Background is mostly but not pure white (86% of border is RGB 255)"
+    );
+    const padded = { format: "jpeg", size: 0, pad: true, flatten: true };
+    expect(outputGeometry(tall, padded)).toEqual({ width: 20, height: 20, whiteBorderRatio: 1, fillRatio: 0.5 });
+    expect(checkCompliance(jpeg, tall, { isMain: true, output: padded }).issues.map((i) => i.message)).toEqual([
+      "20×20 is below the 500px minimum",
+      "Product fills about 50% of the frame (aim for 85%)",
+    ]);
+
+    const cutout = canvas(10, 10, { x0: 3, x1: 7, y0: 3, y1: 7 });
+    for (let i = 0; i < cutout.length; i += 4) if (cutout[i] === 255) cutout[i + 3] = 0;
+    const transparent = { decoded: true, width: 10, height: 10, ...measurePixels(cutout, 10, 10) };
+    expect(outputGeometry(transparent, { size: 0 }).whiteBorderRatio).toBe(0);
+    expect(outputGeometry(transparent, { size: 0, flatten: true }).whiteBorderRatio).toBe(1);
+  });
+
+  it("summarizes statuses", () => {
+    expect(summarizeCompliance([{ status: "pass" }, { status: "fail" }, { status: "pass" }])).toEqual({ pass: 2, warn: 0, fail: 1, pending: 0 });
+  });
+});
@@ -0,0 +1,64 @@
+import React from "react";
+
+const STATUS_LABELS = { waiting: "Waiting", rendering: "Processing", zipping: "Adding", writing: "Writing", done: "Done", skipped: "Skipped", failed: "Failed" };
+const STATUS_CLASSES = { rendering: "text-blue-700", zipping: "text-blue-700", writing: "text-blue-700", done: "text-green-700", skipped: "text-amber-700", failed: "text-red-700" };
+const STATE_LABELS = { running: "Exporting", finished: "Finished", cancelled: "Cancelled", failed: "Failed" };
+
+// Progress of a ZIP or folder export: overall bar, per-file status and Cancel.
+// ZIP jobs also carry their `compression`.
+export default function ExportProgress({ job, onCancel, onClose }) {
+  const running = job.state === "running";
+  const percent = Math.round(job.fraction * 100);
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-96 max-w-full bg-white rounded-2xl shadow-xl border p-4 text-sm">
+      <div className="flex items-center gap-2">
+        <div className="min-w-0">
+          <div className="font-medium truncate" title={job.title}>
+            {STATE_LABELS[job.state]} {job.title}
+          </div>
+          <div className="text-xs text-gray-500" aria-live="polite">
+            {job.done} of {job.total} files · {percent}%
+            {job.compression ? ` · ${job.compression === "deflate" ? "Deflate" : "Store"}` : ""}
+            {job.message ? ` · ${job.message}` : ""}
+          </div>
+        </div>
+        {running ? (
+          <button onClick={onCancel} className="ml-auto px-3 py-1 rounded-xl border border-red-300 text-red-700 hover:bg-red-50">
+            Cancel
+          </button>
+        ) : (
+          <button onClick={onClose} className="ml-auto px-3 py-1 rounded-xl border hover:bg-gray-50">
+            Close
+          </button>
+        )}
+      </div>
+      <div
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        aria-label="Export progress"
+        className="mt-3 h-2 bg-gray-200 rounded-full overflow-hidden"
+      >
+        <div
+          className={`h-full ${job.state === "failed" || job.state === "cancelled" ? "bg-gray-400" : "bg-blue-600"}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <details className="mt-3">
+        <summary className="cursor-pointer text-xs text-gray-600">Files</summary>
+        <ul className="mt-2 max-h-48 overflow-auto space-y-0.5 text-xs">
+          {job.files.map((file, i) => (
+            <li key={i} className="flex gap-2">
+              <span className="font-mono truncate flex-1" title={file.path}>{file.path}</span>
+              <span className={STATUS_CLASSES[file.status] || "text-gray-500"} title={file.note}>
+                {STATUS_LABELS[file.status]}
+                {file.note ? " *" : ""}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from "react";
+import { PRODUCT_SOURCES, parseCampaignCodes, patternError } from "../core/fieldRules";
+
+// Rules that fill the naming fields from the images: product from the first file name or
+// its folder, differentiator from the managed campaign code list
+export default function FieldRulesPanel({ rules, onChange }) {
+  const joined = rules.campaignCodes.join(", ");
+  const [codes, setCodes] = useState(joined);
+  useEffect(() => setCodes(joined), [joined]);
+  const error = rules.product !== "off" && rules.pattern ? patternError(rules.pattern) : "";
+  const source = PRODUCT_SOURCES.find((s) => s.value === rules.product);
+
+  const commitCodes = () => {
+    const next = parseCampaignCodes(codes);
+    if (next.join(", ") !== joined) onChange({ campaignCodes: next });
+    else setCodes(joined);
+  };
+
+  return (
+    <details className="bg-white rounded-2xl shadow p-4 mb-6">
+      <summary className="cursor-pointer text-sm font-medium">
+        Field rules
+        <span className="font-normal text-gray-500">
+          {rules.product !== "off" && ` · product from ${source.label.toLowerCase()}`}
+          {rules.campaignCodes.length > 0 && ` · ${rules.campaignCodes.length} campaign code${rules.campaignCodes.length === 1 ? "" : "s"}`}
+        </span>
+      </summary>
+      <div className="mt-3 grid md:grid-cols-4 gap-3 text-sm">
+        <div className="flex flex-col gap-1">
+          <label className="font-medium">Product name from</label>
+          <select value={rules.product} onChange={(e) => onChange({ product: e.target.value })} className="border rounded-xl px-3 py-2">
+            {PRODUCT_SOURCES.map((s) => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="font-medium">Pattern</label>
+          <input
+            value={rules.pattern}
+            onChange={(e) => onChange({ pattern: e.target.value })}
+            disabled={rules.product === "off"}
+            placeholder="e.g. ^([^_]+)_"
+            className={`border rounded-xl px-3 py-2 font-mono ${error ? "border-red-400" : ""}`}
+          />
+          {error ? (
+            <div className="text-xs text-red-700">{error}</div>
+          ) : (
+            <div className="text-xs text-gray-500">Group 1 or the whole match becomes the product; empty uses the name as is</div>
+          )}
+        </div>
+        <div className="flex flex-col gap-1 md:col-span-2">
+          <label className="font-medium">Campaign codes</label>
+          <input
+            value={codes}
+            onChange={(e) => setCodes(e.target.value)}
+            onBlur={commitCodes}
+            onKeyDown={(e) => e.key === "Enter" && commitCodes()}
+            placeholder="e.g. WOMENREFRESH, SPRING26"
+            className="border rounded-xl px-3 py-2 font-mono"
+          />
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={rules.diffFromCodes} onChange={(e) => onChange({ diffFromCodes: e.target.checked })} />
+            Take the differentiator from a code in the folder or file names
+          </label>
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Rules only fill empty fields and ones they filled before; typing a value keeps it. The date follows the current month until it is typed or locked.
+      </p>
+    </details>
+  );
+}
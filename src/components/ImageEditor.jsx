@@ -0,0 +1,225 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  CROP_ASPECTS,
+  DEFAULT_EDIT,
+  TRIM_FILL,
+  cropFromPoints,
+  describeEdit,
+  fitAspect,
+  flipEdit,
+  frameSize,
+  isEdited,
+  moveCrop,
+  rotateEdit,
+  trimEdit,
+} from "../core/edits";
+import { measurePixels } from "../compliance";
+import { EDITOR_PREVIEW, renderEdit } from "../imageProcessing";
+import { processInBackground } from "../processingClient";
+
+// Corner handles and the corner each one resizes from
+const HANDLES = [
+  { id: "nw", className: "left-0 top-0 -translate-x-1/2 -translate-y-1/2 cursor-nwse-resize", anchor: (c) => ({ x: c.x + c.w, y: c.y + c.h }) },
+  { id: "ne", className: "right-0 top-0 translate-x-1/2 -translate-y-1/2 cursor-nesw-resize", anchor: (c) => ({ x: c.x, y: c.y + c.h }) },
+  { id: "sw", className: "left-0 bottom-0 -translate-x-1/2 translate-y-1/2 cursor-nesw-resize", anchor: (c) => ({ x: c.x + c.w, y: c.y }) },
+  { id: "se", className: "right-0 bottom-0 translate-x-1/2 translate-y-1/2 cursor-nwse-resize", anchor: (c) => ({ x: c.x, y: c.y }) },
+];
+
+function drawInto(canvas, source) {
+  if (!canvas) return;
+  canvas.width = source.width;
+  canvas.height = source.height;
+  canvas.getContext("2d").drawImage(source, 0, 0);
+}
+
+// Modal crop/rotate editor for one slot. Works on a downscaled upright copy and hands
+// back edit parameters (core/edits); the export applies them to the original file.
+export default function ImageEditor({ item, type, onSave, onClose }) {
+  const [edit, setEdit] = useState(() => ({ ...DEFAULT_EDIT, ...item.edit }));
+  const [aspect, setAspect] = useState("free");
+  const [source, setSource] = useState(null); // upright preview bitmap
+  const [subject, setSubject] = useState(null); // product box on the upright preview
+  const [failed, setFailed] = useState(false);
+  const frameRef = useRef(null);
+  const resultRef = useRef(null);
+  const drag = useRef(null); // {mode: "draw" | "resize" | "move", anchor, start, crop}
+
+  useEffect(() => {
+    let cancelled = false;
+    let bitmap = null;
+    processInBackground(item.file, EDITOR_PREVIEW, null)
+      .then((blob) => createImageBitmap(blob))
+      .then((decoded) => {
+        bitmap = decoded;
+        if (cancelled) return decoded.close?.();
+        const canvas = document.createElement("canvas");
+        drawInto(canvas, decoded);
+        try {
+          const data = canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height).data;
+          setSubject(measurePixels(data, canvas.width, canvas.height).subjectBox);
+        } catch (_) {}
+        setSource(decoded);
+      })
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+      bitmap?.close?.();
+    };
+  }, [item]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  // The full turned frame (the crop is drawn on top of it) and the finished result
+  useEffect(() => {
+    if (!source) return;
+    drawInto(frameRef.current, renderEdit(source, { ...edit, crop: null, fill: 0 }));
+    drawInto(resultRef.current, renderEdit(source, edit));
+  }, [source, edit]);
+
+  const frame = source ? frameSize(source.width, source.height, edit) : { width: 1, height: 1 };
+  const ratio = CROP_ASPECTS.find((a) => a.id === aspect)?.ratio || null;
+
+  const pickAspect = (id) => {
+    setAspect(id);
+    const next = CROP_ASPECTS.find((a) => a.id === id)?.ratio;
+    if (next) setEdit((prev) => ({ ...prev, crop: fitAspect(prev.crop, next, frame.width, frame.height) }));
+  };
+
+  // Pointer position as a fraction of the frame
+  const pointAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+  };
+
+  const onPointerDown = (e) => {
+    if (!source || e.button !== 0) return;
+    e.preventDefault();
+    const point = pointAt(e);
+    const handle = HANDLES.find((h) => h.id === e.target.dataset.handle);
+    const c = edit.crop;
+    const inside = c && point.x >= c.x && point.x <= c.x + c.w && point.y >= c.y && point.y <= c.y + c.h;
+    if (handle && c) drag.current = { mode: "resize", anchor: handle.anchor(c) };
+    else if (inside) drag.current = { mode: "move", start: point, crop: c };
+    else drag.current = { mode: "draw", anchor: point };
+    try { e.currentTarget.setPointerCapture(e.pointerId); } catch (_) {}
+  };
+
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d) return;
+    const point = pointAt(e);
+    const crop =
+      d.mode === "move"
+        ? moveCrop(d.crop, point.x - d.start.x, point.y - d.start.y)
+        : cropFromPoints(d.anchor, point, ratio, frame.width, frame.height);
+    setEdit((prev) => ({ ...prev, crop }));
+  };
+
+  const onPointerUp = () => {
+    drag.current = null;
+  };
+
+  const button = "px-3 py-1 text-sm rounded-xl border hover:bg-gray-50";
+  const crop = edit.crop;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Edit image"
+        className="bg-white rounded-2xl shadow-xl max-w-4xl w-full max-h-screen overflow-auto p-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 mb-4">
+          <h2 className="text-lg font-semibold break-all">
+            Edit {type ? `${type} · ` : ""}{item.file?.name || "image"}
+          </h2>
+          <button onClick={onClose} className={`ml-auto ${button}`}>Cancel</button>
+          <button onClick={() => onSave(isEdited(edit) ? edit : null)} className="px-3 py-1 text-sm rounded-xl bg-gray-900 text-white hover:bg-black">
+            Save
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+          <button onClick={() => setEdit((prev) => rotateEdit(prev, -90))} className={button} title="Rotate 90° counter-clockwise">⟲ 90°</button>
+          <button onClick={() => setEdit((prev) => rotateEdit(prev, 90))} className={button} title="Rotate 90° clockwise">⟳ 90°</button>
+          <button onClick={() => setEdit((prev) => flipEdit(prev, "horizontal"))} className={button}>Flip ↔</button>
+          <button onClick={() => setEdit((prev) => flipEdit(prev, "vertical"))} className={button}>Flip ↕</button>
+          <span className="ml-2 text-gray-500">Crop:</span>
+          {CROP_ASPECTS.map((a) => (
+            <button key={a.id} onClick={() => pickAspect(a.id)} className={`${button} ${aspect === a.id ? "bg-gray-900 text-white hover:bg-black" : ""}`}>
+              {a.label}
+            </button>
+          ))}
+          {crop && <button onClick={() => setEdit((prev) => ({ ...prev, crop: null }))} className={button}>Clear crop</button>}
+          {type === "MAIN" && (
+            <button
+              onClick={() => setEdit((prev) => trimEdit(prev, subject))}
+              disabled={!subject}
+              title={subject ? "" : "No product found against the background"}
+              className={`${button} ${subject ? "" : "opacity-50 cursor-not-allowed"}`}
+            >
+              Auto-trim &amp; pad to {Math.round(TRIM_FILL * 100)}%
+            </button>
+          )}
+          <button onClick={() => setEdit(DEFAULT_EDIT)} className={`ml-auto ${button}`}>Reset</button>
+        </div>
+
+        {failed && <p className="text-red-700 text-sm">This image could not be opened for editing.</p>}
+        {!source && !failed && <p className="text-gray-500 text-sm">Loading image…</p>}
+        <div className={`grid md:grid-cols-3 gap-4 ${source ? "" : "hidden"}`}>
+          <div className="md:col-span-2 flex justify-center bg-gray-100 rounded-xl p-2">
+            <div
+              className="relative inline-block overflow-hidden select-none cursor-crosshair"
+              style={{ touchAction: "none" }}
+              onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerCancel={onPointerUp}
+            >
+              <canvas ref={frameRef} className="block max-w-full max-h-96" />
+              {crop && (
+                <div
+                  className="absolute border-2 border-white border-dashed cursor-move"
+                  style={{
+                    left: `${crop.x * 100}%`,
+                    top: `${crop.y * 100}%`,
+                    width: `${crop.w * 100}%`,
+                    height: `${crop.h * 100}%`,
+                    boxShadow: "0 0 0 9999px rgba(0, 0, 0, 0.5)",
+                  }}
+                >
+                  {HANDLES.map((h) => (
+                    <span key={h.id} data-handle={h.id} className={`absolute w-3 h-3 bg-white border border-gray-700 transform ${h.className}`} />
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="text-sm space-y-2">
+            <div className="font-medium">Result</div>
+            <div className="bg-gray-100 rounded-xl p-2 flex justify-center">
+              <canvas ref={resultRef} className="block max-w-full max-h-48" />
+            </div>
+            <p className="text-gray-600">{describeEdit(edit) || "No changes."}</p>
+            {edit.fill > 0 && (
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked onChange={() => setEdit((prev) => ({ ...prev, fill: 0 }))} />
+                Pad to {Math.round(edit.fill * 100)}% on a white square
+              </label>
+            )}
+            <p className="text-xs text-gray-500">
+              Drag on the image to crop; drag the box to move it or its corners to resize. The original file is kept and
+              the edit is applied when exporting.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
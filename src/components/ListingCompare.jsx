@@ -0,0 +1,122 @@
+import React, { useRef, useState } from "react";
+import { countStatuses } from "../core/listingDiff";
+
+const STATUS_STYLES = {
+  changed: "bg-amber-500",
+  added: "bg-green-600",
+  removed: "bg-red-600",
+  unchanged: "bg-gray-400",
+  pending: "bg-gray-300 text-gray-700",
+};
+
+const Thumb = ({ entry, empty }) =>
+  entry?.item?.url ? (
+    <img src={entry.item.url} alt="" className="h-28 w-full object-contain bg-gray-100 rounded-xl" />
+  ) : (
+    <div className="h-28 w-full flex items-center justify-center bg-gray-50 border border-dashed rounded-xl text-xs text-gray-400">{empty}</div>
+  );
+
+// Side-by-side view of the live listing and the new set for the active product, with
+// importers for the live images and the "only changed slots" export switch
+export default function ListingCompare({ rows, skipped, proxy, onProxyChange, onImportFiles, onImportUrls, changedOnly, onChangedOnly, onClear, busy }) {
+  const [urls, setUrls] = useState("");
+  const filesRef = useRef(null);
+  const folderRef = useRef(null);
+  const counts = rows ? countStatuses(rows) : null;
+
+  const pick = (e) => {
+    const list = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (list.length) onImportFiles(list);
+  };
+
+  return (
+    <details className="mt-8 bg-white rounded-2xl shadow p-4">
+      <summary className="cursor-pointer text-sm font-medium">
+        Compare with the live listing
+        {counts && `: ${counts.changed} changed, ${counts.added} added, ${counts.removed} removed, ${counts.unchanged} unchanged`}
+        {counts?.pending ? `, ${counts.pending} checking…` : ""}
+      </summary>
+
+      <div className="mt-3 grid md:grid-cols-2 gap-4 text-sm">
+        <div className="flex flex-col gap-2">
+          <div className="font-medium">Current images as files</div>
+          <p className="text-xs text-gray-500">A folder or ZIP of files named like ASIN.MAIN.jpg, ASIN.PT01.jpg…</p>
+          <input ref={filesRef} type="file" multiple accept="image/*,.tif,.tiff,.zip" onChange={pick} className="hidden" />
+          <input ref={folderRef} type="file" webkitdirectory="" onChange={pick} className="hidden" />
+          <div className="flex gap-2">
+            <button onClick={() => filesRef.current?.click()} disabled={busy} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Files or ZIP…</button>
+            <button onClick={() => folderRef.current?.click()} disabled={busy} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Folder…</button>
+          </div>
+        </div>
+        <div className="flex flex-col gap-2">
+          <div className="font-medium">Current images as URLs</div>
+          <textarea
+            value={urls}
+            onChange={(e) => setUrls(e.target.value)}
+            rows={3}
+            placeholder={"One per line, in listing order or typed:\nMAIN https://m.media-amazon.com/images/I/…jpg"}
+            className="border rounded-xl px-3 py-2 font-mono text-xs"
+          />
+          <div className="flex gap-2">
+            <input
+              value={proxy}
+              onChange={(e) => onProxyChange(e.target.value)}
+              placeholder="Proxy, e.g. https://proxy.example/?url={url}"
+              title="Image hosts rarely allow direct downloads from another site. {url} is replaced by the encoded image URL; without it the URL is appended."
+              className="border rounded-xl px-3 py-2 flex-1 text-xs"
+            />
+            <button onClick={() => onImportUrls(urls)} disabled={busy || !urls.trim()} className="px-3 py-2 rounded-xl border hover:bg-gray-50">
+              Fetch
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {skipped?.length > 0 && (
+        <ul className="mt-3 list-disc pl-5 space-y-0.5 text-xs text-amber-800">
+          {skipped.map((s, i) => (
+            <li key={i}><span className="font-mono break-all">{s.name}</span> — {s.reason}</li>
+          ))}
+        </ul>
+      )}
+
+      {rows && (
+        <>
+          <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={changedOnly} onChange={(e) => onChangedOnly(e.target.checked)} />
+              Export only changed and added slots
+            </label>
+            <button onClick={onClear} className="ml-auto text-xs px-2 py-1 rounded border hover:bg-gray-50">Forget live images</button>
+          </div>
+          <div className="mt-3 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-5 gap-3">
+            {rows.map((row) => (
+              <div key={row.type} className={`border rounded-2xl p-2 ${row.status === "unchanged" ? "opacity-60" : ""}`}>
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-xs font-semibold">{row.type}</span>
+                  <span
+                    title={row.status === "unchanged" && row.distance ? `Near match (${row.distance} of 64 hash bits differ)` : ""}
+                    className={`text-xs font-semibold text-white px-2 py-0.5 rounded-full ${STATUS_STYLES[row.status]}`}
+                  >
+                    {row.status === "pending" ? "checking" : row.status}
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-1 text-center text-[10px] uppercase text-gray-500">
+                  <div>
+                    <Thumb entry={row.live} empty="not live" />
+                    Live
+                  </div>
+                  <div>
+                    <Thumb entry={row.current} empty="removed" />
+                    New
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useMemo, useRef, useState } from "react";
+import { isManifestFile, planManifest, readManifest } from "../manifest";
+
+const REPORT_SECTIONS = [
+  { key: "missingFiles", label: "Listed in manifest but not dropped" },
+  { key: "unmatchedFiles", label: "Dropped but not in manifest" },
+  { key: "duplicates", label: "Duplicate assignments" },
+  { key: "conflicts", label: "Replaces images already in the grid" },
+  { key: "missingPositions", label: "Missing positions" },
+  { key: "invalid", label: "Rows skipped" },
+];
+
+// Studio hand-off: a CSV/XLSX manifest plus the image files, matched by original filename
+export default function ManifestImport({ products, defaultSlotCount, busy, onApply }) {
+  const [manifestName, setManifestName] = useState("");
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState("");
+  const [images, setImages] = useState([]);
+  const manifestInput = useRef(null);
+  const imagesInput = useRef(null);
+  const folderInput = useRef(null);
+
+  const plan = useMemo(
+    () => (entries.length ? planManifest(entries, images, products, defaultSlotCount) : null),
+    [entries, images, products, defaultSlotCount]
+  );
+
+  const loadManifest = async (file) => {
+    setManifestName(file.name);
+    try {
+      const parsed = await readManifest(file);
+      setEntries(parsed.entries);
+      setError(parsed.error || "");
+    } catch (e) {
+      console.error(e);
+      setEntries([]);
+      setError("Could not read the manifest file.");
+    }
+  };
+
+  const addImages = (list) => {
+    const imgs = list.filter((f) => !isManifestFile(f));
+    if (imgs.length) setImages((prev) => [...prev, ...imgs]);
+  };
+
+  const onDrop = async (e) => {
+    e.preventDefault();
+    const dropped = Array.from(e.dataTransfer.files || []);
+    const manifest = dropped.find(isManifestFile);
+    if (manifest) await loadManifest(manifest);
+    addImages(dropped);
+  };
+
+  const reset = () => {
+    setManifestName("");
+    setEntries([]);
+    setError("");
+    setImages([]);
+  };
+
+  const apply = () => {
+    if (!plan?.assignments.length) return;
+    const replacing = plan.report.conflicts.length;
+    if (replacing && !confirm(`${replacing} image${replacing === 1 ? "" : "s"} already in the grid will be replaced. Continue?`)) return;
+    onApply(plan);
+    reset();
+  };
+
+  return (
+    <div
+      className="mt-6 bg-white rounded-2xl shadow p-4"
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={onDrop}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-medium">Import manifest</h2>
+        {(manifestName || images.length > 0) && (
+          <button onClick={reset} className="text-xs px-2 py-1 rounded-lg border hover:bg-gray-50">Reset</button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        Drop a CSV/XLSX manifest (filename, SKU or ASIN, position) together with the images, or pick them below.
+      </p>
+      <input
+        ref={manifestInput}
+        type="file"
+        accept=".csv,.tsv,.txt,.xlsx"
+        className="hidden"
+        onChange={(e) => { const f = e.target.files?.[0]; if (f) loadManifest(f); e.target.value = ""; }}
+      />
+      <input
+        ref={imagesInput}
+        type="file"
+        multiple
+        accept="image/*"
+        className="hidden"
+        onChange={(e) => { addImages(Array.from(e.target.files || [])); e.target.value = ""; }}
+      />
+      <input
+        ref={folderInput}
+        type="file"
+        webkitdirectory=""
+        className="hidden"
+        onChange={(e) => { addImages(Array.from(e.target.files || [])); e.target.value = ""; }}
+      />
+      <div className="flex flex-wrap gap-2 text-sm">
+        <button onClick={() => manifestInput.current?.click()} className="px-3 py-2 rounded-xl border hover:bg-gray-50">
+          {manifestName ? `Manifest: ${manifestName}` : "Choose manifest"}
+        </button>
+        <button onClick={() => imagesInput.current?.click()} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Choose images</button>
+        <button onClick={() => folderInput.current?.click()} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Choose folder</button>
+        <span className="self-center text-gray-500">{images.length} image{images.length === 1 ? "" : "s"} loaded</span>
+      </div>
+
+      {error && <div className="mt-3 text-sm text-red-700">{error}</div>}
+
+      {plan && (
+        <div className="mt-3 text-sm">
+          <div className="mb-2">
+            {plan.assignments.length} of {entries.length} rows matched to a slot.
+          </div>
+          {REPORT_SECTIONS.filter(({ key }) => plan.report[key].length).map(({ key, label }) => (
+            <details key={key} className="mb-1">
+              <summary className="cursor-pointer text-amber-800">
+                {label} ({plan.report[key].length})
+              </summary>
+              <ul className="list-disc pl-5 text-xs font-mono text-gray-700">
+                {plan.report[key].map((line, i) => <li key={i}>{line}</li>)}
+              </ul>
+            </details>
+          ))}
+          <button
+            onClick={apply}
+            disabled={busy || !plan.assignments.length}
+            className={`mt-2 px-4 py-2 rounded-xl text-white ${busy || !plan.assignments.length ? "bg-gray-400" : "bg-blue-600 hover:bg-blue-700"}`}
+          >
+            Assign {plan.assignments.length} image{plan.assignments.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from "react";
+import { orientationLabel, readMetadata } from "../core/metadata";
+
+const Row = ({ label, children }) => (
+  <div className="flex gap-3 py-1 border-b last:border-0">
+    <div className="w-32 shrink-0 text-gray-500">{label}</div>
+    <div className="break-all">{children}</div>
+  </div>
+);
+
+// Modal with what a slot's file carries (camera, GPS, orientation, XMP/IPTC) and
+// what the export settings will do with it
+export default function MetadataInspector({ item, analysis, settings, onClose }) {
+  const [meta, setMeta] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    item.file
+      .arrayBuffer()
+      .then((buffer) => !cancelled && setMeta(readMetadata(new Uint8Array(buffer))))
+      .catch(() => !cancelled && setFailed(true));
+    return () => { cancelled = true; };
+  }, [item]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const blocks = meta ? [meta.exif && "EXIF", meta.xmp && "XMP", meta.iptc && "IPTC", meta.icc && "ICC profile", meta.comments && "Comments"].filter(Boolean) : [];
+  const actions = meta
+    ? [
+        settings.fixOrientation && meta.orientation > 1 && "Rotate the pixels upright",
+        settings.strip && blocks.some((b) => b !== "ICC profile") && "Remove EXIF, GPS, XMP, IPTC and comments",
+        !settings.strip && meta.gps && "Keep the GPS location (stripping is off)",
+        settings.embed && meta.format === "jpeg" && "Write product, ASIN, slot type and copyright as XMP/IPTC",
+      ].filter(Boolean)
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Image metadata"
+        className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-screen overflow-auto p-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 mb-4">
+          <h2 className="text-lg font-semibold break-all">{item.file?.name || "Image"}</h2>
+          <button onClick={onClose} className="ml-auto px-3 py-1 text-sm rounded-xl border hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+        <div className="grid md:grid-cols-2 gap-4">
+          {item.url && <img src={item.url} alt="preview" className="w-full max-h-72 object-contain bg-gray-100 rounded-xl" style={{ imageOrientation: "from-image" }} />}
+          <div className="text-sm">
+            {failed && <p className="text-red-700">Could not read this file.</p>}
+            {!meta && !failed && <p className="text-gray-500">Reading metadata…</p>}
+            {meta && (
+              <>
+                <Row label="Format">{meta.format === "other" ? item.file?.type || "Unknown" : meta.format.toUpperCase()}</Row>
+                {analysis?.decoded && <Row label="Dimensions">{analysis.width} × {analysis.height}px (upright)</Row>}
+                <Row label="Size">{(item.file.size / 1024).toFixed(0)} KB</Row>
+                <Row label="Orientation">
+                  {orientationLabel(meta.orientation)}
+                  {meta.orientation > 1 && <span className="text-gray-500"> (EXIF {meta.orientation})</span>}
+                </Row>
+                {meta.camera && <Row label="Camera">{meta.camera}</Row>}
+                {meta.taken && <Row label="Taken">{meta.taken}</Row>}
+                {meta.software && <Row label="Software">{meta.software}</Row>}
+                {meta.artist && <Row label="Artist">{meta.artist}</Row>}
+                {meta.copyright && <Row label="Copyright">{meta.copyright}</Row>}
+                <Row label="GPS">
+                  {meta.gps ? (
+                    <span className="text-amber-700">
+                      {meta.gps.latitude.toFixed(5)}, {meta.gps.longitude.toFixed(5)}
+                    </span>
+                  ) : (
+                    "None"
+                  )}
+                </Row>
+                <Row label="Blocks">{blocks.join(", ") || "None"}</Row>
+                <div className="mt-3">
+                  <div className="font-medium">On export</div>
+                  {actions.length ? (
+                    <ul className="list-disc pl-5 text-gray-700">
+                      {actions.map((a) => <li key={a}>{a}</li>)}
+                    </ul>
+                  ) : (
+                    <p className="text-gray-500">Metadata is left as is.</p>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
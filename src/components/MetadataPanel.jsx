@@ -0,0 +1,48 @@
+import React from "react";
+
+// Export metadata settings: strip EXIF/GPS, bake orientation, embed listing fields
+export default function MetadataPanel({ metadata, onChange }) {
+  const summary = [metadata.strip ? "strip" : "keep", metadata.fixOrientation && "fix orientation", metadata.embed && "embed listing info"]
+    .filter(Boolean)
+    .join(", ");
+  return (
+    <details className="bg-white rounded-2xl shadow p-4 mb-6">
+      <summary className="cursor-pointer text-sm font-medium">Export metadata: {summary}</summary>
+      <div className="mt-3 grid md:grid-cols-3 gap-3 text-sm">
+        <label className="flex items-start gap-2">
+          <input type="checkbox" checked={metadata.strip} onChange={(e) => onChange({ strip: e.target.checked })} className="mt-1" />
+          <span>
+            Strip metadata
+            <span className="block text-xs text-gray-500">Removes EXIF (camera, GPS location), XMP, IPTC and comments. Colour profiles are kept.</span>
+          </span>
+        </label>
+        <label className="flex items-start gap-2">
+          <input type="checkbox" checked={metadata.fixOrientation} onChange={(e) => onChange({ fixOrientation: e.target.checked })} className="mt-1" />
+          <span>
+            Fix orientation
+            <span className="block text-xs text-gray-500">Rotates phone photos upright in the pixels, so viewers that ignore the EXIF tag show them correctly.</span>
+          </span>
+        </label>
+        <div className="flex flex-col gap-1">
+          <label className="flex items-start gap-2">
+            <input type="checkbox" checked={metadata.embed} onChange={(e) => onChange({ embed: e.target.checked })} className="mt-1" />
+            <span>
+              Embed listing info (JPEG)
+              <span className="block text-xs text-gray-500">Writes product, ASIN and slot type as XMP and IPTC.</span>
+            </span>
+          </label>
+          <input
+            value={metadata.copyright}
+            disabled={!metadata.embed}
+            onChange={(e) => onChange({ copyright: e.target.value })}
+            placeholder="Copyright, e.g. © 2025 Brand Ltd"
+            className="border rounded-xl px-3 py-2"
+          />
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        With all options off, exports are the original files byte for byte. Any option re-writes them, so individual downloads wait until every file is ready.
+      </p>
+    </details>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import { CASES, DEFAULT_FORBIDDEN, DUPLICATE_MODES, SEPARATORS, TEMPLATE_PRESETS, TOKENS, formatTypeNames, parseTypeNames, unknownTokens } from "../core/template";
+
+// Free text while typing; parsed into the typeNames map on blur so half-typed pairs survive
+function TypeNamesInput({ value, onChange }) {
+  const formatted = formatTypeNames(value);
+  const [text, setText] = useState(formatted);
+  useEffect(() => setText(formatted), [formatted]);
+
+  const commit = () => {
+    const next = parseTypeNames(text);
+    if (formatTypeNames(next) !== formatted) onChange(next);
+    else setText(formatted);
+  };
+
+  return (
+    <input
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+      placeholder="e.g. PT01=ALT1, SWCH=SWATCH"
+      className="border rounded-xl px-3 py-2 font-mono"
+    />
+  );
+}
+
+// Template, separator, case and filename rule controls for the filenames preview panel
+export default function NamingTemplateEditor({ naming, onChange }) {
+  const preset = TEMPLATE_PRESETS.find((p) => p.template === naming.template);
+  const unknown = unknownTokens(naming.template);
+  const unknownAplus = unknownTokens(naming.aplusTemplate);
+
+  return (
+    <div className="mb-3 grid md:grid-cols-4 gap-3 text-sm">
+      <div className="flex flex-col gap-1">
+        <label className="font-medium">Preset</label>
+        <select
+          value={preset?.id || ""}
+          onChange={(e) => {
+            const next = TEMPLATE_PRESETS.find((p) => p.id === e.target.value);
+            if (next) onChange({ template: next.template });
+          }}
+          className="border rounded-xl px-3 py-2"
+        >
+          {!preset && <option value="">Custom</option>}
+          {TEMPLATE_PRESETS.map((p) => (
+            <option key={p.id} value={p.id}>{p.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-col gap-1 md:col-span-3">
+        <label className="font-medium">Template</label>
+        <input
+          value={naming.template}
+          onChange={(e) => onChange({ template: e.target.value })}
+          className={`border rounded-xl px-3 py-2 font-mono ${unknown.length ? "border-red-400" : ""}`}
+        />
+        {unknown.length > 0 && (
+          <div className="text-xs text-red-700">Unknown token{unknown.length > 1 ? "s" : ""}: {unknown.map((t) => `{${t}}`).join(", ")}</div>
+        )}
+      </div>
+      <div className="flex flex-col gap-1 md:col-span-4">
+        <label className="font-medium">A+ / Brand Story template</label>
+        <input
+          value={naming.aplusTemplate}
+          onChange={(e) => onChange({ aplusTemplate: e.target.value })}
+          className={`border rounded-xl px-3 py-2 font-mono ${unknownAplus.length ? "border-red-400" : ""}`}
+        />
+        {unknownAplus.length > 0 && (
+          <div className="text-xs text-red-700">Unknown token{unknownAplus.length > 1 ? "s" : ""}: {unknownAplus.map((t) => `{${t}}`).join(", ")}</div>
+        )}
+      </div>
+      <div className="flex flex-col gap-1 md:col-span-4">
+        <label className="font-medium">Type names</label>
+        <TypeNamesInput value={naming.typeNames} onChange={(typeNames) => onChange({ typeNames })} />
+        <div className="text-xs text-gray-500">What {"{type}"} becomes for each code; unlisted codes keep MAIN, PT01…</div>
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-medium">Separator</label>
+        <select value={naming.separator} onChange={(e) => onChange({ separator: e.target.value })} className="border rounded-xl px-3 py-2">
+          {SEPARATORS.map((s) => (
+            <option key={s.value} value={s.value}>{s.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-medium">Case</label>
+        <select value={naming.case} onChange={(e) => onChange({ case: e.target.value })} className="border rounded-xl px-3 py-2">
+          {CASES.map((c) => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-medium">Max length</label>
+        <input
+          type="number"
+          min={0}
+          value={naming.maxLength}
+          onChange={(e) => onChange({ maxLength: Math.max(0, Math.round(Number(e.target.value)) || 0) })}
+          title="0 = no limit"
+          className="border rounded-xl px-3 py-2"
+        />
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-medium">Forbidden characters</label>
+        <div className="flex gap-1">
+          <input
+            value={naming.forbidden}
+            onChange={(e) => onChange({ forbidden: e.target.value })}
+            className="flex-1 min-w-0 border rounded-xl px-3 py-2 font-mono"
+          />
+          {naming.forbidden !== DEFAULT_FORBIDDEN && (
+            <button onClick={() => onChange({ forbidden: DEFAULT_FORBIDDEN })} className="text-xs px-2 rounded-lg border hover:bg-gray-50">
+              Reset
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-medium">Duplicate names</label>
+        <select value={naming.duplicates} onChange={(e) => onChange({ duplicates: e.target.value })} className="border rounded-xl px-3 py-2">
+          {DUPLICATE_MODES.map((m) => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-col gap-1 justify-end">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={naming.collapse} onChange={(e) => onChange({ collapse: e.target.checked })} />
+          Collapse repeated _ and -
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={naming.trim} onChange={(e) => onChange({ trim: e.target.checked })} />
+          Trim _ and - at the ends and around dots
+        </label>
+      </div>
+      <details className="md:col-span-4 text-xs text-gray-600">
+        <summary className="cursor-pointer">Available tokens</summary>
+        <ul className="mt-1 space-y-0.5">
+          {Object.entries(TOKENS).map(([token, help]) => (
+            <li key={token}><span className="font-mono">{`{${token}}`}</span> — {help}</li>
+          ))}
+        </ul>
+      </details>
+    </div>
+  );
+}
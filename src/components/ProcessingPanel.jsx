@@ -0,0 +1,79 @@
+import React from "react";
+
+// Export processing settings: resize, pad, flatten, convert and cap size
+export default function ProcessingPanel({ processing, onChange }) {
+  const disabled = !processing.enabled;
+  return (
+    <details className="bg-white rounded-2xl shadow p-4 mb-6" open={processing.enabled}>
+      <summary className="cursor-pointer text-sm font-medium">
+        Export processing: {processing.enabled ? "on" : "off (images keep their pixels and size)"}
+      </summary>
+      <div className="mt-3 grid md:grid-cols-4 gap-3 text-sm">
+        <label className="flex items-center gap-2 md:col-span-4">
+          <input type="checkbox" checked={processing.enabled} onChange={(e) => onChange({ enabled: e.target.checked })} />
+          Process images on export (runs in a background worker)
+        </label>
+        <div className="flex flex-col gap-1">
+          <label className="font-medium">Fit into (px, 0 = keep)</label>
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={processing.size}
+            disabled={disabled}
+            onChange={(e) => onChange({ size: Math.max(0, Number(e.target.value) || 0) })}
+            className="border rounded-xl px-3 py-2"
+          />
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input type="checkbox" checked={processing.upscale} disabled={disabled} onChange={(e) => onChange({ upscale: e.target.checked })} />
+            Allow upscaling
+          </label>
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="font-medium">Pad to white square</label>
+          <select value={processing.pad} disabled={disabled} onChange={(e) => onChange({ pad: e.target.value })} className="border rounded-xl px-3 py-2">
+            <option value="off">Off</option>
+            <option value="main">MAIN only</option>
+            <option value="all">All images</option>
+          </select>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input type="checkbox" checked={processing.flatten} disabled={disabled} onChange={(e) => onChange({ flatten: e.target.checked })} />
+            Flatten transparency onto white
+          </label>
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="font-medium">Format</label>
+          <select value={processing.format} disabled={disabled} onChange={(e) => onChange({ format: e.target.value })} className="border rounded-xl px-3 py-2">
+            <option value="jpeg">Convert to JPEG</option>
+            <option value="keep">Keep (JPEG/PNG/WebP, else PNG)</option>
+          </select>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            Quality {Math.round(processing.quality * 100)}
+            <input
+              type="range"
+              min={0.5}
+              max={1}
+              step={0.01}
+              value={processing.quality}
+              disabled={disabled}
+              onChange={(e) => onChange({ quality: Number(e.target.value) })}
+              className="flex-1"
+            />
+          </label>
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="font-medium">Max file size (MB, 0 = no cap)</label>
+          <input
+            type="number"
+            min={0}
+            step={0.5}
+            value={processing.maxMB}
+            disabled={disabled}
+            onChange={(e) => onChange({ maxMB: Math.max(0, Number(e.target.value) || 0) })}
+            className="border rounded-xl px-3 py-2"
+          />
+        </div>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,58 @@
+import React from "react";
+import { summarizeCompliance } from "../compliance";
+
+// Batch navigation: one entry per product with its fill count and check status.
+// `blockers` (from exportBlockers) disable "Export all" until every product is valid.
+// `onSaveAllToFolder` is only passed where the browser can write to a folder.
+export default function ProductSidebar({ products, activeId, compliance, busy, blockers = [], onSelect, onAdd, onExportAll, onSaveAllToFolder }) {
+  const blocked = new Set(blockers.map((b) => b.product?.id));
+  return (
+    <aside className="w-full lg:w-60 shrink-0 bg-white rounded-2xl shadow p-3">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-sm font-semibold">Products ({products.length})</h2>
+        <button onClick={onAdd} className="text-xs px-2 py-1 rounded-lg border hover:bg-gray-50">+ Add</button>
+      </div>
+      <ul className="space-y-1">
+        {products.map((p) => {
+          const items = p.files.filter(Boolean);
+          const summary = summarizeCompliance(items.map((item) => compliance[item.id]).filter(Boolean));
+          const dot = summary.fail || blocked.has(p.id) ? "bg-red-600" : summary.warn ? "bg-amber-500" : items.length ? "bg-green-600" : "bg-gray-300";
+          return (
+            <li key={p.id}>
+              <button
+                onClick={() => onSelect(p.id)}
+                className={`w-full text-left px-3 py-2 rounded-xl text-sm flex items-center gap-2 ${
+                  p.id === activeId ? "bg-gray-900 text-white" : "hover:bg-gray-100"
+                }`}
+              >
+                <span className={`inline-block w-2 h-2 rounded-full shrink-0 ${dot}`} />
+                <span className="flex-1 truncate">{p.product || p.sku || p.asin || "Untitled"}</span>
+                <span className="text-xs opacity-70">{items.length}/{p.files.length}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        onClick={onExportAll}
+        disabled={busy || blockers.length > 0}
+        title={blockers.length ? `Fix ${blockers.length} problem${blockers.length === 1 ? "" : "s"} first` : ""}
+        className={`mt-3 w-full px-3 py-2 rounded-xl text-sm text-white ${busy || blockers.length ? "bg-gray-400" : "bg-blue-600 hover:bg-blue-700"}`}
+      >
+        Export all (ZIP)
+      </button>
+      {onSaveAllToFolder && (
+        <button
+          onClick={onSaveAllToFolder}
+          disabled={busy || blockers.length > 0}
+          className={`mt-2 w-full px-3 py-2 rounded-xl text-sm border ${busy || blockers.length ? "text-gray-400" : "hover:bg-gray-50"}`}
+        >
+          Save all to folder…
+        </button>
+      )}
+      {blockers.length > 0 && (
+        <div className="mt-1 text-[10px] text-red-700">Fix the naming problems (red) before exporting.</div>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,65 @@
+import React from "react";
+
+const COLUMNS = [
+  { key: "product", label: "Product" },
+  { key: "sku", label: "SKU" },
+  { key: "asin", label: "ASIN" },
+  { key: "date", label: "Date (YYYYMM)" },
+  { key: "diff", label: "Differentiator" },
+];
+
+// Batch table: every product's naming fields, editable inline.
+// `errors` maps product id → {field: message} from the core validation.
+export default function ProductTable({ products, activeId, errors = {}, onSelect, onChange, onRemove, onAdd }) {
+  return (
+    <div className="mt-8 bg-white rounded-2xl shadow p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-medium">Batch products</h2>
+        <button onClick={onAdd} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">Add product</button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase text-gray-500">
+              {COLUMNS.map((c) => (
+                <th key={c.key} className="px-2 py-1 font-medium">{c.label}</th>
+              ))}
+              <th className="px-2 py-1 font-medium">Images</th>
+              <th className="px-2 py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((p) => (
+              <tr key={p.id} className={p.id === activeId ? "bg-blue-50" : ""}>
+                {COLUMNS.map((c) => {
+                  const error = errors[p.id]?.[c.key];
+                  return (
+                    <td key={c.key} className="px-2 py-1 align-top">
+                      <input
+                        value={p[c.key]}
+                        onChange={(e) => onChange(p.id, { [c.key]: e.target.value })}
+                        onFocus={() => onSelect(p.id)}
+                        title={error || ""}
+                        aria-invalid={!!error}
+                        className={`w-full border rounded-lg px-2 py-1 font-mono text-xs ${error ? "border-red-400 bg-red-50" : ""}`}
+                      />
+                      {error && <div className="text-[10px] text-red-700 mt-0.5">{error}</div>}
+                    </td>
+                  );
+                })}
+                <td className="px-2 py-1 text-xs text-gray-600 whitespace-nowrap">
+                  {p.files.filter(Boolean).length}/{p.files.length}
+                </td>
+                <td className="px-2 py-1 text-right">
+                  <button onClick={() => onRemove(p.id)} className="text-xs px-2 py-1 rounded-lg border border-red-200 text-red-700 hover:bg-red-50">
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useRef, useState } from "react";
+
+// Naming profiles per brand or client: pick, save the current settings, set the default
+// for new workspaces, and share them as a JSON file
+export default function ProfilePanel({ profiles, defaultId, current, modified, onSelect, onSaveAs, onUpdate, onDelete, onSetDefault, onImport, onExport }) {
+  const [name, setName] = useState("");
+  const [message, setMessage] = useState(null); // {text, error}
+  const fileRef = useRef(null);
+
+  const guard = (fn) => async (...args) => {
+    try {
+      setMessage(null);
+      await fn(...args);
+    } catch (e) {
+      console.error(e);
+      setMessage({ text: e?.message || "Profile storage failed. Check console for details.", error: true });
+    }
+  };
+
+  const saveAs = guard(async () => {
+    const label = name.trim();
+    if (!label) return setMessage({ text: "Give the profile a name first.", error: true });
+    const existing = profiles.find((p) => p.name.toLowerCase() === label.toLowerCase());
+    if (existing && !confirm(`Replace profile "${existing.name}" with the current settings?`)) return;
+    await onSaveAs(label);
+    setName("");
+  });
+
+  const remove = guard(async () => {
+    if (!confirm(`Delete profile "${current.name}"?`)) return;
+    await onDelete(current.id);
+  });
+
+  const importFile = guard(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const count = await onImport(file);
+    setMessage({ text: `Imported ${count} profile${count === 1 ? "" : "s"}.` });
+  });
+
+  return (
+    <div className="w-full bg-white rounded-2xl shadow p-3 mt-4">
+      <h2 className="text-sm font-semibold mb-2">Naming profile</h2>
+      <select value={current?.id || ""} onChange={(e) => onSelect(e.target.value)} className="w-full border rounded-lg px-2 py-1 text-sm">
+        <option value="">No profile</option>
+        {profiles.map((p) => (
+          <option key={p.id} value={p.id}>{p.name}{p.id === defaultId ? " (default)" : ""}</option>
+        ))}
+      </select>
+      {current && (
+        <>
+          {modified && (
+            <div className="mt-2 text-xs text-amber-700">
+              Settings differ from the profile.{" "}
+              <button onClick={guard(onUpdate)} className="underline">Update “{current.name}”</button>
+            </div>
+          )}
+          <div className="flex gap-1 mt-2">
+            <button
+              onClick={guard(() => onSetDefault(current.id === defaultId ? null : current.id))}
+              title="New workspaces start with the default profile"
+              className="text-xs px-2 py-0.5 rounded border hover:bg-gray-50"
+            >
+              {current.id === defaultId ? "Unset default" : "Make default"}
+            </button>
+            <button onClick={remove} className="text-xs px-2 py-0.5 rounded border border-red-200 text-red-700 hover:bg-red-50">Delete</button>
+          </div>
+        </>
+      )}
+      <div className="flex gap-1 mt-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Profile name"
+          className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+        />
+        <button onClick={saveAs} title="Save the naming rules, processing and this product's fields" className="text-xs px-2 py-1 rounded-lg border hover:bg-gray-50">
+          Save as
+        </button>
+      </div>
+      <input ref={fileRef} type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+      <div className="flex gap-1 mt-2">
+        <button onClick={() => fileRef.current?.click()} className="text-xs px-2 py-0.5 rounded border hover:bg-gray-50">Import…</button>
+        <button onClick={onExport} disabled={!profiles.length} className="text-xs px-2 py-0.5 rounded border hover:bg-gray-50 disabled:opacity-50">Export</button>
+      </div>
+      {message && <div className={`mt-2 text-xs ${message.error ? "text-red-700" : "text-gray-600"}`}>{message.text}</div>}
+    </div>
+  );
+}
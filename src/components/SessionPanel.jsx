@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from "react";
+import { deleteSession, duplicateSession, listSessions, loadSession, saveSession } from "../sessions";
+
+// Named sessions stored in IndexedDB: save, reopen, duplicate, delete
+export default function SessionPanel({ workspace, current, onCurrentChange, onRestore }) {
+  const [sessions, setSessions] = useState([]);
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+
+  const refresh = () => listSessions().then(setSessions).catch(() => setError("Sessions are unavailable in this browser."));
+  useEffect(() => { refresh(); }, []);
+
+  const guard = (fn) => async (...args) => {
+    try {
+      setError("");
+      await fn(...args);
+    } catch (e) {
+      console.error(e);
+      setError("Session storage failed. Check console for details.");
+    }
+    refresh();
+  };
+
+  const save = guard(async (asNew) => {
+    const label = (asNew ? name : current?.name || name).trim();
+    if (!label) return setError("Give the session a name first.");
+    const record = await saveSession({ id: asNew ? undefined : current?.id, name: label, workspace });
+    onCurrentChange({ id: record.id, name: record.name });
+    setName("");
+  });
+
+  const open = guard(async (id) => {
+    const record = await loadSession(id);
+    if (!record) return;
+    await onRestore(record.workspace);
+    onCurrentChange({ id: record.id, name: record.name });
+  });
+
+  const duplicate = guard(async (s) => {
+    await duplicateSession(s.id, `${s.name} (copy)`);
+  });
+
+  const remove = guard(async (s) => {
+    if (!confirm(`Delete session "${s.name}"?`)) return;
+    await deleteSession(s.id);
+    if (current?.id === s.id) onCurrentChange(null);
+  });
+
+  return (
+    <div className="w-full bg-white rounded-2xl shadow p-3 mt-4">
+      <h2 className="text-sm font-semibold mb-2">Sessions</h2>
+      <div className="text-xs text-gray-500 mb-2">
+        {current ? <>Editing <span className="font-medium text-gray-800">{current.name}</span></> : "Unsaved workspace (autosaved)"}
+      </div>
+      {current && (
+        <button onClick={() => save(false)} className="w-full mb-2 px-3 py-1.5 rounded-xl text-sm border hover:bg-gray-50">
+          Save “{current.name}”
+        </button>
+      )}
+      <div className="flex gap-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Session name"
+          className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+        />
+        <button onClick={() => save(true)} className="text-xs px-2 py-1 rounded-lg border hover:bg-gray-50">Save as</button>
+      </div>
+      {error && <div className="mt-2 text-xs text-red-700">{error}</div>}
+      <ul className="mt-2 space-y-1">
+        {sessions.map((s) => (
+          <li key={s.id} className={`rounded-xl px-2 py-1.5 text-sm ${current?.id === s.id ? "bg-blue-50" : ""}`}>
+            <div className="truncate font-medium">{s.name}</div>
+            <div className="text-[10px] text-gray-500">
+              {new Date(s.updatedAt).toLocaleString()} · {s.productCount} product{s.productCount === 1 ? "" : "s"} · {s.imageCount} images
+            </div>
+            <div className="flex gap-1 mt-1">
+              <button onClick={() => open(s.id)} className="text-xs px-2 py-0.5 rounded border hover:bg-gray-50">Open</button>
+              <button onClick={() => duplicate(s)} className="text-xs px-2 py-0.5 rounded border hover:bg-gray-50">Duplicate</button>
+              <button onClick={() => remove(s)} className="text-xs px-2 py-0.5 rounded border border-red-200 text-red-700 hover:bg-red-50">Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+
+// Per-tile filename: shows the template name until it is edited. "Lock" freezes the
+// current generated name so later field or order changes leave it alone; "Auto" reverts.
+// `finalName` is the export name (with extension, after any de-duplication).
+export default function SlotNameField({ override, locked, generated, finalName, duplicate, problems = [], onChange }) {
+  const custom = override != null && override !== "";
+  const ext = finalName.slice(finalName.lastIndexOf(".") + 1);
+  const deduped = finalName !== `${custom ? override.trim() : generated}.${ext}`;
+  const invalid = duplicate || problems.length > 0;
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <span className="text-[10px] uppercase text-gray-500">Name</span>
+        {custom && (
+          <span className={`text-[10px] px-1.5 rounded-full ${locked ? "bg-gray-200 text-gray-700" : "bg-blue-100 text-blue-800"}`}>
+            {locked ? "Locked" : "Custom"}
+          </span>
+        )}
+        <div className="ml-auto flex gap-1">
+          {custom ? (
+            <button onClick={() => onChange(null)} title="Use the template name again" className="text-[10px] px-1.5 py-0.5 rounded border hover:bg-gray-50">
+              Auto
+            </button>
+          ) : (
+            <button onClick={() => onChange(generated, true)} title="Keep this name when fields or order change" className="text-[10px] px-1.5 py-0.5 rounded border hover:bg-gray-50">
+              Lock
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="mt-1 flex items-center gap-1">
+        <input
+          value={custom ? override : generated}
+          onChange={(e) => onChange(e.target.value === "" ? null : e.target.value)}
+          aria-invalid={invalid}
+          aria-label="Filename"
+          className={`flex-1 min-w-0 border rounded-lg px-2 py-1 font-mono text-xs ${invalid ? "border-red-400 bg-red-50" : custom ? "border-blue-300" : ""}`}
+        />
+        <span className="font-mono text-xs text-gray-500">.{ext}</span>
+      </div>
+      {duplicate && <div className="text-[10px] text-red-700 mt-0.5">Same name as another image</div>}
+      {problems.map((problem) => (
+        <div key={problem} className="text-[10px] text-red-700 mt-0.5">{problem}</div>
+      ))}
+      {deduped && !duplicate && <div className="text-[10px] text-gray-500 mt-0.5">Exported as <span className="font-mono">{finalName}</span></div>}
+    </div>
+  );
+}
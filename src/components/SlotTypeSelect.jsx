@@ -0,0 +1,28 @@
+import React from "react";
+import { typeOptions } from "../core/slotTypes";
+
+// Per-tile type picker; "Auto" keeps the position-based mapping.
+// Codes pinned by other slots are disabled so two slots can't claim the same one.
+export default function SlotTypeSelect({ value, autoType, slotCount, taken, onChange }) {
+  return (
+    <label className="mt-2 flex items-center gap-2">
+      <span className="text-[10px] uppercase text-gray-500">Type</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="flex-1 border rounded-lg px-2 py-1 text-xs bg-white"
+      >
+        <option value="">Auto{autoType ? ` (${autoType})` : ""}</option>
+        {typeOptions(slotCount).map((group) => (
+          <optgroup key={group.label} label={group.label}>
+            {group.codes.map((code) => (
+              <option key={code} value={code} disabled={taken.includes(code)}>
+                {code}{taken.includes(code) ? " (in use)" : ""}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+    </label>
+  );
+}
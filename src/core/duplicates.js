@@ -0,0 +1,73 @@
+// ---------------- Duplicate detection ----------------
+// Exact duplicates share a SHA-256 of the file bytes; near-duplicates (resized or
+// re-saved copies) have a difference hash within a few bits of each other.
+
+// Differing dHash bits (of 64) still treated as the same shot
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// 64-bit difference hash of RGBA pixels as 16 hex digits: the image is box-averaged
+// to 9×8 grey cells (transparency over white) and each bit says whether a cell is
+// brighter than its right-hand neighbour
+export function dHash(data, width, height) {
+  const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(HASH_HEIGHT - 1, Math.floor((y * HASH_HEIGHT) / height)) * HASH_WIDTH;
+    for (let x = 0; x < width; x++) {
+      const cell = row + Math.min(HASH_WIDTH - 1, Math.floor((x * HASH_WIDTH) / width));
+      const o = (y * width + x) * 4;
+      const alpha = data[o + 3] / 255;
+      const grey = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+      sums[cell] += grey * alpha + 255 * (1 - alpha);
+      counts[cell]++;
+    }
+  }
+  const mean = (i) => (counts[i] ? sums[i] / counts[i] : 255);
+  let hex = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let bits = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = y * HASH_WIDTH + x;
+      bits = (bits << 1) | (mean(i) > mean(i + 1) ? 1 : 0);
+    }
+    hex += bits.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+// Number of differing bits between two hex hashes of the same length
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; x; x >>= 1) distance += x & 1;
+  }
+  return distance;
+}
+
+// How `b` relates to `a` ({kind: "exact" | "near", distance}), or null when unrelated.
+// Either side may lack a hash while it is still being computed.
+export function compareImages(a, b) {
+  if (a?.sha256 && a.sha256 === b?.sha256) return { kind: "exact", distance: 0 };
+  if (!a?.dhash || !b?.dhash) return null;
+  const distance = hammingDistance(a.dhash, b.dhash);
+  return distance <= NEAR_DUPLICATE_DISTANCE ? { kind: "near", distance } : null;
+}
+
+// Closest match for every entry ({sha256, dhash} or null) among the others:
+// Map index -> {index, kind, distance}. Exact matches win over near ones.
+export function findDuplicates(entries) {
+  const found = new Map();
+  entries.forEach((a, i) => {
+    entries.forEach((b, j) => {
+      if (i === j || !a || !b) return;
+      const match = compareImages(a, b);
+      const best = found.get(i);
+      if (match && (!best || match.distance < best.distance)) found.set(i, { index: j, ...match });
+    });
+  });
+  return found;
+}
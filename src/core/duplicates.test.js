@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { compareImages, dHash, findDuplicates, hammingDistance } from "./duplicates.js";
+
+// RGBA image whose grey level comes from `shade(x, y)` in 0..1
+function image(width, height, shade) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = Math.round(255 * shade(x / width, y / height));
+      data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return data;
+}
+
+const blob = (x, y) => (Math.hypot(x - 0.4, y - 0.5) < 0.25 ? 0.1 : 0.95);
+const stripes = (x) => (Math.floor(x * 6) % 2 ? 0.2 : 0.9);
+
+describe("dHash", () => {
+  it("survives resizing", () => {
+    const big = dHash(image(360, 320, blob), 360, 320);
+    const small = dHash(image(90, 80, blob), 90, 80);
+    expect(big).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(big, small)).toBeLessThanOrEqual(2);
+  });
+
+  it("tells different pictures apart", () => {
+    expect(hammingDistance(dHash(image(90, 80, blob), 90, 80), dHash(image(90, 80, stripes), 90, 80))).toBeGreaterThan(10);
+  });
+
+  it("treats transparency as white", () => {
+    const clear = new Uint8ClampedArray(18 * 16 * 4);
+    expect(dHash(clear, 18, 16)).toBe(dHash(image(18, 16, () => 1), 18, 16));
+  });
+});
+
+describe("compareImages", () => {
+  it("prefers the content hash and falls back to dHash distance", () => {
+    expect(compareImages({ sha256: "aa", dhash: "00" }, { sha256: "aa", dhash: "ff" })).toEqual({ kind: "exact", distance: 0 });
+    expect(compareImages({ sha256: "aa", dhash: "0000" }, { sha256: "bb", dhash: "0003" })).toEqual({ kind: "near", distance: 2 });
+    expect(compareImages({ sha256: "aa", dhash: "0000" }, { sha256: "bb", dhash: "00ff" })).toBeNull();
+    expect(compareImages({ sha256: "aa" }, null)).toBeNull();
+  });
+});
+
+describe("findDuplicates", () => {
+  it("links each match to its closest other slot", () => {
+    const found = findDuplicates([
+      { sha256: "a", dhash: "0000" },
+      null,
+      { sha256: "b", dhash: "0001" },
+      { sha256: "a", dhash: "0000" },
+      { sha256: "c", dhash: "ffff" },
+    ]);
+    expect(found.get(0)).toEqual({ index: 3, kind: "exact", distance: 0 });
+    expect(found.get(2)).toEqual({ index: 0, kind: "near", distance: 1 });
+    expect(found.get(3)).toEqual({ index: 0, kind: "exact", distance: 0 });
+    expect(found.has(1)).toBe(false);
+    expect(found.has(4)).toBe(false);
+  });
+});
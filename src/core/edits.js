@@ -0,0 +1,148 @@
+// ---------------- Non-destructive image edits ----------------
+// A slot item can carry `edit` parameters from the crop/rotate editor; the original
+// file is kept and the edit is applied when the slot is exported. Boxes are fractions
+// of the frame they live in, so they survive any preview or export size.
+//
+// Order: flip the upright image, rotate it clockwise, crop the result, then (for
+// `fill`) centre it on a white square so it spans that share of the side.
+
+export const DEFAULT_EDIT = { rotate: 0, flipH: false, flipV: false, crop: null, fill: 0 };
+
+export const CROP_ASPECTS = [
+  { id: "free", label: "Free", ratio: null },
+  { id: "1:1", label: "1:1", ratio: 1 },
+  { id: "5:4", label: "5:4", ratio: 5 / 4 },
+];
+
+// Share of the frame the auto-trimmed product spans (Amazon's 85% MAIN guideline)
+export const TRIM_FILL = 0.85;
+
+// Crops smaller than this share of either side are treated as stray clicks
+const MIN_CROP = 0.01;
+
+const FULL = { x: 0, y: 0, w: 1, h: 1 };
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+export const isEdited = (edit) => !!edit && (edit.rotate % 360 !== 0 || !!edit.flipH || !!edit.flipV || !!edit.crop || edit.fill > 0);
+
+// Short description for tile badges, e.g. "Rotated 90°, cropped"
+export function describeEdit(edit) {
+  if (!isEdited(edit)) return "";
+  return [
+    edit.rotate % 360 && `rotated ${edit.rotate}°`,
+    (edit.flipH || edit.flipV) && "flipped",
+    edit.crop && "cropped",
+    edit.fill > 0 && `padded to ${Math.round(edit.fill * 100)}%`,
+  ]
+    .filter(Boolean)
+    .join(", ")
+    .replace(/^./, (c) => c.toUpperCase());
+}
+
+// Box turned a quarter clockwise with its frame
+const turnBox = ({ x, y, w, h }) => ({ x: 1 - y - h, y: x, w: h, h: w });
+
+// Rotate the image by a multiple of 90° (clockwise when positive), carrying the crop along
+export function rotateEdit(edit, degrees) {
+  const quarters = (((degrees / 90) % 4) + 4) % 4;
+  let crop = edit.crop;
+  for (let i = 0; crop && i < quarters; i++) crop = turnBox(crop);
+  return { ...edit, rotate: (edit.rotate + quarters * 90) % 360, crop };
+}
+
+// Mirror what is on screen: a horizontal flip after a quarter turn is a vertical one of the source
+export function flipEdit(edit, axis) {
+  const turned = edit.rotate % 180 !== 0;
+  const sourceAxis = (axis === "horizontal") !== turned ? "flipH" : "flipV";
+  const crop = edit.crop && (axis === "horizontal" ? { ...edit.crop, x: 1 - edit.crop.x - edit.crop.w } : { ...edit.crop, y: 1 - edit.crop.y - edit.crop.h });
+  return { ...edit, [sourceAxis]: !edit[sourceAxis], crop };
+}
+
+// A box on the upright source (e.g. analyzeImage's subjectBox) in the edited frame
+export function orientBox(box, { rotate = 0, flipH = false, flipV = false }) {
+  let out = { ...box };
+  if (flipH) out.x = 1 - out.x - out.w;
+  if (flipV) out.y = 1 - out.y - out.h;
+  for (let r = 0; r < rotate % 360; r += 90) out = turnBox(out);
+  return out;
+}
+
+// Crop to the product and re-pad it to TRIM_FILL; `subject` is its box on the upright source
+export const trimEdit = (edit, subject) => ({ ...edit, crop: orientBox(subject, edit), fill: TRIM_FILL });
+
+// Size of the flipped and rotated frame, before cropping
+export function frameSize(width, height, edit) {
+  return edit.rotate % 180 ? { width: height, height: width } : { width, height };
+}
+
+// Largest box of pixel aspect `ratio` centred in `crop` (the whole frame when null)
+export function fitAspect(crop, ratio, frameWidth, frameHeight) {
+  const c = crop || FULL;
+  let w = c.w * frameWidth;
+  let h = c.h * frameHeight;
+  if (w / h > ratio) w = h * ratio;
+  else h = w / ratio;
+  return { x: c.x + (c.w - w / frameWidth) / 2, y: c.y + (c.h - h / frameHeight) / 2, w: w / frameWidth, h: h / frameHeight };
+}
+
+// Box dragged from `anchor` to `point` (fractions), kept in the frame and, with a
+// `ratio`, to that pixel aspect. Null when it is too small to mean anything.
+export function cropFromPoints(anchor, point, ratio, frameWidth, frameHeight) {
+  const px = clamp01(point.x);
+  const py = clamp01(point.y);
+  const right = px >= anchor.x;
+  const down = py >= anchor.y;
+  let w = Math.abs(px - anchor.x) * frameWidth;
+  let h = Math.abs(py - anchor.y) * frameHeight;
+  if (ratio) {
+    if (w / h > ratio) w = h * ratio;
+    else h = w / ratio;
+  }
+  const maxW = (right ? 1 - anchor.x : anchor.x) * frameWidth;
+  const maxH = (down ? 1 - anchor.y : anchor.y) * frameHeight;
+  if (w > maxW) {
+    w = maxW;
+    if (ratio) h = w / ratio;
+  }
+  if (h > maxH) {
+    h = maxH;
+    if (ratio) w = h * ratio;
+  }
+  const box = { x: right ? anchor.x : anchor.x - w / frameWidth, y: down ? anchor.y : anchor.y - h / frameHeight, w: w / frameWidth, h: h / frameHeight };
+  return box.w < MIN_CROP || box.h < MIN_CROP ? null : box;
+}
+
+// Crop shifted by (dx, dy) without leaving the frame
+export const moveCrop = (crop, dx, dy) => ({
+  ...crop,
+  x: Math.min(1 - crop.w, Math.max(0, crop.x + dx)),
+  y: Math.min(1 - crop.h, Math.max(0, crop.y + dy)),
+});
+
+// Pixel plan for drawing `edit` on a width×height upright image: the frame after
+// flips/rotation, the crop within it, and where that lands on the output canvas
+export function editLayout(width, height, edit) {
+  const frame = frameSize(width, height, edit);
+  const c = edit.crop || FULL;
+  const x = Math.round(c.x * frame.width);
+  const y = Math.round(c.y * frame.height);
+  const crop = {
+    x,
+    y,
+    width: Math.max(1, Math.min(frame.width - x, Math.round(c.w * frame.width))),
+    height: Math.max(1, Math.min(frame.height - y, Math.round(c.h * frame.height))),
+  };
+  if (!(edit.fill > 0)) {
+    return { frameWidth: frame.width, frameHeight: frame.height, crop, canvasWidth: crop.width, canvasHeight: crop.height, x: 0, y: 0 };
+  }
+  const side = Math.round(Math.max(crop.width, crop.height) / Math.min(1, edit.fill));
+  return {
+    frameWidth: frame.width,
+    frameHeight: frame.height,
+    crop,
+    canvasWidth: side,
+    canvasHeight: side,
+    x: Math.round((side - crop.width) / 2),
+    y: Math.round((side - crop.height) / 2),
+  };
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_EDIT, cropFromPoints, describeEdit, editLayout, fitAspect, flipEdit, isEdited, moveCrop, orientBox, rotateEdit, trimEdit } from "./edits.js";
+
+const close = (box, expected) => Object.entries(expected).forEach(([k, v]) => expect(box[k]).toBeCloseTo(v));
+
+describe("rotate and flip", () => {
+  it("carries the crop through quarter turns", () => {
+    const edit = { ...DEFAULT_EDIT, crop: { x: 0.1, y: 0.2, w: 0.3, h: 0.4 } };
+    const turned = rotateEdit(edit, 90);
+    expect(turned.rotate).toBe(90);
+    close(turned.crop, { x: 0.4, y: 0.1, w: 0.4, h: 0.3 });
+    expect(rotateEdit(turned, -90)).toMatchObject({ rotate: 0 });
+    close(rotateEdit(turned, -90).crop, edit.crop);
+  });
+
+  it("flips what is on screen", () => {
+    expect(flipEdit(DEFAULT_EDIT, "horizontal")).toMatchObject({ flipH: true, flipV: false });
+    expect(flipEdit(rotateEdit(DEFAULT_EDIT, 90), "horizontal")).toMatchObject({ flipH: false, flipV: true });
+    close(flipEdit({ ...DEFAULT_EDIT, crop: { x: 0.1, y: 0, w: 0.3, h: 1 } }, "horizontal").crop, { x: 0.6 });
+  });
+
+  it("maps source boxes into the edited frame", () => {
+    const box = { x: 0.1, y: 0.2, w: 0.3, h: 0.4 };
+    close(orientBox(box, { rotate: 0, flipH: true }), { x: 0.6, y: 0.2 });
+    close(orientBox(box, { rotate: 180 }), { x: 0.6, y: 0.4, w: 0.3, h: 0.4 });
+  });
+});
+
+describe("crop helpers", () => {
+  it("fits an aspect ratio inside the frame", () => {
+    close(fitAspect(null, 1, 2000, 1000), { x: 0.25, y: 0, w: 0.5, h: 1 });
+    close(fitAspect(null, 5 / 4, 1000, 1000), { x: 0, y: 0.1, w: 1, h: 0.8 });
+  });
+
+  it("drags a box in any direction and keeps it in the frame", () => {
+    close(cropFromPoints({ x: 0.5, y: 0.5 }, { x: 0.2, y: 0.1 }, null, 100, 100), { x: 0.2, y: 0.1, w: 0.3, h: 0.4 });
+    close(cropFromPoints({ x: 0.5, y: 0.5 }, { x: 2, y: 0.6 }, 1, 100, 100), { x: 0.5, y: 0.5, w: 0.1, h: 0.1 });
+    close(cropFromPoints({ x: 0.8, y: 0.2 }, { x: 0.2, y: 1 }, 1, 100, 100), { x: 0.2, y: 0.2, w: 0.6, h: 0.6 });
+    expect(cropFromPoints({ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.9 }, null, 100, 100)).toBeNull();
+  });
+
+  it("moves a crop without leaving the frame", () => {
+    close(moveCrop({ x: 0.5, y: 0.5, w: 0.4, h: 0.4 }, 0.3, -0.9), { x: 0.6, y: 0 });
+  });
+});
+
+describe("editLayout", () => {
+  it("rotates, crops and pads in pixels", () => {
+    const edit = { ...DEFAULT_EDIT, rotate: 90, crop: { x: 0.25, y: 0, w: 0.5, h: 0.5 } };
+    expect(editLayout(400, 200, edit)).toEqual({
+      frameWidth: 200,
+      frameHeight: 400,
+      crop: { x: 50, y: 0, width: 100, height: 200 },
+      canvasWidth: 100,
+      canvasHeight: 200,
+      x: 0,
+      y: 0,
+    });
+    expect(editLayout(400, 200, { ...edit, fill: 0.8 })).toMatchObject({ canvasWidth: 250, canvasHeight: 250, x: 75, y: 25 });
+  });
+
+  it("trims to the product and pads to 85%", () => {
+    const trimmed = trimEdit(DEFAULT_EDIT, { x: 0.2, y: 0.2, w: 0.6, h: 0.6 });
+    expect(editLayout(1000, 1000, trimmed)).toMatchObject({ crop: { x: 200, y: 200, width: 600, height: 600 }, canvasWidth: 706, x: 53 });
+  });
+});
+
+describe("isEdited / describeEdit", () => {
+  it("ignores the default edit", () => {
+    expect(isEdited(null)).toBe(false);
+    expect(isEdited(DEFAULT_EDIT)).toBe(false);
+    expect(describeEdit(DEFAULT_EDIT)).toBe("");
+    expect(describeEdit({ ...DEFAULT_EDIT, rotate: 90, crop: { x: 0, y: 0, w: 1, h: 0.5 } })).toBe("Rotated 90°, cropped");
+  });
+});
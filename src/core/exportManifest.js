@@ -0,0 +1,71 @@
+import { imageSize } from "./metadata.js";
+
+// ---------------- Export manifest ----------------
+// One row per exported image for the listing team and for audits: where it came
+// from, what it is called now, and a SHA-256 to prove the upload matches.
+
+export const MANIFEST_COLUMNS = [
+  ["folder", "Folder"],
+  ["product", "Product"],
+  ["sku", "SKU"],
+  ["asin", "ASIN"],
+  ["original", "Original filename"],
+  ["name", "New filename"],
+  ["type", "Slot type"],
+  ["width", "Width"],
+  ["height", "Height"],
+  ["bytes", "Bytes"],
+  ["sha256", "SHA-256"],
+  ["exportedAt", "Exported at"],
+];
+
+// Formats that can go into a ZIP next to the images
+export const MANIFEST_FORMATS = ["csv", "json"];
+
+export async function sha256Hex(data) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", data);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Manifest rows for `outputs` of renderOutputs (each with its bytes in `data`).
+// Every row carries the same `exportedAt`.
+export async function manifestEntries(outputs, exportedAt = new Date().toISOString()) {
+  return await Promise.all(
+    outputs.map(async ({ product: p, slot, name, folder, data }) => {
+      const bytes = new Uint8Array(data);
+      const size = imageSize(bytes);
+      return {
+        folder: folder || "",
+        product: p.product || "",
+        sku: p.sku || "",
+        asin: p.asin || "",
+        original: slot.item.file?.name || "",
+        name,
+        type: slot.type,
+        width: size?.width ?? null,
+        height: size?.height ?? null,
+        bytes: bytes.byteLength,
+        sha256: await sha256Hex(bytes),
+        exportedAt,
+      };
+    })
+  );
+}
+
+const cells = (entry) => MANIFEST_COLUMNS.map(([key]) => (entry[key] == null ? "" : String(entry[key])));
+const csvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+export const manifestCsv = (entries) =>
+  [MANIFEST_COLUMNS.map(([, label]) => label), ...entries.map(cells)].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// Tab-separated for pasting into a spreadsheet; tabs and line breaks inside values become spaces
+export const manifestTsv = (entries) =>
+  [MANIFEST_COLUMNS.map(([, label]) => label), ...entries.map(cells)].map((row) => row.map((v) => v.replace(/[\t\r\n]+/g, " ")).join("\t")).join("\n");
+
+export const manifestJson = (entries) =>
+  JSON.stringify({ exportedAt: entries[0]?.exportedAt || null, count: entries.length, files: entries }, null, 2) + "\n";
+
+// {name, content} per requested format ("csv", "json")
+export function manifestFiles(entries, formats = MANIFEST_FORMATS, baseName = "manifest") {
+  return formats.map((format) => ({ name: `${baseName}.${format}`, content: format === "json" ? manifestJson(entries) : manifestCsv(entries) }));
+}
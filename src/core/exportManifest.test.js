@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { manifestCsv, manifestEntries, manifestFiles, manifestJson, manifestTsv, sha256Hex } from "./exportManifest.js";
+
+const PNG_1x2 = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 1, 0, 0, 0, 2]);
+const output = (name, data, fields = {}) => ({
+  product: { product: "Nose Kit", sku: "S1", asin: "B0X" },
+  slot: { type: "MAIN", item: { file: { name: "IMG_1.png" } } },
+  name,
+  folder: "",
+  data: data.buffer,
+  ...fields,
+});
+
+describe("sha256Hex", () => {
+  it("hashes bytes", async () => {
+    expect(await sha256Hex(new TextEncoder().encode("abc"))).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  });
+});
+
+describe("manifestEntries", () => {
+  it("describes each output", async () => {
+    const [entry] = await manifestEntries([output("KIT_MAIN.png", PNG_1x2)], "2025-11-01T00:00:00.000Z");
+    expect(entry).toMatchObject({
+      product: "Nose Kit",
+      sku: "S1",
+      asin: "B0X",
+      original: "IMG_1.png",
+      name: "KIT_MAIN.png",
+      type: "MAIN",
+      width: 1,
+      height: 2,
+      bytes: PNG_1x2.length,
+      exportedAt: "2025-11-01T00:00:00.000Z",
+    });
+    expect(entry.sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it("leaves dimensions empty for unreadable files", async () => {
+    const [entry] = await manifestEntries([output("x.bin", new Uint8Array([1, 2, 3]))]);
+    expect(entry).toMatchObject({ width: null, height: null, bytes: 3 });
+  });
+});
+
+describe("formats", () => {
+  const entries = [
+    { folder: "", product: 'Kit "Pro", 2', sku: "", asin: "", original: "a\tb.jpg", name: "KIT.jpg", type: "MAIN", width: 10, height: null, bytes: 1, sha256: "ff", exportedAt: "t" },
+  ];
+
+  it("quotes CSV cells that need it", () => {
+    const [header, row] = manifestCsv(entries).split("\r\n");
+    expect(header).toBe("Folder,Product,SKU,ASIN,Original filename,New filename,Slot type,Width,Height,Bytes,SHA-256,Exported at");
+    expect(row).toBe(',"Kit ""Pro"", 2",,,a\tb.jpg,KIT.jpg,MAIN,10,,1,ff,t');
+  });
+
+  it("keeps TSV rows on one line per file", () => {
+    const [, row] = manifestTsv(entries).split("\n");
+    expect(row.split("\t")).toHaveLength(12);
+    expect(row).toContain("a b.jpg");
+  });
+
+  it("wraps JSON with the export time and count", () => {
+    expect(JSON.parse(manifestJson(entries))).toMatchObject({ exportedAt: "t", count: 1, files: entries });
+  });
+
+  it("names one file per format", () => {
+    expect(manifestFiles(entries, ["json"]).map((f) => f.name)).toEqual(["manifest.json"]);
+    expect(manifestFiles(entries).map((f) => f.name)).toEqual(["manifest.csv", "manifest.json"]);
+  });
+});
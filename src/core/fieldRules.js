@@ -0,0 +1,133 @@
+import { stripExt } from "./naming.js";
+
+// ---------------- Derived fields ----------------
+// Naming fields can fill themselves: the date follows the current month, the product
+// comes from the first image's name or folder and the differentiator from a managed
+// list of campaign codes. A product's `derived` map ({field: "where from"}) marks the
+// fields filled this way; typing a value removes the entry, which locks the field.
+// Only empty or derived fields are ever rewritten.
+
+export const PRODUCT_SOURCES = [
+  { value: "off", label: "Typed only" },
+  { value: "filename", label: "First file name" },
+  { value: "folder", label: "Parent folder" },
+];
+
+// product: a PRODUCT_SOURCES value; pattern: regex matched case-insensitively against that
+// source, capture group 1 (or the whole match) becomes the product, empty takes the source as is.
+// campaignCodes: the managed differentiators; diffFromCodes picks one found in the slots' paths.
+export const DEFAULT_FIELD_RULES = {
+  product: "off",
+  pattern: "",
+  campaignCodes: [],
+  diffFromCodes: false,
+};
+
+export const currentYearMonth = (now = new Date()) => `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, "0")}`;
+
+// Immediate parent folder of a relative path ("Launch/Nose Kit/1.jpg" → "Nose Kit")
+export const parentFolder = (path) => String(path || "").split("/").filter(Boolean).slice(-2, -1)[0] || "";
+
+// Why a pattern does not compile, or "" when it does
+export function patternError(pattern) {
+  try {
+    new RegExp(pattern, "i");
+    return "";
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Capture group 1 or the whole match of `pattern` in `text`; "" when it does not match
+export function applyPattern(text, pattern) {
+  if (!pattern) return String(text || "");
+  try {
+    const m = new RegExp(pattern, "i").exec(String(text || ""));
+    return m ? m[1] ?? m[0] : "";
+  } catch (_) {
+    return "";
+  }
+}
+
+// "ALT, spring24\nsummer" → ["ALT", "SPRING24", "SUMMER"], without duplicates
+export const parseCampaignCodes = (text) =>
+  [...new Set(String(text || "").split(/[\s,;]+/).map((c) => c.trim().toUpperCase()).filter(Boolean))];
+
+// The well-formed rules in untrusted input (profile files, saved workspaces); anything
+// of the wrong type is dropped so the defaults apply instead
+export function validFieldRules(rules) {
+  const valid = {};
+  if (PRODUCT_SOURCES.some((s) => s.value === rules?.product)) valid.product = rules.product;
+  if (typeof rules?.pattern === "string") valid.pattern = rules.pattern;
+  if (Array.isArray(rules?.campaignCodes)) valid.campaignCodes = parseCampaignCodes(rules.campaignCodes.filter((c) => typeof c === "string").join(","));
+  if (typeof rules?.diffFromCodes === "boolean") valid.diffFromCodes = rules.diffFromCodes;
+  return valid;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// First campaign code that appears as a whole word in a slot's path: {code, path}, or null
+export function findCampaignCode(files, codes) {
+  const matchers = codes.map((code) => [code, new RegExp(`(^|[^a-z0-9])${escapeRegExp(code)}($|[^a-z0-9])`, "i")]);
+  for (const item of files) {
+    const path = item?.path || item?.file?.name;
+    const hit = path && matchers.find(([, re]) => re.test(path));
+    if (hit) return { code: hit[0], path };
+  }
+  return null;
+}
+
+// {value, from} for the product name from the first filled slot, or null
+function productFromFiles(files, { product: source, pattern }) {
+  const first = files.find(Boolean);
+  if (!first || source === "off") return null;
+  const text = source === "folder" ? parentFolder(first.path) : stripExt(first.file?.name);
+  const value = text ? applyPattern(text, pattern).trim() : "";
+  if (!value) return null;
+  return { value, from: source === "folder" ? `folder “${text}”` : `file name “${first.file.name}”` };
+}
+
+// The product with its empty and derived fields worked out again; the same object when
+// nothing changes. Derived fields whose rule was switched off keep their value as typed.
+export function deriveFields(product, rules = DEFAULT_FIELD_RULES, now = new Date()) {
+  const derived = { ...product.derived };
+  const patch = {};
+  let changed = false;
+  const set = (field, value, from) => {
+    const open = !String(product[field] || "").trim() || field in derived;
+    if (!open || (product[field] === value && derived[field] === from)) return;
+    patch[field] = value;
+    derived[field] = from;
+    changed = true;
+  };
+  const release = (field) => {
+    if (!(field in derived)) return;
+    delete derived[field];
+    changed = true;
+  };
+
+  set("date", currentYearMonth(now), "current month");
+  const files = product.files || [];
+  if (rules.product === "off") release("product");
+  else {
+    const name = productFromFiles(files, rules);
+    if (name) set("product", name.value, name.from);
+  }
+  if (!rules.diffFromCodes) release("diff");
+  else {
+    const hit = findCampaignCode(files, rules.campaignCodes || []);
+    if (hit) set("diff", hit.code, `campaign code in “${hit.path}”`);
+  }
+  return changed ? { ...product, ...patch, derived } : product;
+}
+
+// Typed values replace derived ones, which also locks them (a typed date stops following the month)
+export function withTypedFields(product, patch) {
+  const derived = { ...product.derived };
+  Object.keys(patch).forEach((k) => delete derived[k]);
+  return { ...product, ...patch, derived };
+}
+
+// The product's fields without the derived ones, e.g. for defaults that shouldn't go stale
+export const typedFields = (product) =>
+  Object.fromEntries(Object.entries(product).filter(([k]) => !(k in (product.derived || {}))));
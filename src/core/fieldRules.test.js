@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_FIELD_RULES,
+  applyPattern,
+  currentYearMonth,
+  deriveFields,
+  findCampaignCode,
+  parentFolder,
+  parseCampaignCodes,
+  patternError,
+  typedFields,
+  withTypedFields,
+} from "./fieldRules.js";
+import { product } from "../test/fixtures.js";
+
+const NOW = new Date(2026, 9, 19);
+const slot = (name, path = name) => ({ file: { name }, path });
+const noseKit = (fields = {}) =>
+  product({ date: "", derived: {}, ...fields }, [null, slot("TW-NOSEKIT_main.jpg", "Launch/Nose Kit SPRING24/TW-NOSEKIT_main.jpg")]);
+
+describe("helpers", () => {
+  it("formats the month and finds the parent folder", () => {
+    expect(currentYearMonth(new Date(2027, 0, 5))).toBe("202701");
+    expect(parentFolder("Launch/Nose Kit/1.jpg")).toBe("Nose Kit");
+    expect(parentFolder("1.jpg")).toBe("");
+  });
+
+  it("applies patterns by capture group and reports bad ones", () => {
+    expect(applyPattern("TW-NOSEKIT_main", "^([^_]+)_")).toBe("TW-NOSEKIT");
+    expect(applyPattern("TW-NOSEKIT_main", "nosekit")).toBe("NOSEKIT");
+    expect(applyPattern("TW-NOSEKIT_main", "^x")).toBe("");
+    expect(applyPattern("same", "")).toBe("same");
+    expect(patternError("(")).not.toBe("");
+    expect(patternError("^(\\w+)")).toBe("");
+  });
+
+  it("parses and finds campaign codes as whole words", () => {
+    expect(parseCampaignCodes("spring24, ALT\nspring24")).toEqual(["SPRING24", "ALT"]);
+    const files = [null, slot("a.jpg", "SPRING24X/a.jpg"), slot("b.jpg", "Kit spring24/b.jpg")];
+    expect(findCampaignCode(files, ["SPRING24"])).toEqual({ code: "SPRING24", path: "Kit spring24/b.jpg" });
+    expect(findCampaignCode(files, ["FALL"])).toBeNull();
+  });
+});
+
+describe("deriveFields", () => {
+  const rules = { ...DEFAULT_FIELD_RULES, product: "filename", pattern: "^([^_]+)_", campaignCodes: ["SPRING24"], diffFromCodes: true };
+
+  it("fills empty fields and says where from", () => {
+    const next = deriveFields(noseKit(), rules, NOW);
+    expect(next).toMatchObject({ product: "TW-NOSEKIT", date: "202610", diff: "SPRING24" });
+    expect(next.derived).toEqual({
+      product: "file name “TW-NOSEKIT_main.jpg”",
+      date: "current month",
+      diff: "campaign code in “Launch/Nose Kit SPRING24/TW-NOSEKIT_main.jpg”",
+    });
+    expect(deriveFields(noseKit(), { ...rules, product: "folder", pattern: "" }, NOW).product).toBe("Nose Kit SPRING24");
+  });
+
+  it("never touches typed values and keeps the object when nothing changes", () => {
+    const typed = noseKit({ product: "MINE", date: "202511", diff: "OWN" });
+    expect(deriveFields(typed, rules, NOW)).toBe(typed);
+    const derived = deriveFields(noseKit(), rules, NOW);
+    expect(deriveFields(derived, rules, NOW)).toBe(derived);
+  });
+
+  it("moves an unlocked date to the new month", () => {
+    const october = deriveFields(noseKit(), DEFAULT_FIELD_RULES, NOW);
+    expect(deriveFields(october, DEFAULT_FIELD_RULES, new Date(2026, 10, 1)).date).toBe("202611");
+  });
+
+  it("keeps values as typed when a rule is switched off", () => {
+    const derived = deriveFields(noseKit(), rules, NOW);
+    const off = deriveFields(derived, DEFAULT_FIELD_RULES, NOW);
+    expect(off).toMatchObject({ product: "TW-NOSEKIT", diff: "SPRING24", derived: { date: "current month" } });
+  });
+});
+
+describe("typed fields", () => {
+  it("locks typed values and leaves derived ones out of defaults", () => {
+    const derived = deriveFields(noseKit(), DEFAULT_FIELD_RULES, NOW);
+    const typed = withTypedFields(derived, { diff: "OWN" });
+    expect(typed.derived).toEqual({ date: "current month" });
+    expect(typedFields(typed)).not.toHaveProperty("date");
+    expect(typedFields(typed).diff).toBe("OWN");
+    expect(deriveFields(withTypedFields(typed, { date: "202511" }), DEFAULT_FIELD_RULES, new Date(2027, 0, 1)).date).toBe("202511");
+  });
+});
@@ -0,0 +1,16 @@
+// Naming, validation, packaging and image metadata without React or DOM dependencies.
+// Shared by the app and covered by the tests next to each module.
+export * from "./slotTypes.js";
+export * from "./template.js";
+export * from "./naming.js";
+export * from "./validation.js";
+export * from "./packaging.js";
+export * from "./metadata.js";
+export * from "./exportManifest.js";
+export * from "./zipStream.js";
+export * from "./reorder.js";
+export * from "./duplicates.js";
+export * from "./edits.js";
+export * from "./listingDiff.js";
+export * from "./profiles.js";
+export * from "./fieldRules.js";
@@ -0,0 +1,54 @@
+import { compareImages } from "./duplicates.js";
+
+// ---------------- Live listing comparison ----------------
+// Lines up the images currently live on a listing with the new set by slot type and
+// says what a refresh changes. Images match on their content or perceptual hash, so a
+// re-saved or resized copy of a live image still counts as unchanged.
+
+export const LISTING_STATUSES = ["changed", "added", "removed", "unchanged", "pending"];
+
+// Listing order: MAIN, PT01…, SWCH, then A+ modules and Brand Story cards
+export function typeRank(code) {
+  if (code === "MAIN") return 0;
+  if (code === "SWCH") return 100;
+  const m = /^(PT|APLUS|BRANDSTORY)(\d+)$/.exec(code || "");
+  if (!m) return 1000;
+  return { PT: 0, APLUS: 200, BRANDSTORY: 300 }[m[1]] + Number(m[2]);
+}
+
+function rowStatus({ current, live }) {
+  if (!live) return { status: "added", distance: null };
+  if (!current) return { status: "removed", distance: null };
+  if (!current.analysis || !live.analysis) return { status: "pending", distance: null };
+  const match = compareImages(live.analysis, current.analysis);
+  return match ? { status: "unchanged", distance: match.distance } : { status: "changed", distance: null };
+}
+
+// `current` and `live` are [{type, analysis, ...}] where analysis carries sha256/dhash
+// (null while it is computed). One row per type in listing order:
+// {type, current, live, status, distance}; the first entry of a type wins.
+export function diffListing(current, live) {
+  const rows = new Map();
+  const place = (side) => (entry) => {
+    if (!entry?.type) return;
+    const row = rows.get(entry.type) || { type: entry.type, current: null, live: null };
+    if (!row[side]) row[side] = entry;
+    rows.set(entry.type, row);
+  };
+  current.forEach(place("current"));
+  live.forEach(place("live"));
+  return [...rows.values()]
+    .sort((a, b) => typeRank(a.type) - typeRank(b.type) || a.type.localeCompare(b.type))
+    .map((row) => ({ ...row, ...rowStatus(row) }));
+}
+
+// Types a refresh has to upload: changed and added ones, plus any still being compared
+export const changedTypes = (rows) =>
+  new Set(rows.filter((r) => r.current && r.status !== "unchanged").map((r) => r.type));
+
+// {changed, added, removed, unchanged, pending} counts for a summary line
+export function countStatuses(rows) {
+  const counts = Object.fromEntries(LISTING_STATUSES.map((s) => [s, 0]));
+  rows.forEach((r) => counts[r.status]++);
+  return counts;
+}
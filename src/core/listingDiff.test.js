@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { changedTypes, countStatuses, diffListing, typeRank } from "./listingDiff.js";
+
+const entry = (type, sha256, dhash) => ({ type, analysis: sha256 === null ? null : { sha256, dhash } });
+
+describe("diffListing", () => {
+  const current = [entry("MAIN", "a", "0000"), entry("PT01", "x", "00ff"), entry("PT02", "c2", "0f01"), entry("PT04", "d", "aaaa"), entry("PT05", null)];
+  const live = [entry("PT01", "b", "ff00"), entry("MAIN", "a", "0000"), entry("PT02", "c", "0f00"), entry("PT03", "e", "1234"), entry("PT05", "f", "0000")];
+  const rows = diffListing(current, live);
+
+  it("lines rows up by type in listing order", () => {
+    expect(rows.map((r) => r.type)).toEqual(["MAIN", "PT01", "PT02", "PT03", "PT04", "PT05"]);
+  });
+
+  it("flags changed, added, removed, unchanged and pending slots", () => {
+    expect(rows.map((r) => r.status)).toEqual(["unchanged", "changed", "unchanged", "removed", "added", "pending"]);
+    expect(rows[2].distance).toBe(1);
+    expect(countStatuses(rows)).toEqual({ changed: 1, added: 1, removed: 1, unchanged: 2, pending: 1 });
+  });
+
+  it("uploads changed, added and undecided slots only", () => {
+    expect([...changedTypes(rows)]).toEqual(["PT01", "PT04", "PT05"]);
+  });
+});
+
+describe("typeRank", () => {
+  it("orders swatches after the PT images and A+ after the listing", () => {
+    const codes = ["APLUS01", "SWCH", "PT10", "MAIN", "BRANDSTORY02", "PT02"];
+    expect([...codes].sort((a, b) => typeRank(a) - typeRank(b))).toEqual(["MAIN", "PT02", "PT10", "SWCH", "APLUS01", "BRANDSTORY02"]);
+  });
+});
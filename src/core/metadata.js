@@ -0,0 +1,365 @@
+// ---------------- Image metadata ----------------
+// Byte-level JPEG/PNG metadata handling on Uint8Arrays: read EXIF (orientation,
+// camera, GPS), strip it, carry it over to a re-encoded copy, and embed our own
+// XMP/IPTC listing fields. Pixels are never touched here; orientation is baked
+// by the processing pipeline, which decodes with the EXIF rotation applied.
+
+// All off by default, so exports carry the original bytes unless asked otherwise
+export const DEFAULT_METADATA = {
+  strip: false, // drop EXIF/GPS, XMP, IPTC and comments (ICC colour profiles are kept)
+  fixOrientation: false, // rotate pixels upright for files with an EXIF orientation
+  embed: false, // write product, ASIN, slot type and copyright into JPEGs
+  copyright: "",
+};
+
+const ORIENTATION_LABELS = {
+  1: "Normal",
+  2: "Mirrored",
+  3: "Rotated 180°",
+  4: "Mirrored, rotated 180°",
+  5: "Mirrored, rotated 90° CCW",
+  6: "Rotated 90° CW",
+  7: "Mirrored, rotated 90° CW",
+  8: "Rotated 90° CCW",
+};
+export const orientationLabel = (o) => ORIENTATION_LABELS[o] || "Normal";
+
+const ascii = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+const startsWith = (bytes, from, prefix) => prefix.every((b, i) => bytes[from + i] === b);
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  parts.forEach((p) => {
+    out.set(p, at);
+    at += p.length;
+  });
+  return out;
+};
+
+const EXIF_ID = ascii("Exif\0\0");
+const XMP_ID = ascii("http://ns.adobe.com/xap/1.0/\0");
+const PHOTOSHOP_ID = ascii("Photoshop 3.0\0");
+const ICC_ID = ascii("ICC_PROFILE\0");
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export const isJpeg = (bytes) => bytes?.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8;
+export const isPng = (bytes) => bytes?.length > 8 && startsWith(bytes, 0, PNG_SIGNATURE);
+
+// ---------------- JPEG segments ----------------
+// [{marker, start, end, data}] up to and including SOS, whose `end` runs to the end
+// of the file (scan data + EOI). Null when the structure is not a readable JPEG.
+// `partial` accepts a file prefix and returns the segments read before it ends.
+export function jpegSegments(bytes, { partial = false } = {}) {
+  if (!isJpeg(bytes)) return null;
+  const segments = [];
+  let i = 2;
+  while (i + 4 <= bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i++; // fill byte
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      i += 2; // markers without a length
+      continue;
+    }
+    if (marker === 0xd9) break;
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    const end = marker === 0xda ? bytes.length : i + 2 + length;
+    if (length < 2) return null;
+    if (i + 2 + length > bytes.length) return partial ? segments : null;
+    segments.push({ marker, start: i, end, data: i + 4 });
+    if (marker === 0xda) return segments;
+    i = end;
+  }
+  return segments;
+}
+
+const isExif = (bytes, s) => s.marker === 0xe1 && startsWith(bytes, s.data, EXIF_ID);
+const isXmp = (bytes, s) => s.marker === 0xe1 && startsWith(bytes, s.data, XMP_ID);
+const isIptc = (bytes, s) => s.marker === 0xed && startsWith(bytes, s.data, PHOTOSHOP_ID);
+const isIcc = (bytes, s) => s.marker === 0xe2 && startsWith(bytes, s.data, ICC_ID);
+
+const rebuildJpeg = (bytes, segments) => concat([bytes.subarray(0, 2), ...segments.map((s) => bytes.subarray(s.start, s.end))]);
+
+// ---------------- EXIF (TIFF) ----------------
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Entries of the IFD at `offset` (relative to the TIFF header): Map tag → {type, count, at}
+function readIfd(view, tiff, offset, little) {
+  const entries = new Map();
+  if (tiff + offset + 2 > view.byteLength) return entries;
+  const count = view.getUint16(tiff + offset, little);
+  for (let n = 0; n < count; n++) {
+    const entry = tiff + offset + 2 + n * 12;
+    if (entry + 12 > view.byteLength) break;
+    const type = view.getUint16(entry + 2, little);
+    const valueCount = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 1) * valueCount;
+    const at = size <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+    if (at + size <= view.byteLength) entries.set(view.getUint16(entry, little), { type, count: valueCount, at });
+  }
+  return entries;
+}
+
+function readValue(view, entry, little) {
+  if (!entry) return null;
+  const { type, count, at } = entry;
+  if (type === 2) {
+    let s = "";
+    for (let i = 0; i < count; i++) {
+      const c = view.getUint8(at + i);
+      if (!c) break;
+      s += String.fromCharCode(c);
+    }
+    return s.trim();
+  }
+  const one = (i) => {
+    switch (type) {
+      case 3:
+        return view.getUint16(at + i * 2, little);
+      case 4:
+        return view.getUint32(at + i * 4, little);
+      case 9:
+        return view.getInt32(at + i * 4, little);
+      case 5:
+        return view.getUint32(at + i * 8, little) / (view.getUint32(at + i * 8 + 4, little) || 1);
+      case 10:
+        return view.getInt32(at + i * 8, little) / (view.getInt32(at + i * 8 + 4, little) || 1);
+      default:
+        return view.getUint8(at + i);
+    }
+  };
+  return count === 1 ? one(0) : Array.from({ length: count }, (_, i) => one(i));
+}
+
+const dms = (v) => (Array.isArray(v) && v.length === 3 ? v[0] + v[1] / 60 + v[2] / 3600 : null);
+
+// Parse the TIFF block of an EXIF segment at `tiff`
+function parseExif(bytes, tiff) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = view.getUint16(tiff) === 0x4949;
+  const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little);
+  const value = (ifd, tag) => readValue(view, ifd.get(tag), little);
+  const sub = (tag) => (ifd0.has(tag) ? readIfd(view, tiff, value(ifd0, tag), little) : new Map());
+  const exif = sub(0x8769);
+  const gpsIfd = sub(0x8825);
+
+  const lat = dms(value(gpsIfd, 2));
+  const lon = dms(value(gpsIfd, 4));
+  const gps = lat != null && lon != null
+    ? { latitude: value(gpsIfd, 1) === "S" ? -lat : lat, longitude: value(gpsIfd, 3) === "W" ? -lon : lon }
+    : null;
+  const orientationEntry = ifd0.get(0x0112);
+  return {
+    orientation: value(ifd0, 0x0112) || 1,
+    orientationAt: orientationEntry?.type === 3 ? orientationEntry.at : null,
+    little,
+    camera: [value(ifd0, 0x010f), value(ifd0, 0x0110)].filter(Boolean).join(" ") || null,
+    software: value(ifd0, 0x0131) || null,
+    taken: value(exif, 0x9003) || value(ifd0, 0x0132) || null,
+    artist: value(ifd0, 0x013b) || null,
+    copyright: value(ifd0, 0x8298) || null,
+    gps,
+  };
+}
+
+// ---------------- Reading ----------------
+// Summary for the inspector and export decisions. Works on the first few hundred
+// KB of a file. Never throws; unreadable metadata comes back as the defaults.
+export function readMetadata(bytes) {
+  const result = {
+    format: isJpeg(bytes) ? "jpeg" : isPng(bytes) ? "png" : "other",
+    orientation: 1,
+    camera: null,
+    software: null,
+    taken: null,
+    artist: null,
+    copyright: null,
+    gps: null,
+    exif: false,
+    xmp: false,
+    iptc: false,
+    icc: false,
+    comments: false,
+  };
+  try {
+    if (result.format === "jpeg") {
+      (jpegSegments(bytes, { partial: true }) || []).forEach((s) => {
+        if (isExif(bytes, s)) {
+          result.exif = true;
+          const { orientationAt, little, ...exif } = parseExif(bytes, s.data + EXIF_ID.length);
+          Object.assign(result, exif);
+        } else if (isXmp(bytes, s)) result.xmp = true;
+        else if (isIptc(bytes, s)) result.iptc = true;
+        else if (isIcc(bytes, s)) result.icc = true;
+        else if (s.marker === 0xfe) result.comments = true;
+      });
+    } else if (result.format === "png") {
+      pngChunks(bytes).forEach((c) => {
+        if (c.type === "eXIf") {
+          result.exif = true;
+          const { orientationAt, little, ...exif } = parseExif(bytes, c.data);
+          Object.assign(result, exif);
+        } else if (c.type === "iTXt" && startsWith(bytes, c.data, ascii("XML:com.adobe.xmp"))) result.xmp = true;
+        else if (TEXT_CHUNKS.includes(c.type)) result.comments = true;
+        else if (c.type === "iCCP") result.icc = true;
+      });
+    }
+  } catch (_) {
+    // truncated or malformed metadata: report what was read so far
+  }
+  return result;
+}
+
+// Pixel dimensions as stored in the file ({width, height}), or null when unknown.
+// JPEG, PNG, GIF and TIFF; EXIF orientation is not applied.
+export function imageSize(bytes) {
+  try {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (isPng(bytes)) return { width: view.getUint32(16), height: view.getUint32(20) };
+    if (startsWith(bytes, 0, ascii("GIF8"))) return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    if (isJpeg(bytes)) {
+      const sof = (jpegSegments(bytes, { partial: true }) || []).find((s) => s.marker >= 0xc0 && s.marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(s.marker));
+      return sof ? { width: view.getUint16(sof.data + 3), height: view.getUint16(sof.data + 1) } : null;
+    }
+    const tiff = view.getUint16(0);
+    if ((tiff === 0x4949 || tiff === 0x4d4d) && view.getUint16(2, tiff === 0x4949) === 42) {
+      const little = tiff === 0x4949;
+      const ifd0 = readIfd(view, 0, view.getUint32(4, little), little);
+      const width = readValue(view, ifd0.get(256), little);
+      const height = readValue(view, ifd0.get(257), little);
+      return width && height ? { width, height } : null;
+    }
+  } catch (_) {}
+  return null;
+}
+
+// ---------------- PNG chunks ----------------
+const TEXT_CHUNKS = ["tEXt", "zTXt", "iTXt"];
+const PNG_METADATA = [...TEXT_CHUNKS, "eXIf", "tIME"];
+
+function pngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let i = 8;
+  while (i + 12 <= bytes.length) {
+    const length = view.getUint32(i);
+    const type = String.fromCharCode(...bytes.subarray(i + 4, i + 8));
+    const end = i + 12 + length;
+    if (end > bytes.length) break;
+    chunks.push({ type, start: i, end, data: i + 8 });
+    i = end;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+// ---------------- Writing ----------------
+// Drop EXIF/GPS, XMP, IPTC, comments and other APPn blocks. JFIF, ICC profiles and
+// the Adobe APP14 marker stay, since decoders need them to get colours right.
+export function stripMetadata(bytes) {
+  if (isPng(bytes)) {
+    const chunks = pngChunks(bytes);
+    return concat([bytes.subarray(0, 8), ...chunks.filter((c) => !PNG_METADATA.includes(c.type)).map((c) => bytes.subarray(c.start, c.end))]);
+  }
+  const segments = jpegSegments(bytes);
+  if (!segments) return bytes;
+  const keep = (s) => !(s.marker >= 0xe1 && s.marker <= 0xef) || isIcc(bytes, s) || s.marker === 0xee;
+  return rebuildJpeg(bytes, segments.filter((s) => keep(s) && s.marker !== 0xfe));
+}
+
+// Copy the EXIF/XMP/IPTC of `source` into a re-encoded JPEG `target` (canvas output
+// has none). The orientation is reset to 1 because the pixels are already upright.
+export function transplantMetadata(source, target) {
+  const from = jpegSegments(source);
+  const to = jpegSegments(target);
+  if (!from || !to) return target;
+  const carried = from.filter((s) => isExif(source, s) || isXmp(source, s) || isIptc(source, s)).map((s) => {
+    const copy = source.slice(s.start, s.end);
+    if (isExif(source, s)) {
+      const { orientationAt, little } = parseExif(source, s.data + EXIF_ID.length);
+      if (orientationAt != null) new DataView(copy.buffer).setUint16(orientationAt - s.start, 1, little);
+    }
+    return copy;
+  });
+  if (!carried.length) return target;
+  const lead = to.findIndex((s) => s.marker !== 0xe0);
+  const at = lead < 0 ? to.length : lead;
+  const parts = [target.subarray(0, 2), ...to.slice(0, at).map((s) => target.subarray(s.start, s.end)), ...carried, ...to.slice(at).map((s) => target.subarray(s.start, s.end))];
+  return concat(parts);
+}
+
+const xmlEscape = (s) => String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+function segment(marker, payload) {
+  if (payload.length + 2 > 0xffff) throw new Error("Metadata block too large");
+  return concat([Uint8Array.of(0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff), payload]);
+}
+
+// XMP packet with Dublin Core title (product), identifier (ASIN), subject (type, ASIN) and rights
+export function buildXmp({ product, asin, type, copyright }) {
+  const alt = (tag, value) => (value ? `<dc:${tag}><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(value)}</rdf:li></rdf:Alt></dc:${tag}>` : "");
+  const keywords = [type, asin].filter(Boolean);
+  const xml =
+    `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">` +
+    alt("title", product) +
+    (asin ? `<dc:identifier>${xmlEscape(asin)}</dc:identifier>` : "") +
+    (keywords.length ? `<dc:subject><rdf:Bag>${keywords.map((k) => `<rdf:li>${xmlEscape(k)}</rdf:li>`).join("")}</rdf:Bag></dc:subject>` : "") +
+    alt("rights", copyright) +
+    `</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>`;
+  return new TextEncoder().encode(xml);
+}
+
+// IPTC-IIM records (UTF-8) wrapped in a Photoshop 8BIM resource for APP13
+export function buildIptc({ product, asin, type, copyright }) {
+  const enc = new TextEncoder();
+  const record = (rec, dataset, value, max) => {
+    let data = typeof value === "string" ? enc.encode(value) : value;
+    if (max && data.length > max) data = data.subarray(0, max);
+    return concat([Uint8Array.of(0x1c, rec, dataset, data.length >> 8, data.length & 0xff), data]);
+  };
+  const records = [
+    record(1, 90, Uint8Array.of(0x1b, 0x25, 0x47)), // coded character set: UTF-8
+    record(2, 0, Uint8Array.of(0, 4)), // record version
+    product && record(2, 5, product, 64), // object name
+    ...[type, asin].filter(Boolean).map((k) => record(2, 25, k, 64)), // keywords
+    copyright && record(2, 116, copyright, 128), // copyright notice
+  ].filter(Boolean);
+  const iptc = concat(records);
+  const padded = iptc.length % 2 ? concat([iptc, Uint8Array.of(0)]) : iptc;
+  const size = iptc.length;
+  const resource = concat([ascii("8BIM"), Uint8Array.of(0x04, 0x04, 0, 0, size >>> 24, (size >> 16) & 0xff, (size >> 8) & 0xff, size & 0xff), padded]);
+  return concat([PHOTOSHOP_ID, resource]);
+}
+
+// Write listing fields into a JPEG as XMP and IPTC, replacing any existing blocks.
+// Other formats are returned unchanged.
+export function embedMetadata(bytes, fields) {
+  const segments = jpegSegments(bytes);
+  if (!segments) return bytes;
+  const kept = segments.filter((s) => !isXmp(bytes, s) && !isIptc(bytes, s));
+  // after JFIF/EXIF, which readers expect first
+  let at = 0;
+  while (at < kept.length && (kept[at].marker === 0xe0 || isExif(bytes, kept[at]))) at++;
+  const ours = [segment(0xe1, concat([XMP_ID, buildXmp(fields)])), segment(0xed, buildIptc(fields))];
+  return concat([
+    bytes.subarray(0, 2),
+    ...kept.slice(0, at).map((s) => bytes.subarray(s.start, s.end)),
+    ...ours,
+    ...kept.slice(at).map((s) => bytes.subarray(s.start, s.end)),
+  ]);
+}
+
+// Export-time metadata for one file. `original` is the source when `bytes` is a
+// re-encoded copy; its metadata is carried over unless stripping.
+export function applyMetadata(bytes, { strip = false, original = null, embed = null } = {}) {
+  let out = bytes;
+  if (strip) out = stripMetadata(out);
+  else if (original && original !== bytes) out = transplantMetadata(original, out);
+  if (embed) out = embedMetadata(out, embed);
+  return out;
+}
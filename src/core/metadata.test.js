@@ -0,0 +1,159 @@
+import { describe, expect, it } from "vitest";
+import { applyMetadata, embedMetadata, imageSize, jpegSegments, readMetadata, stripMetadata, transplantMetadata } from "./metadata.js";
+
+const ascii = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+const concat = (...parts) => Uint8Array.from(parts.flatMap((p) => [...p]));
+const segment = (marker, payload) => concat([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff], payload);
+
+// Big-endian TIFF: IFD0 {Orientation, Make, GPS pointer} and a GPS IFD at 51°30'N 0°7'36"W
+function exifTiff(orientation = 6) {
+  const view = new DataView(new ArrayBuffer(158));
+  const entry = (at, tag, type, count, value, short = false) => {
+    view.setUint16(at, tag);
+    view.setUint16(at + 2, type);
+    view.setUint32(at + 4, count);
+    if (short) view.setUint16(at + 8, value);
+    else view.setUint32(at + 8, value);
+  };
+  const rationals = (at, values) => values.forEach(([n, d], i) => (view.setUint32(at + i * 8, n), view.setUint32(at + i * 8 + 4, d)));
+  view.setUint16(0, 0x4d4d);
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  view.setUint16(8, 3);
+  entry(10, 0x0112, 3, 1, orientation, true);
+  entry(22, 0x010f, 2, 6, 50);
+  entry(34, 0x8825, 4, 1, 56);
+  ascii("Canon\0").forEach((b, i) => view.setUint8(50 + i, b));
+  view.setUint16(56, 4);
+  entry(58, 1, 2, 2, 0x4e00 << 16);
+  entry(70, 2, 5, 3, 110);
+  entry(82, 3, 2, 2, 0x5700 << 16);
+  entry(94, 4, 5, 3, 134);
+  rationals(110, [[51, 1], [30, 1], [0, 1]]);
+  rationals(134, [[0, 1], [7, 1], [3600, 100]]);
+  return new Uint8Array(view.buffer);
+}
+
+const JFIF = segment(0xe0, ascii("JFIF\0\x01\x01\0\0\x01\0\x01\0\0"));
+const ICC = segment(0xe2, ascii("ICC_PROFILE\0\x01\x01data"));
+const SCAN = concat(segment(0xdb, [0, 1, 2]), segment(0xda, [1, 2, 3]), [0x12, 0x34, 0xff, 0x00, 0x56], [0xff, 0xd9]);
+const jpeg = (...segments) => concat([0xff, 0xd8], ...segments, SCAN);
+const exifSegment = (orientation) => segment(0xe1, concat(ascii("Exif\0\0"), exifTiff(orientation)));
+const photo = () => jpeg(JFIF, exifSegment(6), segment(0xfe, ascii("shot on holiday")), ICC);
+
+describe("readMetadata", () => {
+  it("reads orientation, camera and GPS from EXIF", () => {
+    const meta = readMetadata(photo());
+    expect(meta).toMatchObject({ format: "jpeg", orientation: 6, camera: "Canon", exif: true, icc: true, comments: true, xmp: false });
+    expect(meta.gps.latitude).toBeCloseTo(51.5);
+    expect(meta.gps.longitude).toBeCloseTo(-(7 / 60 + 36 / 3600));
+  });
+
+  it("falls back to defaults for files without metadata", () => {
+    expect(readMetadata(jpeg(JFIF))).toMatchObject({ format: "jpeg", orientation: 1, exif: false, gps: null });
+    expect(readMetadata(ascii("GIF89a"))).toMatchObject({ format: "other", orientation: 1 });
+  });
+
+  it("reads a file prefix and survives truncated EXIF", () => {
+    const bytes = photo();
+    expect(readMetadata(bytes.subarray(0, 200))).toMatchObject({ orientation: 6, camera: "Canon" });
+    expect(readMetadata(bytes.subarray(0, 60))).toMatchObject({ format: "jpeg", orientation: 1 });
+  });
+});
+
+describe("stripMetadata", () => {
+  it("drops EXIF and comments but keeps JFIF, ICC and the image data", () => {
+    const stripped = stripMetadata(photo());
+    expect(stripped).toEqual(jpeg(JFIF, ICC));
+    expect(readMetadata(stripped)).toMatchObject({ exif: false, gps: null, comments: false, icc: true });
+  });
+
+  it("drops PNG text and EXIF chunks", () => {
+    const chunk = (type, data) => concat([0, 0, 0, data.length], ascii(type), data, [0, 0, 0, 0]);
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    const ihdr = chunk("IHDR", new Uint8Array(13));
+    const idat = chunk("IDAT", [1, 2, 3]);
+    const iend = chunk("IEND", []);
+    const png = concat(signature, ihdr, chunk("tEXt", ascii("Author\0me")), chunk("eXIf", exifTiff()), idat, iend);
+    expect(readMetadata(png)).toMatchObject({ format: "png", exif: true, orientation: 6, comments: true });
+    expect(stripMetadata(png)).toEqual(concat(signature, ihdr, idat, iend));
+  });
+
+  it("refuses to rebuild a truncated JPEG", () => {
+    const prefix = photo().subarray(0, 200);
+    expect(stripMetadata(prefix)).toBe(prefix);
+  });
+
+  it("leaves unknown formats alone", () => {
+    const gif = ascii("GIF89a...");
+    expect(stripMetadata(gif)).toBe(gif);
+  });
+});
+
+describe("transplantMetadata", () => {
+  it("copies EXIF into a re-encoded file with the orientation reset", () => {
+    const reencoded = jpeg(JFIF);
+    const result = transplantMetadata(photo(), reencoded);
+    expect(readMetadata(result)).toMatchObject({ orientation: 1, camera: "Canon", exif: true });
+    expect(jpegSegments(result).map((s) => s.marker)).toEqual([0xe0, 0xe1, 0xdb, 0xda]);
+  });
+});
+
+describe("embedMetadata", () => {
+  const fields = { product: "Nose Kit", asin: "B0TEST", type: "MAIN", copyright: "© Sparrow & Co" };
+
+  it("writes XMP and IPTC after JFIF/EXIF", () => {
+    const result = embedMetadata(jpeg(JFIF, exifSegment(1)), fields);
+    expect(jpegSegments(result).map((s) => s.marker)).toEqual([0xe0, 0xe1, 0xe1, 0xed, 0xdb, 0xda]);
+    const text = new TextDecoder().decode(result);
+    expect(text).toContain('<rdf:li xml:lang="x-default">Nose Kit</rdf:li>');
+    expect(text).toContain("<dc:identifier>B0TEST</dc:identifier>");
+    expect(text).toContain("© Sparrow &amp; Co");
+    expect(text).toContain("8BIM");
+    expect(readMetadata(result)).toMatchObject({ xmp: true, iptc: true });
+  });
+
+  it("replaces earlier blocks instead of stacking them", () => {
+    const once = embedMetadata(jpeg(JFIF), fields);
+    const twice = embedMetadata(once, { ...fields, asin: "B0OTHER" });
+    expect(jpegSegments(twice).filter((s) => s.marker === 0xed)).toHaveLength(1);
+    expect(new TextDecoder().decode(twice)).not.toContain("B0TEST");
+  });
+
+  it("skips blank fields", () => {
+    const text = new TextDecoder().decode(embedMetadata(jpeg(JFIF), { product: "Kit" }));
+    expect(text).not.toContain("dc:rights");
+    expect(text).not.toContain("dc:identifier");
+  });
+});
+
+describe("applyMetadata", () => {
+  it("strips before embedding", () => {
+    const result = applyMetadata(photo(), { strip: true, embed: { product: "Kit" } });
+    expect(readMetadata(result)).toMatchObject({ exif: false, xmp: true, iptc: true, comments: false });
+  });
+
+  it("carries metadata over to a re-encoded copy when not stripping", () => {
+    const result = applyMetadata(jpeg(JFIF), { original: photo() });
+    expect(readMetadata(result)).toMatchObject({ exif: true, orientation: 1 });
+  });
+
+  it("returns the input untouched when nothing is asked", () => {
+    const bytes = photo();
+    expect(applyMetadata(bytes)).toBe(bytes);
+  });
+});
+
+describe("imageSize", () => {
+  it("reads JPEG frame and PNG header dimensions", () => {
+    const sof = segment(0xc0, [8, 0, 20, 0, 30, 3]);
+    expect(imageSize(jpeg(JFIF, sof))).toEqual({ width: 30, height: 20 });
+    const png = concat([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13], ascii("IHDR"), [0, 0, 1, 0, 0, 0, 0, 200]);
+    expect(imageSize(png)).toEqual({ width: 256, height: 200 });
+  });
+
+  it("returns null when there is no frame header", () => {
+    expect(imageSize(jpeg(JFIF))).toBeNull();
+    expect(imageSize(ascii("nope"))).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+import { DEFAULT_NAMING, renderTemplate, tidyName } from "./template.js";
+import { isAplusType, resolveSlotTypes } from "./slotTypes.js";
+
+// ---------------- Filenames ----------------
+// Sanitize strings for ZIP and folder names; `rules` are the naming collapse/trim options
+export const normalize = (s, rules = DEFAULT_NAMING) =>
+  tidyName((s || "").trim().toUpperCase().replace(/\s+/g, "_").replace(/[^A-Z0-9_]/g, "_"), rules);
+
+// Lower-cased extension after the last dot of the basename; "jpg" when there is none
+export const getExt = (name) => {
+  const m = /\.([^./\\]+)$/.exec(name || "");
+  return (m ? m[1] : "jpg").toLowerCase();
+};
+
+// Filename without its extension
+export const stripExt = (name) => String(name || "").replace(/\.[^./\\]+$/, "");
+
+// Extensions of the image files the app and the CLI pick up
+export const IMAGE_EXT_RE = /\.(jpe?g|png|gif|tiff?|webp)$/i;
+
+// "img_2" before "img_10"
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+export const naturalCompare = (a, b) => collator.compare(a || "", b || "");
+
+// Filled slots of a product with their resolved type and 0-based rank
+export const productSlots = (p) => {
+  const types = resolveSlotTypes(p.files);
+  const slots = [];
+  p.files.forEach((item, slot) => {
+    if (item) slots.push({ item, slot, type: types[slot], index: slots.length });
+  });
+  return slots;
+};
+
+// Swap a filename's extension
+export const replaceExt = (name, ext) => `${stripExt(name)}.${ext}`;
+
+// Filename a slot gets from the naming template, ignoring any per-slot override.
+// `ext` overrides the original extension when export processing converts the file.
+export const templateFilename = (fields, { item, type, index, ext }, naming = DEFAULT_NAMING) => {
+  const template = isAplusType(type) ? naming.aplusTemplate : naming.template;
+  return renderTemplate(template, {
+    product: fields.product,
+    asin: fields.asin,
+    sku: fields.sku,
+    date: fields.date,
+    diff: fields.diff,
+    type,
+    index: index + 1,
+    origName: stripExt(item?.file?.name),
+    ext: ext || getExt(item?.file?.name),
+  }, naming);
+};
+
+// Final filename for a filled slot: the item's `nameOverride` (typed or locked; a typed
+// image extension is dropped for the slot's own) if it has one, otherwise the template name
+export const buildFilename = (fields, slot, naming = DEFAULT_NAMING) => {
+  const custom = String(slot.item?.nameOverride || "").trim().replace(IMAGE_EXT_RE, "").trim();
+  return custom ? `${custom}.${slot.ext || getExt(slot.item?.file?.name)}` : templateFilename(fields, slot, naming);
+};
+
+// `name`, or the first stem_2.ext, stem_3.ext… not in `taken` (a Set of lower-cased names)
+export function uniqueName(name, taken) {
+  const dot = name.lastIndexOf(".");
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${stem}_${n}${ext}`;
+  return candidate;
+}
+
+// Make names unique, case-insensitively, by adding _2, _3… before the extension
+export function dedupeNames(names) {
+  const used = new Set();
+  return names.map((name) => {
+    const candidate = uniqueName(name, used);
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+// Filled slots with their export `name`; `extFor(item)` supplies a converted extension, if any.
+// `dedupe` (default: naming.duplicates is "auto") suffixes repeated names.
+export const namedSlots = (p, naming = DEFAULT_NAMING, extFor = () => null, { dedupe = naming.duplicates === "auto" } = {}) => {
+  const slots = productSlots(p).map((slot) => ({ ...slot, ext: extFor(slot.item) || undefined }));
+  const names = slots.map((slot) => buildFilename(p, slot, naming));
+  const unique = dedupe ? dedupeNames(names) : names;
+  return slots.map((slot, i) => ({ ...slot, name: unique[i] }));
+};
+
+// Just the export names, in slot order
+export const productFilenames = (p, naming = DEFAULT_NAMING, extFor, options) => namedSlots(p, naming, extFor, options).map((s) => s.name);
+
+// ZIP folder for a product in "Export all"; falls back to SKU/ASIN, then position
+export const productFolderName = (p, i, rules = DEFAULT_NAMING) =>
+  normalize(p.product, rules) || normalize(p.sku, rules) || normalize(p.asin, rules) || `PRODUCT_${i + 1}`;
@@ -0,0 +1,223 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_NAMING } from "./template.js";
+import {
+  buildFilename,
+  dedupeNames,
+  getExt,
+  namedSlots,
+  naturalCompare,
+  normalize,
+  productFilenames,
+  productFolderName,
+  productSlots,
+  replaceExt,
+  stripExt,
+  templateFilename,
+} from "./naming.js";
+import { product as blankProduct } from "../test/fixtures.js";
+
+const file = (name) => ({ name });
+const product = (fields = {}, names = []) =>
+  blankProduct({ product: "Tw Nose Kit", sku: "SKU-1", asin: "B0TEST1234", diff: "women refresh", ...fields }, names);
+
+describe("naturalCompare", () => {
+  it("orders numbers by value", () => {
+    expect(["img_10", "img_2", "IMG_1"].sort(naturalCompare)).toEqual(["IMG_1", "img_2", "img_10"]);
+  });
+});
+
+describe("normalize", () => {
+  it("upper-cases and replaces spaces and symbols with underscores", () => {
+    expect(normalize("Tw Nose Kit!")).toBe("TW_NOSE_KIT");
+    expect(normalize("women refresh")).toBe("WOMEN_REFRESH");
+    expect(normalize("  a   b  ")).toBe("A_B");
+    expect(normalize("a & b")).toBe("A_B");
+  });
+
+  it("keeps trailing and repeated underscores when the rules are off", () => {
+    const raw = { collapse: false, trim: false };
+    expect(normalize("Tw Nose Kit!", raw)).toBe("TW_NOSE_KIT_");
+    expect(normalize("a & b", raw)).toBe("A___B");
+  });
+
+  it("keeps empty input empty", () => {
+    expect(normalize("")).toBe("");
+    expect(normalize(null)).toBe("");
+    expect(normalize(undefined)).toBe("");
+  });
+
+  it("replaces non-ASCII letters rather than transliterating them", () => {
+    expect(normalize("Café crème")).toBe("CAF_CR_ME");
+    expect(normalize("日本")).toBe("");
+    expect(normalize("日本", { collapse: false, trim: false })).toBe("__");
+  });
+});
+
+describe("getExt", () => {
+  it("returns the lower-cased extension", () => {
+    expect(getExt("photo.JPG")).toBe("jpg");
+    expect(getExt("asset.png")).toBe("png");
+    expect(getExt("archive.tar.gz")).toBe("gz");
+  });
+
+  it("falls back to jpg when there is no extension", () => {
+    expect(getExt("")).toBe("jpg");
+    expect(getExt(undefined)).toBe("jpg");
+    expect(getExt("photo.")).toBe("jpg");
+  });
+
+  it("needs a literal dot, not any character", () => {
+    // the old /.([^.]+)$/ turned "README" into "eadme"
+    expect(getExt("README")).toBe("jpg");
+    expect(getExt("IMG1234")).toBe("jpg");
+  });
+
+  it("ignores dots in folder names", () => {
+    expect(getExt("shoot.v2/IMG1234")).toBe("jpg");
+    expect(getExt("shoot.v2\\IMG1234")).toBe("jpg");
+  });
+
+  it("handles non-ASCII names", () => {
+    expect(getExt("café.Webp")).toBe("webp");
+  });
+});
+
+describe("stripExt", () => {
+  it("removes only the last extension", () => {
+    expect(stripExt("archive.tar.gz")).toBe("archive.tar");
+    expect(stripExt("README")).toBe("README");
+    expect(stripExt(undefined)).toBe("");
+  });
+});
+
+describe("replaceExt", () => {
+  it("swaps the last extension", () => {
+    expect(replaceExt("KIT_MAIN.png", "jpg")).toBe("KIT_MAIN.jpg");
+    expect(replaceExt("KIT", "jpg")).toBe("KIT.jpg");
+  });
+});
+
+describe("productSlots", () => {
+  it("lists filled slots with type and rank, skipping gaps", () => {
+    const slots = productSlots(product({}, ["a.jpg", null, "b.jpg", "c.jpg"]));
+    expect(slots.map(({ slot, type, index }) => [slot, type, index])).toEqual([
+      [0, "MAIN", 0],
+      [2, "PT01", 1],
+      [3, "PT02", 2],
+    ]);
+  });
+
+  it("honours type overrides", () => {
+    const p = product({}, ["a.jpg", "b.jpg"]);
+    p.files[1].typeOverride = "MAIN";
+    expect(productSlots(p).map((s) => s.type)).toEqual(["PT01", "MAIN"]);
+  });
+});
+
+describe("buildFilename", () => {
+  const slot = (name, type = "MAIN", index = 0) => ({ item: { file: file(name) }, type, index });
+
+  it("renders the classic template", () => {
+    expect(buildFilename(product(), slot("x.JPG"))).toBe("TW_NOSE_KIT_202511_WOMEN_REFRESH_MAIN.jpg");
+  });
+
+  it("uses the converted extension when given", () => {
+    expect(buildFilename(product(), { ...slot("x.png"), ext: "jpg" })).toBe("TW_NOSE_KIT_202511_WOMEN_REFRESH_MAIN.jpg");
+  });
+
+  it("uses the A+ template for A+ and Brand Story types", () => {
+    expect(buildFilename(product(), slot("x.png", "APLUS01"))).toBe("TW_NOSE_KIT_APLUS01.png");
+    expect(buildFilename(product(), slot("x.png", "BRANDSTORY02"))).toBe("TW_NOSE_KIT_BRANDSTORY02.png");
+  });
+
+  it("leaves empty fields empty instead of inventing values", () => {
+    expect(buildFilename(product({ product: "", date: "", diff: "" }), slot("x.jpg"))).toBe("MAIN.jpg");
+    expect(buildFilename(product({ diff: "" }), slot("x.jpg"))).toBe("TW_NOSE_KIT_202511_MAIN.jpg");
+    const raw = { ...DEFAULT_NAMING, collapse: false, trim: false };
+    expect(buildFilename(product({ product: "", date: "", diff: "" }), slot("x.jpg"), raw)).toBe("___MAIN.jpg");
+  });
+
+  it("keeps the original name and a 1-based index", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{origName}_{index:2}.{ext}" };
+    expect(buildFilename(product(), slot("shoot.v2/IMG 1.jpeg", "PT03", 3), naming)).toBe("SHOOT_V2_IMG_1_04.jpeg");
+  });
+
+  it("replaces non-ASCII characters in text fields", () => {
+    expect(buildFilename(product({ product: "Café" }), slot("x.jpg"))).toBe("CAF_202511_WOMEN_REFRESH_MAIN.jpg");
+  });
+});
+
+describe("name overrides", () => {
+  const slot = (nameOverride) => ({ item: { file: file("x.PNG"), nameOverride }, type: "PT01", index: 1 });
+
+  it("uses the override with the slot's extension", () => {
+    expect(buildFilename(product(), slot("KIT_LS"))).toBe("KIT_LS.png");
+    expect(buildFilename(product(), { ...slot("KIT_LS"), ext: "jpg" })).toBe("KIT_LS.jpg");
+  });
+
+  it("drops an image extension typed into the override", () => {
+    expect(buildFilename(product(), slot("KIT_LS.jpg"))).toBe("KIT_LS.png");
+    expect(buildFilename(product(), { ...slot("KIT_LS.PNG "), ext: "jpg" })).toBe("KIT_LS.jpg");
+    expect(buildFilename(product(), slot("KIT.v2"))).toBe("KIT.v2.png");
+    expect(buildFilename(product(), slot(".jpg"))).toBe("TW_NOSE_KIT_202511_WOMEN_REFRESH_PT01.png");
+  });
+
+  it("keeps the override verbatim apart from surrounding whitespace", () => {
+    expect(buildFilename(product(), slot("  Kit ls  "))).toBe("Kit ls.png");
+  });
+
+  it("falls back to the template for blank overrides", () => {
+    expect(buildFilename(product(), slot("  "))).toBe("TW_NOSE_KIT_202511_WOMEN_REFRESH_PT01.png");
+    expect(templateFilename(product(), slot("KIT_LS"))).toBe("TW_NOSE_KIT_202511_WOMEN_REFRESH_PT01.png");
+  });
+});
+
+describe("dedupeNames", () => {
+  it("suffixes repeats case-insensitively, keeping the first as is", () => {
+    expect(dedupeNames(["A.jpg", "a.JPG", "B.jpg", "A.jpg"])).toEqual(["A.jpg", "a_2.JPG", "B.jpg", "A_3.jpg"]);
+  });
+
+  it("skips suffixes that are already taken", () => {
+    expect(dedupeNames(["A.jpg", "A_2.jpg", "A.jpg"])).toEqual(["A.jpg", "A_2.jpg", "A_3.jpg"]);
+  });
+
+  it("handles names without an extension", () => {
+    expect(dedupeNames(["A", "A"])).toEqual(["A", "A_2"]);
+  });
+});
+
+describe("namedSlots", () => {
+  const naming = { ...DEFAULT_NAMING, template: "{product}.{ext}" };
+
+  it("dedupes when naming.duplicates is auto or when asked", () => {
+    const p = product({}, ["a.jpg", "b.jpg"]);
+    expect(namedSlots(p, naming).map((s) => s.name)).toEqual(["TW_NOSE_KIT.jpg", "TW_NOSE_KIT.jpg"]);
+    expect(namedSlots(p, { ...naming, duplicates: "auto" }).map((s) => s.name)).toEqual(["TW_NOSE_KIT.jpg", "TW_NOSE_KIT_2.jpg"]);
+    expect(namedSlots(p, naming, undefined, { dedupe: true }).map((s) => s.name)).toEqual(["TW_NOSE_KIT.jpg", "TW_NOSE_KIT_2.jpg"]);
+  });
+
+  it("keeps slot info next to the name", () => {
+    const [first] = namedSlots(product({}, [null, "a.png"]), naming, () => "jpg");
+    expect(first).toMatchObject({ slot: 1, type: "MAIN", index: 0, ext: "jpg", name: "TW_NOSE_KIT.jpg" });
+  });
+});
+
+describe("productFilenames", () => {
+  it("applies extFor to every filled slot", () => {
+    const p = product({}, ["a.png", "b.jpg"]);
+    expect(productFilenames(p, DEFAULT_NAMING, () => "jpg")).toEqual([
+      "TW_NOSE_KIT_202511_WOMEN_REFRESH_MAIN.jpg",
+      "TW_NOSE_KIT_202511_WOMEN_REFRESH_PT01.jpg",
+    ]);
+    expect(productFilenames(p)[0]).toMatch(/\.png$/);
+  });
+});
+
+describe("productFolderName", () => {
+  it("falls back from product to SKU, ASIN and position", () => {
+    expect(productFolderName(product(), 0)).toBe("TW_NOSE_KIT");
+    expect(productFolderName(product({ product: "" }), 0)).toBe("SKU_1");
+    expect(productFolderName(product({ product: "", sku: "" }), 0)).toBe("B0TEST1234");
+    expect(productFolderName(product({ product: "", sku: "", asin: "" }), 2)).toBe("PRODUCT_3");
+  });
+});
@@ -0,0 +1,79 @@
+import JSZip from "jszip";
+import { DEFAULT_NAMING, tidyName } from "./template.js";
+import { namedSlots, normalize, productFolderName, uniqueName } from "./naming.js";
+import { manifestEntries, manifestFiles } from "./exportManifest.js";
+
+// ---------------- ZIP packaging ----------------
+// Single-product exports put the renamed files at the ZIP root; batch exports
+// get one folder per product.
+
+export const zipFileName = (p, rules = DEFAULT_NAMING) =>
+  tidyName(`${normalize(p.product, rules)}_${p.date}_${normalize(p.diff, rules)}.zip`, rules);
+export const batchZipFileName = (count) => `BATCH_${count}_PRODUCTS.zip`;
+
+// Unique folder per product; repeats get _2, _3…
+export function folderNames(products, rules = DEFAULT_NAMING) {
+  const used = new Set();
+  return products.map((p, i) => {
+    let folder = productFolderName(p, i, rules);
+    for (let n = 2; used.has(folder); n++) folder = `${productFolderName(p, i, rules)}_${n}`;
+    used.add(folder);
+    return folder;
+  });
+}
+
+// What to do when a file of the same name already exists in the destination folder
+export const CONFLICT_POLICIES = ["rename", "skip", "overwrite"];
+
+// {name, action, replaces?} for writing `name` into a folder whose files are `existing`
+// (a Set of names as they are on disk); action is "write", "rename", "skip" or "overwrite".
+// Names differing only in letter case count as taken, as on case-insensitive filesystems.
+// Overwriting such a case variant names it in `replaces`, so it can be removed first
+// and the folder ends up with one file under the new name on any filesystem.
+export function resolveConflict(name, existing, policy = "rename") {
+  const lower = name.toLowerCase();
+  const match = existing.has(name) ? name : [...existing].find((n) => n.toLowerCase() === lower);
+  if (!match) return { name, action: "write" };
+  if (policy === "skip") return { name, action: "skip" };
+  if (policy === "overwrite") return match === name ? { name, action: "overwrite" } : { name, action: "overwrite", replaces: match };
+  return { name: uniqueName(name, new Set([...existing].map((n) => n.toLowerCase()))), action: "rename" };
+}
+
+// Default output for a slot: the original bytes under its export name
+export const renameOnly = (p, slot) => ({ name: slot.name, blob: slot.item.file });
+
+// Every filled slot of `products` in export order: [{product, slot, folder, path}].
+// `slot` carries its export `name`; `path` includes the folder ("" without folders).
+// `extFor` and `dedupe` are passed to namedSlots.
+export function exportTargets(products, { naming = DEFAULT_NAMING, folders = products.length > 1, extFor, dedupe } = {}) {
+  const names = folders ? folderNames(products, naming) : [];
+  return products.flatMap((p, i) =>
+    namedSlots(p, naming, extFor, { dedupe })
+      .filter((slot) => slot.item?.file)
+      .map((slot) => ({ product: p, slot, folder: folders ? names[i] : "", path: folders ? `${names[i]}/${slot.name}` : slot.name }))
+  );
+}
+
+// Render every target. `render(p, slot)` resolves to {name, blob, ...}; extra fields
+// (e.g. error) are kept. Each output also carries its `product`, `slot`, `folder` and
+// bytes as `data`. Options as for exportTargets.
+export async function renderOutputs(products, { render = renameOnly, ...options } = {}) {
+  return await Promise.all(
+    exportTargets(products, options).map(async ({ product: p, slot, folder }) => {
+      const out = await render(p, slot);
+      return { ...out, product: p, slot, folder, data: await out.blob.arrayBuffer() };
+    })
+  );
+}
+
+// Build a ZIP of the products' renamed images (options as for renderOutputs).
+// `manifest` lists formats ("csv", "json") written to the ZIP root as manifest.*;
+// the rows come back as `entries`.
+export async function buildZip(products, { manifest = [], exportedAt, ...options } = {}) {
+  const zip = new JSZip();
+  const outputs = await renderOutputs(products, options);
+  outputs.forEach((out) => (out.folder ? zip.folder(out.folder) : zip).file(out.name, out.data));
+  const entries = manifest.length ? await manifestEntries(outputs, exportedAt) : null;
+  if (entries) manifestFiles(entries, manifest).forEach((f) => zip.file(f.name, f.content));
+  return { zip, outputs, entries };
+}
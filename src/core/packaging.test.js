@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_NAMING } from "./template.js";
+import { batchZipFileName, buildZip, exportTargets, folderNames, resolveConflict, zipFileName } from "./packaging.js";
+import { listZip, product } from "../test/fixtures.js";
+
+describe("zip names", () => {
+  it("names single and batch archives", () => {
+    expect(zipFileName({ product: "Nose kit", date: "202511", diff: "v 2" })).toBe("NOSE_KIT_202511_V_2.zip");
+    expect(zipFileName({ product: "Nose kit!", date: "202511", diff: "" })).toBe("NOSE_KIT_202511.zip");
+    expect(batchZipFileName(3)).toBe("BATCH_3_PRODUCTS.zip");
+  });
+});
+
+describe("folderNames", () => {
+  it("de-duplicates folders", () => {
+    expect(folderNames([{ product: "Kit" }, { product: "kit" }, { product: "" }, { product: "Kit" }])).toEqual([
+      "KIT",
+      "KIT_2",
+      "PRODUCT_3",
+      "KIT_3",
+    ]);
+  });
+});
+
+describe("exportTargets", () => {
+  it("lists filled slots with their archive paths", () => {
+    const products = [product({ product: "Kit" }, ["a.jpg", null, "b.jpg"]), product({ product: "Kit" }, ["c.png"])];
+    expect(exportTargets(products).map((t) => t.path)).toEqual(["KIT/KIT_202511_MAIN.jpg", "KIT/KIT_202511_PT01.jpg", "KIT_2/KIT_202511_MAIN.png"]);
+    expect(exportTargets(products.slice(0, 1)).map((t) => [t.folder, t.path, t.slot.item.file.name])).toEqual([
+      ["", "KIT_202511_MAIN.jpg", "a.jpg"],
+      ["", "KIT_202511_PT01.jpg", "b.jpg"],
+    ]);
+  });
+});
+
+describe("resolveConflict", () => {
+  const existing = new Set(["kit_main.jpg", "kit_main_2.jpg", "KIT_PT02.jpg"]);
+
+  it("writes names that are free", () => {
+    expect(resolveConflict("KIT_PT01.jpg", existing, "skip")).toEqual({ name: "KIT_PT01.jpg", action: "write" });
+  });
+
+  it("renames or skips taken names, case-insensitively", () => {
+    expect(resolveConflict("KIT_MAIN.jpg", existing)).toEqual({ name: "KIT_MAIN_3.jpg", action: "rename" });
+    expect(resolveConflict("KIT_MAIN.jpg", existing, "skip")).toEqual({ name: "KIT_MAIN.jpg", action: "skip" });
+  });
+
+  it("overwrites exact matches and case variants", () => {
+    expect(resolveConflict("KIT_PT02.jpg", existing, "overwrite")).toEqual({ name: "KIT_PT02.jpg", action: "overwrite" });
+    expect(resolveConflict("KIT_MAIN.jpg", existing, "overwrite")).toEqual({ name: "KIT_MAIN.jpg", action: "overwrite", replaces: "kit_main.jpg" });
+  });
+});
+
+describe("buildZip", () => {
+  it("puts a single product at the archive root", async () => {
+    const { zip, outputs } = await buildZip([product({ product: "Kit" }, ["a.png", null, "b.jpg"])]);
+    expect(await listZip(zip)).toEqual(["KIT_202511_MAIN.png", "KIT_202511_PT01.jpg"]);
+    expect(outputs.map((o) => o.folder)).toEqual(["", ""]);
+  });
+
+  it("gives each product a folder in a batch and keeps file contents", async () => {
+    const products = [product({ product: "Kit" }, ["a.jpg"]), product({ sku: "S1" }, ["b.jpg"]), product({}, [null])];
+    const { zip } = await buildZip(products, { naming: DEFAULT_NAMING });
+    expect(await listZip(zip)).toEqual(["KIT/KIT_202511_MAIN.jpg", "S1/202511_MAIN.jpg"]);
+    expect(await zip.file("KIT/KIT_202511_MAIN.jpg").async("string")).toBe("a.jpg");
+  });
+
+  it("dedupes colliding names when asked", async () => {
+    const naming = { ...DEFAULT_NAMING, template: "{product}.{ext}" };
+    const { zip } = await buildZip([product({ product: "Kit" }, ["a.jpg", "b.jpg"])], { naming, dedupe: true });
+    expect(await listZip(zip)).toEqual(["KIT.jpg", "KIT_2.jpg"]);
+  });
+
+  it("names converted files with extFor", async () => {
+    const { zip } = await buildZip([product({ product: "Kit" }, ["a.png"])], { extFor: () => "jpg" });
+    expect(await listZip(zip)).toEqual(["KIT_202511_MAIN.jpg"]);
+  });
+
+  it("passes render results and extra fields through", async () => {
+    const render = async (p, slot) => ({ name: `${slot.type}.webp`, blob: new Blob(["x"]), error: slot.index === 1 });
+    const { zip, outputs } = await buildZip([product({}, ["a.jpg", "b.jpg"])], { render });
+    expect(await listZip(zip)).toEqual(["MAIN.webp", "PT01.webp"]);
+    expect(outputs.map((o) => o.error)).toEqual([false, true]);
+  });
+
+  it("writes the manifest next to the images", async () => {
+    const { zip, entries } = await buildZip([product({ product: "Kit", asin: "B0X" }, ["a.jpg"])], {
+      manifest: ["csv", "json"],
+      exportedAt: "2025-11-01T00:00:00.000Z",
+    });
+    expect(await listZip(zip)).toEqual(["KIT_202511_MAIN.jpg", "manifest.csv", "manifest.json"]);
+    expect(entries).toEqual([expect.objectContaining({ original: "a.jpg", name: "KIT_202511_MAIN.jpg", type: "MAIN", asin: "B0X", bytes: 5 })]);
+    expect(JSON.parse(await zip.file("manifest.json").async("string")).files).toHaveLength(1);
+  });
+
+  it("skips the manifest unless asked", async () => {
+    const { zip, entries } = await buildZip([product({ product: "Kit" }, ["a.jpg"])]);
+    expect(await listZip(zip)).toEqual(["KIT_202511_MAIN.jpg"]);
+    expect(entries).toBeNull();
+  });
+});
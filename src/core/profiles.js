@@ -0,0 +1,102 @@
+import { DEFAULT_NAMING } from "./template.js";
+import { validFieldRules } from "./fieldRules.js";
+
+// ---------------- Naming profiles ----------------
+// A profile bundles one brand's or client's conventions: the naming rules (templates,
+// normalization, type names), export processing settings, the field rules and
+// campaign codes, and default product fields.
+// Profiles are shared as JSON files so a whole team names images the same way.
+
+export const PROFILE_FORMAT = "amazon-image-renamer/profiles";
+export const PROFILE_VERSION = 1;
+
+// Product fields a profile fills in for new products
+export const PROFILE_FIELDS = ["product", "date", "diff", "category"];
+
+// Processing settings a profile carries
+export const PROFILE_PROCESSING = ["enabled", "size", "upscale", "pad", "flatten", "format", "quality", "maxMB"];
+
+const NAMING_KEYS = Object.keys(DEFAULT_NAMING);
+
+const pick = (source, keys) =>
+  Object.fromEntries(keys.filter((k) => source?.[k] !== undefined).map((k) => [k, source[k]]));
+
+// Only non-empty string fields, so a profile never blanks out what the user typed
+const pickFields = (fields) =>
+  Object.fromEntries(PROFILE_FIELDS.filter((k) => typeof fields?.[k] === "string" && fields[k].trim()).map((k) => [k, fields[k].trim()]));
+
+const newId = () => globalThis.crypto.randomUUID();
+
+// {id, name, naming, processing, fieldRules, fields} from the current settings and product fields
+export function createProfile(name, { naming, processing, fieldRules, fields }, id = newId()) {
+  return {
+    id,
+    name: String(name || "").trim(),
+    naming: pick(naming, NAMING_KEYS),
+    processing: pick(processing, PROFILE_PROCESSING),
+    fieldRules: validFieldRules(fieldRules),
+    fields: pickFields(fields),
+  };
+}
+
+// Naming and processing with the profile laid over the given defaults, so settings
+// the profile does not mention go back to default instead of leaking from the last one
+export const applyProfile = (profile, { naming, processing, fieldRules }) => ({
+  naming: { ...naming, ...profile.naming },
+  processing: { ...processing, ...profile.processing },
+  fieldRules: { ...fieldRules, ...validFieldRules(profile.fieldRules) },
+});
+
+// True when the settings differ from what the profile would set
+export function profileModified(profile, settings) {
+  const same = (a, b) => Object.keys(a || {}).every((k) => JSON.stringify(a[k]) === JSON.stringify(b?.[k]));
+  return ["naming", "processing", "fieldRules"].some((key) => !same(profile[key], settings[key]));
+}
+
+// Empty and derived product fields take the profile's values
+export const fillFields = (product, profile) =>
+  Object.fromEntries(
+    Object.entries(profile?.fields || {}).filter(([k]) => !String(product[k] || "").trim() || k in (product.derived || {}))
+  );
+
+export function exportProfiles(profiles, defaultId = null) {
+  return JSON.stringify(
+    {
+      format: PROFILE_FORMAT,
+      version: PROFILE_VERSION,
+      default: profiles.find((p) => p.id === defaultId)?.name || null,
+      profiles: profiles.map(({ name, naming, processing, fieldRules, fields }) => ({ name, naming, processing, fieldRules, fields })),
+    },
+    null,
+    2
+  );
+}
+
+// Profiles from an exportProfiles file, or a single exported profile.
+// Returns {profiles, defaultName}; throws an Error with a readable message.
+export function parseProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    throw new Error("The file is not valid JSON");
+  }
+  if (data?.format && data.format !== PROFILE_FORMAT) throw new Error("The file is not a profile export");
+  if (data?.version > PROFILE_VERSION) throw new Error("The file comes from a newer version of the app");
+  const list = Array.isArray(data?.profiles) ? data.profiles : data?.name ? [data] : [];
+  const profiles = list
+    .filter((p) => typeof p?.name === "string" && p.name.trim() && p.naming && typeof p.naming === "object")
+    .map((p) => createProfile(p.name, p));
+  if (!profiles.length) throw new Error("The file contains no profiles");
+  const defaultName = typeof data.default === "string" && profiles.some((p) => p.name === data.default) ? data.default : null;
+  return { profiles, defaultName };
+}
+
+// Incoming profiles replace existing ones with the same name (keeping their id); others are added
+export function mergeProfiles(existing, incoming) {
+  const key = (p) => p.name.toLowerCase();
+  const byName = new Map(incoming.map((p) => [key(p), p]));
+  const merged = existing.map((p) => (byName.has(key(p)) ? { ...byName.get(key(p)), id: p.id } : p));
+  const known = new Set(existing.map(key));
+  return [...merged, ...[...byName.values()].filter((p) => !known.has(key(p)))];
+}
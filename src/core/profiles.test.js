@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_NAMING } from "./template.js";
+import { DEFAULT_FIELD_RULES } from "./fieldRules.js";
+import { applyProfile, createProfile, exportProfiles, fillFields, mergeProfiles, parseProfiles, profileModified } from "./profiles.js";
+
+const processing = { enabled: true, size: 1600, upscale: false, pad: "main", flatten: true, format: "jpeg", quality: 0.8, maxMB: 10 };
+const naming = { ...DEFAULT_NAMING, template: "{asin}.{type}.{ext}", case: "lower", typeNames: { PT01: "ALT1" } };
+
+describe("createProfile", () => {
+  it("keeps naming, processing and non-empty fields only", () => {
+    const profile = createProfile(" Acme ", { naming: { ...naming, stray: 1 }, processing: { ...processing, preview: true }, fields: { product: "KIT", date: "", diff: " SPRING ", asin: "B0X" } }, "p1");
+    expect(profile).toEqual({ id: "p1", name: "Acme", naming, processing, fieldRules: {}, fields: { product: "KIT", diff: "SPRING" } });
+  });
+});
+
+describe("applyProfile", () => {
+  it("lays the profile over the defaults and reports later edits", () => {
+    const profile = createProfile("Acme", { naming: { template: "{sku}.{type}.{ext}" }, processing: { quality: 0.7 }, fields: {} });
+    const applied = applyProfile(profile, { naming: DEFAULT_NAMING, processing });
+    expect(applied.naming).toEqual({ ...DEFAULT_NAMING, template: "{sku}.{type}.{ext}" });
+    expect(applied.processing.quality).toBe(0.7);
+    expect(profileModified(profile, applied)).toBe(false);
+    expect(profileModified(profile, { ...applied, processing: { ...applied.processing, quality: 0.9 } })).toBe(true);
+  });
+
+  it("carries field rules", () => {
+    const fieldRules = { product: "folder", pattern: "", campaignCodes: ["SPRING"], diffFromCodes: true };
+    const profile = createProfile("Acme", { naming, processing, fieldRules, fields: {} });
+    const applied = applyProfile(profile, { naming: DEFAULT_NAMING, processing, fieldRules: DEFAULT_FIELD_RULES });
+    expect(applied.fieldRules).toEqual(fieldRules);
+    expect(profileModified(profile, { ...applied, fieldRules: { ...fieldRules, campaignCodes: [] } })).toBe(true);
+  });
+
+  it("drops malformed field rules from shared files", () => {
+    const text = JSON.stringify({ profiles: [{ name: "Bad", naming: {}, fieldRules: { product: "regex", pattern: 3, campaignCodes: "ALT", diffFromCodes: "yes" } }, { name: "Mixed", naming: {}, fieldRules: { product: "folder", campaignCodes: ["alt", 4, null] } }] });
+    const [bad, mixed] = parseProfiles(text).profiles;
+    expect(bad.fieldRules).toEqual({});
+    expect(mixed.fieldRules).toEqual({ product: "folder", campaignCodes: ["ALT"] });
+    const stored = { ...bad, fieldRules: { campaignCodes: "ALT", product: "regex" } };
+    expect(applyProfile(stored, { naming: DEFAULT_NAMING, processing, fieldRules: DEFAULT_FIELD_RULES }).fieldRules).toEqual(DEFAULT_FIELD_RULES);
+  });
+
+  it("fills only empty or derived product fields", () => {
+    const profile = createProfile("Acme", { naming, processing, fields: { product: "KIT", date: "202401", diff: "SPRING" } });
+    expect(fillFields({ product: "OWN", date: "202611", diff: " ", derived: { date: "current month" } }, profile)).toEqual({ date: "202401", diff: "SPRING" });
+  });
+});
+
+describe("profile files", () => {
+  const acme = createProfile("Acme", { naming, processing, fields: { diff: "SPRING" } });
+  const other = createProfile("Other", { naming: DEFAULT_NAMING, processing, fields: {} });
+
+  it("round-trips profiles and the default", () => {
+    const { profiles, defaultName } = parseProfiles(exportProfiles([acme, other], other.id));
+    expect(profiles.map(({ id, ...rest }) => rest)).toEqual([acme, other].map(({ id, ...rest }) => rest));
+    expect(defaultName).toBe("Other");
+  });
+
+  it("accepts a single profile and rejects other files", () => {
+    expect(parseProfiles(JSON.stringify({ name: "Solo", naming: {} })).profiles[0].name).toBe("Solo");
+    expect(() => parseProfiles("{oops")).toThrow("not valid JSON");
+    expect(() => parseProfiles(JSON.stringify({ format: "something-else", profiles: [] }))).toThrow("not a profile export");
+    expect(() => parseProfiles(JSON.stringify({ profiles: [{ name: "" }] }))).toThrow("no profiles");
+  });
+
+  it("replaces profiles by name and keeps their id", () => {
+    const incoming = [createProfile("ACME", { naming: DEFAULT_NAMING, processing, fields: {} }), createProfile("New", { naming, processing, fields: {} })];
+    const merged = mergeProfiles([acme, other], incoming);
+    expect(merged.map((p) => [p.name, p.id === acme.id])).toEqual([["ACME", true], ["Other", false], ["New", false]]);
+  });
+});
@@ -0,0 +1,49 @@
+// ---------------- Slot reordering ----------------
+// Pure helpers behind drag, pointer and keyboard moves in the slot grid.
+
+// "swap" trades two slots; "insert" takes the item out and shifts the ones in between
+export const REORDER_MODES = ["swap", "insert"];
+
+// New list with the item at `from` moved to `to`; the same list when nothing moves
+export function moveItem(list, from, to, mode = "swap") {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  if (mode === "insert") {
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+  } else {
+    [next[from], next[to]] = [next[to], next[from]];
+  }
+  return next;
+}
+
+// Index an arrow/Home/End key reaches from `index` in a grid `columns` wide with
+// `count` cells; moves past an edge stay put. Null for other keys.
+export function stepIndex(index, key, columns, count) {
+  const target = {
+    ArrowLeft: index - 1,
+    ArrowRight: index + 1,
+    ArrowUp: index - columns,
+    ArrowDown: index + columns,
+    Home: 0,
+    End: count - 1,
+  }[key];
+  if (target === undefined) return null;
+  return target < 0 || target >= count ? index : target;
+}
+
+// Empty slots at or after `index`: how many items insertItems can take there
+export const roomAt = (list, index) => list.slice(index).filter((item) => !item).length;
+
+// Put `items` in at `index`, shifting the slots after it into their next empty ones so
+// the list keeps its length. Items beyond roomAt() are left out.
+export function insertItems(list, index, items) {
+  const taken = items.slice(0, roomAt(list, index));
+  let gaps = taken.length;
+  const rest = list.slice(index).filter((item) => {
+    if (item || gaps === 0) return true;
+    gaps--;
+    return false;
+  });
+  return [...list.slice(0, index), ...taken, ...rest];
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { insertItems, moveItem, roomAt, stepIndex } from "./reorder.js";
+
+describe("moveItem", () => {
+  const list = ["A", "B", null, "C"];
+
+  it("swaps by default", () => {
+    expect(moveItem(list, 0, 3)).toEqual(["C", "B", null, "A"]);
+  });
+
+  it("inserts and shifts the items in between", () => {
+    expect(moveItem(list, 0, 2, "insert")).toEqual(["B", null, "A", "C"]);
+    expect(moveItem(list, 3, 0, "insert")).toEqual(["C", "A", "B", null]);
+  });
+
+  it("returns the same list when nothing moves", () => {
+    expect(moveItem(list, 1, 1)).toBe(list);
+    expect(moveItem(list, 1, 9)).toBe(list);
+  });
+});
+
+describe("stepIndex", () => {
+  it("moves across rows and columns", () => {
+    expect(stepIndex(5, "ArrowLeft", 4, 9)).toBe(4);
+    expect(stepIndex(5, "ArrowUp", 4, 9)).toBe(1);
+    expect(stepIndex(1, "ArrowDown", 4, 9)).toBe(5);
+    expect(stepIndex(5, "End", 4, 9)).toBe(8);
+  });
+
+  it("stays put at the edges and ignores other keys", () => {
+    expect(stepIndex(0, "ArrowLeft", 4, 9)).toBe(0);
+    expect(stepIndex(6, "ArrowDown", 4, 9)).toBe(6);
+    expect(stepIndex(2, "a", 4, 9)).toBeNull();
+  });
+});
+
+describe("insertItems", () => {
+  it("shifts the following slots into the next empty ones", () => {
+    expect(insertItems(["A", "B", null, "C", null], 1, ["X"])).toEqual(["A", "X", "B", "C", null]);
+    expect(insertItems(["A", "B", null, "C", null], 0, ["X", "Y"])).toEqual(["X", "Y", "A", "B", "C"]);
+  });
+
+  it("fills an empty target slot in place", () => {
+    expect(insertItems(["A", null, "B"], 1, ["X"])).toEqual(["A", "X", "B"]);
+  });
+
+  it("leaves out what does not fit", () => {
+    const list = [null, "A", "B"];
+    expect(roomAt(list, 1)).toBe(0);
+    expect(insertItems(list, 1, ["X"])).toEqual(list);
+    expect(insertItems(list, 0, ["X", "Y"])).toEqual(["X", "A", "B"]);
+  });
+});
@@ -0,0 +1,73 @@
+// ---------------- Amazon image type codes ----------------
+// Listing images use MAIN, PT01–PTnn and SWCH. A+ and Brand Story modules are
+// not uploaded through the listing, so they get their own codes and template.
+export const APLUS_MODULES = 7;
+export const BRAND_STORY_CARDS = 6;
+
+// Slot counts per category; the count stays editable per product
+export const CATEGORY_PRESETS = [
+  { id: "standard", label: "Standard listing", slotCount: 10 },
+  { id: "extended", label: "Extended (MAIN + PT01–PT14)", slotCount: 15 },
+  { id: "listing-aplus", label: "Listing + A+ modules", slotCount: 17 },
+  { id: "aplus", label: "A+ / Brand Story only", slotCount: APLUS_MODULES },
+];
+export const DEFAULT_CATEGORY = CATEGORY_PRESETS[0].id;
+export const MIN_SLOTS = 1;
+export const MAX_SLOTS = 40;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Map a position (0-based among auto-typed tiles) to the listing sequence
+export const imageTypeForIndex = (i) => (i === 0 ? "MAIN" : `PT${pad(i)}`);
+
+export const isAplusType = (code) => /^(APLUS|BRANDSTORY)\d+$/.test(code || "");
+
+// Canonical type code for loose input ("pt 3", "Swatch", "A+ 2"), or null
+export function parseTypeCode(raw) {
+  const s = String(raw || "").trim().toUpperCase().replace(/[\s_.-]+/g, "");
+  if (s === "MAIN") return "MAIN";
+  if (s === "SWCH" || s === "SWATCH") return "SWCH";
+  let m = /^PT0*(\d{1,2})$/.exec(s);
+  if (m && Number(m[1]) > 0) return `PT${pad(m[1])}`;
+  m = /^(?:APLUS|A\+)0*(\d{1,2})$/.exec(s);
+  if (m && Number(m[1]) > 0) return `APLUS${pad(m[1])}`;
+  m = /^BRANDSTORY0*(\d{1,2})$/.exec(s);
+  if (m && Number(m[1]) > 0) return `BRANDSTORY${pad(m[1])}`;
+  return null;
+}
+
+// Codes offered in a tile's type dropdown, grouped for <optgroup>
+export function typeOptions(slotCount) {
+  const ptCount = Math.max(8, slotCount - 1);
+  return [
+    { label: "Listing", codes: ["MAIN", ...Array.from({ length: ptCount }, (_, i) => `PT${pad(i + 1)}`), "SWCH"] },
+    { label: "A+ content", codes: Array.from({ length: APLUS_MODULES }, (_, i) => `APLUS${pad(i + 1)}`) },
+    { label: "Brand Story", codes: Array.from({ length: BRAND_STORY_CARDS }, (_, i) => `BRANDSTORY${pad(i + 1)}`) },
+  ];
+}
+
+// Type code per slot (null for empty slots). Explicit `typeOverride`s win;
+// the remaining filled slots take MAIN, PT01, PT02… in order, skipping codes
+// already claimed explicitly so the automatic sequence never collides.
+export function resolveSlotTypes(files) {
+  const claimed = new Set(files.filter((it) => it?.typeOverride).map((it) => it.typeOverride));
+  let next = 0;
+  return files.map((item) => {
+    if (!item) return null;
+    if (item.typeOverride) return item.typeOverride;
+    while (claimed.has(imageTypeForIndex(next))) next++;
+    return imageTypeForIndex(next++);
+  });
+}
+
+// Codes claimed by more than one slot
+export function duplicateTypes(types) {
+  const seen = new Set();
+  const dupes = new Set();
+  types.forEach((t) => {
+    if (!t) return;
+    if (seen.has(t)) dupes.add(t);
+    seen.add(t);
+  });
+  return dupes;
+}
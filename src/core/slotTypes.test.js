@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { duplicateTypes, imageTypeForIndex, isAplusType, parseTypeCode, resolveSlotTypes } from "./slotTypes.js";
+
+describe("imageTypeForIndex", () => {
+  it("maps positions to MAIN and PTnn", () => {
+    expect(imageTypeForIndex(0)).toBe("MAIN");
+    expect(imageTypeForIndex(1)).toBe("PT01");
+    expect(imageTypeForIndex(9)).toBe("PT09");
+    expect(imageTypeForIndex(10)).toBe("PT10");
+  });
+});
+
+describe("parseTypeCode", () => {
+  it("accepts loose spellings", () => {
+    expect(parseTypeCode("pt 3")).toBe("PT03");
+    expect(parseTypeCode("Swatch")).toBe("SWCH");
+    expect(parseTypeCode("A+ 2")).toBe("APLUS02");
+    expect(parseTypeCode("brand_story.1")).toBe("BRANDSTORY01");
+  });
+
+  it("rejects zero and garbage", () => {
+    expect(parseTypeCode("PT0")).toBeNull();
+    expect(parseTypeCode("")).toBeNull();
+    expect(parseTypeCode("hero")).toBeNull();
+  });
+});
+
+describe("isAplusType", () => {
+  it("matches A+ and Brand Story codes only", () => {
+    expect(isAplusType("APLUS01")).toBe(true);
+    expect(isAplusType("BRANDSTORY06")).toBe(true);
+    expect(isAplusType("PT01")).toBe(false);
+    expect(isAplusType(null)).toBe(false);
+  });
+});
+
+describe("resolveSlotTypes", () => {
+  it("skips codes claimed by overrides", () => {
+    const files = [{}, { typeOverride: "PT01" }, {}, null, {}];
+    expect(resolveSlotTypes(files)).toEqual(["MAIN", "PT01", "PT02", null, "PT03"]);
+  });
+
+  it("lets an override take MAIN", () => {
+    expect(resolveSlotTypes([{}, { typeOverride: "MAIN" }])).toEqual(["PT01", "MAIN"]);
+  });
+});
+
+describe("duplicateTypes", () => {
+  it("reports codes used twice and ignores empty slots", () => {
+    expect([...duplicateTypes(["MAIN", null, "PT01", "MAIN", null])]).toEqual(["MAIN"]);
+  });
+});
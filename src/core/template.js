@@ -0,0 +1,134 @@
+import { parseTypeCode } from "./slotTypes.js";
+
+// ---------------- Filename templates ----------------
+// Templates are plain text with {token} placeholders, e.g. "{asin}.{type}.{ext}".
+// Text tokens are sanitized with the chosen separator and case; {type},
+// {date}, {index} and {ext} are inserted as-is; {type} goes through typeNames.
+export const TEMPLATE_PRESETS = [
+  { id: "classic", label: "Current (PRODUCT_DATE_DIFF_TYPE)", template: "{product}_{date}_{diff}_{type}.{ext}" },
+  { id: "amazon-asin", label: "Amazon bulk (ASIN.TYPE)", template: "{asin}.{type}.{ext}" },
+  { id: "amazon-sku", label: "Amazon bulk (SKU.TYPE)", template: "{sku}.{type}.{ext}" },
+  { id: "original", label: "Original name + type", template: "{origName}_{type}.{ext}" },
+];
+
+export const SEPARATORS = [
+  { value: "_", label: "Underscore (_)" },
+  { value: "-", label: "Hyphen (-)" },
+  { value: "", label: "None" },
+];
+
+export const CASES = [
+  { value: "upper", label: "UPPER" },
+  { value: "lower", label: "lower" },
+  { value: "keep", label: "Keep as typed" },
+];
+
+// What to do when two images would get the same name
+export const DUPLICATE_MODES = [
+  { value: "ask", label: "Ask, then add _2, _3…" },
+  { value: "auto", label: "Add _2, _3… automatically" },
+  { value: "block", label: "Block export" },
+];
+
+// Characters that make a name unsafe on Amazon uploads or common filesystems
+export const DEFAULT_FORBIDDEN = " #%&{}\\<>*?/$!'\":@+`|=";
+
+// A+ and Brand Story modules follow their own naming (aplusTemplate).
+// maxLength (0 = no limit) and forbidden are checked by validation;
+// collapse/trim tidy "_" and "-" runs in the rendered name; duplicates is a DUPLICATE_MODES value.
+// typeNames renames type codes in {type} for brands with their own convention ({PT01: "ALT1"}).
+export const DEFAULT_NAMING = {
+  template: TEMPLATE_PRESETS[0].template,
+  aplusTemplate: "{product}_{type}.{ext}",
+  separator: "_",
+  case: "upper",
+  maxLength: 100,
+  forbidden: DEFAULT_FORBIDDEN,
+  collapse: true,
+  trim: true,
+  duplicates: "ask",
+  typeNames: {},
+};
+
+export const TOKENS = {
+  product: "Product name",
+  asin: "ASIN",
+  sku: "SKU",
+  date: "Date field; {date:YYYYMM}, {date:YYYY-MM}, {date:YY}… reformat it",
+  diff: "Differentiator",
+  type: "Image type (MAIN, PT01…, SWCH, APLUS01…)",
+  index: "1-based position; {index:2} pads to 2 digits",
+  origName: "Original filename without extension",
+  ext: "File extension",
+};
+
+const TOKEN_RE = /\{(\w+)(?::([^}]*))?\}/g;
+
+// Sanitize a free-text value: whitespace and anything outside A–Z/0–9 become the separator
+export function formatValue(value, { separator = "_", case: letterCase = "upper" } = {}) {
+  let s = String(value || "").trim();
+  if (letterCase === "upper") s = s.toUpperCase();
+  else if (letterCase === "lower") s = s.toLowerCase();
+  return s.replace(/\s+/g, " ").replace(/[^A-Za-z0-9]/g, separator);
+}
+
+// collapse: "A__B" → "A_B"; trim: drop "_"/"-" at either end and next to dots ("KIT_.jpg" → "KIT.jpg")
+export function tidyName(name, { collapse = false, trim = false } = {}) {
+  let s = String(name || "");
+  if (collapse) s = s.replace(/([_-])\1+/g, "$1");
+  if (trim) s = s.replace(/^[_-]+|[_-]+$/g, "").replace(/[_-]+\./g, ".").replace(/\.[_-]+/g, ".");
+  return s;
+}
+
+// Reformat a YYYYMM date with YYYY/YY/MM placeholders; other input passes through untouched
+export function formatDate(date, format) {
+  const m = /^(\d{4})(\d{2})$/.exec(String(date || "").trim());
+  if (!format || !m) return String(date || "");
+  return format.replace(/YYYY|YY|MM/g, (t) => (t === "YYYY" ? m[1] : t === "YY" ? m[1].slice(2) : m[2]));
+}
+
+// Tokens used by a template, in order
+export const templateTokens = (template) => [...String(template || "").matchAll(TOKEN_RE)].map((m) => m[1]);
+
+// Unknown tokens in a template, so the editor can flag typos like {prodcut}
+export const unknownTokens = (template) => templateTokens(template).filter((t) => !(t in TOKENS));
+
+// "PT01=ALT1, SWCH=SWATCH" (commas or new lines) → {PT01: "ALT1", SWCH: "SWATCH"};
+// codes are read loosely like tile input and pairs without a valid code or name are dropped
+export function parseTypeNames(text) {
+  const names = {};
+  String(text || "").split(/[,;\n]/).forEach((pair) => {
+    const [code, name] = pair.split("=").map((s) => s.trim());
+    const type = parseTypeCode(code);
+    if (type && name) names[type] = name;
+  });
+  return names;
+}
+
+export const formatTypeNames = (names) =>
+  Object.entries(names || {}).map(([code, name]) => `${code}=${name}`).join(", ");
+
+// ctx: {product, asin, sku, date, diff, type, index, origName, ext}
+export function renderTemplate(template, ctx, options = DEFAULT_NAMING) {
+  const name = String(template || "").replace(TOKEN_RE, (whole, token, arg) => {
+    switch (token) {
+      case "product":
+      case "asin":
+      case "sku":
+      case "diff":
+      case "origName":
+        return formatValue(ctx[token], options);
+      case "date":
+        return formatDate(ctx.date, arg);
+      case "index":
+        return String(ctx.index ?? "").padStart(Number(arg) || 0, "0");
+      case "type":
+        return String(options.typeNames?.[ctx.type] || ctx.type || "");
+      case "ext":
+        return String(ctx[token] ?? "");
+      default:
+        return whole;
+    }
+  });
+  return tidyName(name, options);
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_NAMING, formatDate, formatTypeNames, formatValue, parseTypeNames, renderTemplate, tidyName, unknownTokens } from "./template.js";
+
+describe("formatValue", () => {
+  it("applies case and separator", () => {
+    expect(formatValue("Nose Kit", { separator: "-", case: "lower" })).toBe("nose-kit");
+    expect(formatValue("Nose Kit", { separator: "", case: "keep" })).toBe("NoseKit");
+  });
+
+  it("collapses runs of whitespace into one separator", () => {
+    expect(formatValue("  a \t  b ")).toBe("A_B");
+  });
+});
+
+describe("tidyName", () => {
+  it("collapses runs of the same separator", () => {
+    expect(tidyName("A__B--C_-D", { collapse: true })).toBe("A_B-C_-D");
+  });
+
+  it("trims separators at the ends and next to dots", () => {
+    expect(tidyName("_KIT_._MAIN_.jpg_", { trim: true })).toBe("KIT.MAIN.jpg");
+  });
+
+  it("does nothing unless asked", () => {
+    expect(tidyName("_A__B_")).toBe("_A__B_");
+  });
+});
+
+describe("formatDate", () => {
+  it("reformats YYYYMM", () => {
+    expect(formatDate("202511", "YYYY-MM")).toBe("2025-11");
+    expect(formatDate("202511", "YYMM")).toBe("2511");
+  });
+
+  it("passes other input through untouched", () => {
+    expect(formatDate("2025-11", "YYYYMM")).toBe("2025-11");
+    expect(formatDate("202511")).toBe("202511");
+    expect(formatDate(undefined, "YYYY")).toBe("");
+  });
+});
+
+describe("unknownTokens", () => {
+  it("flags typos", () => {
+    expect(unknownTokens("{prodcut}_{type}.{ext}")).toEqual(["prodcut"]);
+    expect(unknownTokens(DEFAULT_NAMING.template)).toEqual([]);
+  });
+});
+
+describe("renderTemplate", () => {
+  const ctx = { product: "Kit", asin: "b0x", sku: "s 1", date: "202511", diff: "", type: "PT01", index: 2, origName: "IMG", ext: "png" };
+
+  it("renders Amazon bulk names", () => {
+    expect(renderTemplate("{asin}.{type}.{ext}", ctx)).toBe("B0X.PT01.png");
+    expect(renderTemplate("{sku}.{type}.{ext}", ctx)).toBe("S_1.PT01.png");
+  });
+
+  it("pads the index and formats the date", () => {
+    expect(renderTemplate("{index:3}_{date:YY-MM}", ctx)).toBe("002_25-11");
+  });
+
+  it("tidies the result with the naming rules", () => {
+    expect(renderTemplate("{product}_{diff}_{type}.{ext}", ctx)).toBe("KIT_PT01.png");
+    expect(renderTemplate("{product}_{diff}_{type}.{ext}", ctx, { ...DEFAULT_NAMING, collapse: false })).toBe("KIT__PT01.png");
+  });
+
+  it("leaves unknown tokens in place", () => {
+    expect(renderTemplate("{nope}_{type}", ctx)).toBe("{nope}_PT01");
+  });
+
+  it("renames types through typeNames", () => {
+    const naming = { ...DEFAULT_NAMING, typeNames: { PT01: "ALT1" } };
+    expect(renderTemplate("{asin}.{type}.{ext}", ctx, naming)).toBe("B0X.ALT1.png");
+    expect(renderTemplate("{asin}.{type}.{ext}", { ...ctx, type: "MAIN" }, naming)).toBe("B0X.MAIN.png");
+  });
+});
+
+describe("parseTypeNames", () => {
+  it("reads loose codes and round-trips", () => {
+    const names = parseTypeNames("pt 1 = ALT1, swatch=SW\nnope=X; PT02=");
+    expect(names).toEqual({ PT01: "ALT1", SWCH: "SW" });
+    expect(parseTypeNames(formatTypeNames(names))).toEqual(names);
+  });
+});
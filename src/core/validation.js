@@ -0,0 +1,108 @@
+import { formatValue, templateTokens, unknownTokens } from "./template.js";
+import { duplicateTypes, resolveSlotTypes } from "./slotTypes.js";
+import { namedSlots } from "./naming.js";
+
+// ---------------- Validation ----------------
+// Checks that decide whether a set of names is safe to export. Each returns
+// plain data so the app, the CLI and the tests can word the result themselves.
+
+export const FIELD_LABELS = { product: "Product name", sku: "SKU", asin: "ASIN", date: "Date", diff: "Differentiator" };
+// Fields a template may use but that can be left blank
+const OPTIONAL_FIELDS = new Set(["diff"]);
+
+// YYYYMM with a real month, e.g. "202511"
+export const isYearMonth = (date) => /^\d{4}(0[1-9]|1[0-2])$/.test(String(date || "").trim());
+
+// Unknown {tokens} in either template
+export const templateIssues = (naming) => [...new Set([...unknownTokens(naming.template), ...unknownTokens(naming.aplusTemplate)])];
+
+// Naming fields either template reads
+const usedFields = (naming) =>
+  new Set([...templateTokens(naming.template), ...templateTokens(naming.aplusTemplate)].filter((t) => t in FIELD_LABELS));
+
+// Inline errors for a product's naming fields: {field: message}
+export function fieldErrors(fields, naming) {
+  const used = usedFields(naming);
+  const errors = {};
+  Object.keys(FIELD_LABELS).forEach((key) => {
+    const value = String(fields[key] || "").trim();
+    if (!value) {
+      if (used.has(key) && !OPTIONAL_FIELDS.has(key)) errors[key] = "Required by the filename template";
+    } else if (key === "date") {
+      if (!isYearMonth(value)) errors.date = "Use YYYYMM, e.g. 202511";
+    } else if (!/[A-Za-z0-9]/.test(formatValue(value, naming))) {
+      errors[key] = "Needs at least one letter or digit";
+    }
+  });
+  return errors;
+}
+
+// Rule violations for one rendered filename
+export function nameProblems(name, { maxLength = 0, forbidden = "" } = {}) {
+  const problems = [];
+  if (maxLength > 0 && name.length > maxLength) problems.push(`Longer than ${maxLength} characters (${name.length})`);
+  const bad = [...new Set([...name].filter((ch) => forbidden.includes(ch)))];
+  if (bad.length) problems.push(`Contains ${bad.map((ch) => (ch === " " ? "space" : `"${ch}"`)).join(", ")}`);
+  return problems;
+}
+
+// Type codes claimed by more than one slot of a product
+export const typeClashes = (p) => [...duplicateTypes(resolveSlotTypes(p.files))];
+
+// Names occurring more than once, compared case-insensitively (ZIP tools and
+// macOS/Windows folders treat "A.jpg" and "a.jpg" as the same file)
+export function duplicateNames(names) {
+  const seen = new Map();
+  const dupes = new Set();
+  names.forEach((name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      dupes.add(seen.get(key));
+      dupes.add(name);
+    } else seen.set(key, name);
+  });
+  return [...dupes];
+}
+
+// Everything the UI shows for one product: field errors, per-name problems, clashes.
+// `names` follow the filled slots ({slot, name, problems, duplicate}); with
+// naming.duplicates "auto" they are already de-duplicated.
+export function validateProduct(p, naming, extFor) {
+  const slots = namedSlots(p, naming, extFor);
+  const collisions = duplicateNames(slots.map((s) => s.name));
+  return {
+    fields: fieldErrors(p, naming),
+    names: slots.map(({ slot, name }) => ({ slot, name, problems: nameProblems(name, naming), duplicate: collisions.includes(name) })),
+    clashes: typeClashes(p),
+    collisions,
+  };
+}
+
+// Everything that must block an export of `products`: [{product, kind, detail}].
+// Template problems apply to every product and have product null. Name
+// collisions only block with naming.duplicates "block"; "ask" is up to the caller.
+export function exportBlockers(products, naming, extFor) {
+  const issues = templateIssues(naming).map((token) => ({ product: null, kind: "template", detail: token }));
+  products.forEach((p) => {
+    const v = validateProduct(p, naming, extFor);
+    Object.entries(v.fields).forEach(([key, message]) => issues.push({ product: p, kind: "field", detail: `${FIELD_LABELS[key]}: ${message}` }));
+    v.clashes.forEach((type) => issues.push({ product: p, kind: "type", detail: type }));
+    if (naming.duplicates === "block") v.collisions.forEach((name) => issues.push({ product: p, kind: "name", detail: name }));
+    v.names.forEach(({ name, problems }) => problems.forEach((problem) => issues.push({ product: p, kind: "rule", detail: `${name}: ${problem}` })));
+  });
+  return issues;
+}
+
+// One-line description of a blocker
+export function blockerMessage({ kind, detail }) {
+  switch (kind) {
+    case "template":
+      return `Unknown template token {${detail}}`;
+    case "type":
+      return `More than one slot is set to ${detail}`;
+    case "name":
+      return `${detail} would overwrite another file`;
+    default:
+      return detail;
+  }
+}
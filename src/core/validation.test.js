@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_NAMING } from "./template.js";
+import {
+  blockerMessage,
+  duplicateNames,
+  exportBlockers,
+  fieldErrors,
+  isYearMonth,
+  nameProblems,
+  templateIssues,
+  typeClashes,
+  validateProduct,
+} from "./validation.js";
+import { product } from "../test/fixtures.js";
+
+const item = (name, typeOverride) => ({ id: name, file: { name }, typeOverride });
+
+describe("isYearMonth", () => {
+  it("accepts YYYYMM with a real month", () => {
+    expect(isYearMonth("202511")).toBe(true);
+    expect(isYearMonth(" 202501 ")).toBe(true);
+  });
+
+  it("rejects other shapes", () => {
+    expect(isYearMonth("2025-11")).toBe(false);
+    expect(isYearMonth("202513")).toBe(false);
+    expect(isYearMonth("202500")).toBe(false);
+    expect(isYearMonth("")).toBe(false);
+    expect(isYearMonth(undefined)).toBe(false);
+  });
+});
+
+describe("templateIssues", () => {
+  it("collects unknown tokens from both templates once", () => {
+    expect(templateIssues({ ...DEFAULT_NAMING, template: "{prodcut}_{type}.{ext}", aplusTemplate: "{prodcut}.{ext}" })).toEqual(["prodcut"]);
+    expect(templateIssues(DEFAULT_NAMING)).toEqual([]);
+  });
+});
+
+describe("fieldErrors", () => {
+  it("requires the fields the templates use, except the differentiator", () => {
+    expect(fieldErrors({ product: "", date: "", diff: "" }, DEFAULT_NAMING)).toEqual({
+      product: "Required by the filename template",
+      date: "Required by the filename template",
+    });
+    expect(fieldErrors({ product: "Kit", date: "202511" }, DEFAULT_NAMING)).toEqual({});
+  });
+
+  it("only requires SKU/ASIN when a template reads them", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{asin}.{type}.{ext}", aplusTemplate: "{asin}_{type}.{ext}" };
+    expect(fieldErrors({}, naming)).toEqual({ asin: "Required by the filename template" });
+  });
+
+  it("rejects malformed dates even when the template does not use them", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{sku}.{type}.{ext}", aplusTemplate: "{sku}.{ext}" };
+    expect(fieldErrors({ sku: "S1", date: "2025-11" }, naming)).toEqual({ date: "Use YYYYMM, e.g. 202511" });
+  });
+
+  it("rejects values that sanitize to nothing", () => {
+    expect(fieldErrors({ product: "!!!", date: "202511", diff: "日本" }, DEFAULT_NAMING)).toEqual({
+      product: "Needs at least one letter or digit",
+      diff: "Needs at least one letter or digit",
+    });
+  });
+});
+
+describe("nameProblems", () => {
+  it("checks length and forbidden characters", () => {
+    expect(nameProblems("ABC.jpg", { maxLength: 5, forbidden: "#" })).toEqual(["Longer than 5 characters (7)"]);
+    expect(nameProblems("A B#.jpg", { forbidden: " #" })).toEqual(['Contains space, "#"']);
+    expect(nameProblems("ABC.jpg", DEFAULT_NAMING)).toEqual([]);
+  });
+
+  it("treats maxLength 0 as no limit", () => {
+    expect(nameProblems("x".repeat(500), { maxLength: 0 })).toEqual([]);
+  });
+});
+
+describe("validateProduct", () => {
+  it("lists each name with its rule problems", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{product} {type}.{ext}" };
+    const v = validateProduct(product({ product: "Kit" }, [item("a.jpg"), null, item("b.jpg")]), naming);
+    expect(v.names).toEqual([
+      { slot: 0, name: "KIT MAIN.jpg", problems: ["Contains space"], duplicate: false },
+      { slot: 2, name: "KIT PT01.jpg", problems: ["Contains space"], duplicate: false },
+    ]);
+    expect(v.fields).toEqual({});
+  });
+});
+
+describe("typeClashes", () => {
+  it("reports overrides that collide", () => {
+    expect(typeClashes(product({ product: "Kit" }, [item("a.jpg", "PT01"), item("b.jpg", "PT01")]))).toEqual(["PT01"]);
+    expect(typeClashes(product({ product: "Kit" }, [item("a.jpg"), item("b.jpg")]))).toEqual([]);
+  });
+});
+
+describe("duplicateNames", () => {
+  it("compares case-insensitively and returns every spelling", () => {
+    expect(duplicateNames(["A.jpg", "b.jpg", "a.JPG"])).toEqual(["A.jpg", "a.JPG"]);
+    expect(duplicateNames(["a.jpg", "b.jpg"])).toEqual([]);
+  });
+});
+
+describe("exportBlockers", () => {
+  it("reports type clashes and name collisions per product", () => {
+    const clash = product({ product: "Kit" }, [item("a.jpg", "MAIN"), item("b.jpg", "MAIN")]);
+    const blockers = exportBlockers([clash], { ...DEFAULT_NAMING, duplicates: "block" });
+    expect(blockers.map((b) => [b.kind, b.detail])).toEqual([
+      ["type", "MAIN"],
+      ["name", "KIT_202511_MAIN.jpg"],
+    ]);
+    expect(blockers[0].product).toBe(clash);
+  });
+
+  it("reports template and field problems", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{prodcut}_{type}.{ext}" };
+    const blockers = exportBlockers([product({ product: "Kit", date: "2025" }, [item("a.jpg")])], naming);
+    expect(blockers.map(blockerMessage)).toEqual([
+      "Unknown template token {prodcut}",
+      "Date: Use YYYYMM, e.g. 202511",
+      '{prodcut}_MAIN.jpg: Contains "{", "}"',
+    ]);
+    expect(blockers[0].product).toBeNull();
+  });
+
+  it("catches collisions only the template causes", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{product}.{ext}", duplicates: "block" };
+    const p = product({ product: "Kit" }, [item("a.jpg"), item("b.jpg")]);
+    expect(exportBlockers([p], naming).map((b) => b.kind)).toEqual(["name"]);
+    expect(exportBlockers([p], { ...DEFAULT_NAMING, duplicates: "block" })).toEqual([]);
+  });
+
+  it("leaves collisions to the caller unless duplicates is block", () => {
+    const p = product({ product: "Kit" }, [item("a.jpg"), item("b.jpg")]);
+    expect(exportBlockers([p], { ...DEFAULT_NAMING, template: "{product}.{ext}", duplicates: "ask" })).toEqual([]);
+    expect(exportBlockers([p], { ...DEFAULT_NAMING, template: "{product}.{ext}", duplicates: "auto" })).toEqual([]);
+  });
+
+  it("catches collisions between an override and a template name", () => {
+    const p = product({ product: "Kit" }, [item("a.jpg"), { ...item("b.jpg"), nameOverride: "kit_202511_main" }]);
+    expect(exportBlockers([p], { ...DEFAULT_NAMING, duplicates: "block" }).map((b) => b.detail)).toEqual([
+      "KIT_202511_MAIN.jpg",
+      "kit_202511_main.jpg",
+    ]);
+  });
+
+  it("accounts for converted extensions", () => {
+    const naming = { ...DEFAULT_NAMING, template: "{origName}.{ext}", duplicates: "block" };
+    const p = product({ product: "Kit" }, [item("a.png"), item("a.jpg")]);
+    expect(exportBlockers([p], naming)).toEqual([]);
+    expect(exportBlockers([p], naming, () => "jpg").map((b) => b.detail)).toEqual(["A.jpg"]);
+  });
+});
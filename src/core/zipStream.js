@@ -0,0 +1,174 @@
+// ---------------- Streaming ZIP writer ----------------
+// Writes an archive entry by entry without holding it in memory: each file is read
+// as a stream, CRC'd (and deflated) on the way through, and its sizes follow in a
+// data descriptor. No ZIP64, so archives stop at 4 GB / 65535 entries; both limits
+// are checked before an entry is written, so nothing goes out that cannot be finished.
+
+export const ZIP_COMPRESSION = ["store", "deflate"];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// CRC-32 of `bytes`, continuing from a previous `crc`
+export function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+const MAX_32 = 0xffffffff;
+const FLAGS = 0x0808; // sizes in a data descriptor, UTF-8 names
+
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Little-endian record built from [bytes, value] pairs
+function record(fields, tail = new Uint8Array(0)) {
+  const size = fields.reduce((n, [bytes]) => n + bytes, 0);
+  const out = new Uint8Array(size + tail.length);
+  const view = new DataView(out.buffer);
+  let at = 0;
+  fields.forEach(([bytes, value]) => {
+    if (bytes === 2) view.setUint16(at, value, true);
+    else view.setUint32(at, value, true);
+    at += bytes;
+  });
+  out.set(tail, size);
+  return out;
+}
+
+const TOO_LARGE = "ZIP would be larger than 4 GB; export fewer files at a time";
+
+// Upper bound for raw deflate output: incompressible data goes in stored blocks with a
+// 5-byte header each, budgeted here as 16 KB blocks though zlib writes larger ones
+const deflateBound = (size) => size + Math.ceil(size / 16384) * 5 + 5;
+
+const isStream = (source) => typeof source?.getReader === "function";
+const toStream = (source) => (isStream(source) ? source : new Blob([source]).stream());
+
+async function pump(stream, onChunk) {
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    await onChunk(value);
+  }
+}
+
+function deflateSupported() {
+  try {
+    new CompressionStream("deflate-raw");
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// `write(chunk)` receives the archive bytes in order and may return a promise; it
+// may keep (or transfer) the chunk. Falls back to STORE where the platform has no
+// raw deflate. Returns {add, finish, compression}.
+export function createZipWriter(write, { compression = "store", date = new Date() } = {}) {
+  const method = compression === "deflate" && deflateSupported() ? 8 : 0;
+  const stamp = dosDateTime(date);
+  const entries = [];
+  let offset = 0;
+  let directorySize = 22; // central directory records so far plus the end record
+
+  const emit = async (chunk) => {
+    offset += chunk.length;
+    await write(chunk);
+  };
+
+  return {
+    compression: method === 8 ? "deflate" : "store",
+
+    // `source` is a ReadableStream (e.g. blob.stream()), bytes or a string; give a
+    // stream's `size` so the 4 GB limit is checked before anything is written.
+    // `onProgress(bytesRead)` follows the uncompressed input.
+    async add(name, source, { onProgress, size: expected = isStream(source) ? null : new Blob([source]).size } = {}) {
+      if (entries.length >= 0xffff) throw new Error("Too many files for one ZIP (65535)");
+      const nameBytes = new TextEncoder().encode(name);
+      if (expected != null) {
+        const stored = method === 8 ? deflateBound(expected) : expected;
+        const end = offset + 30 + nameBytes.length + stored + 16 + directorySize + 46 + nameBytes.length;
+        if (expected > MAX_32 || end > MAX_32) throw new Error(TOO_LARGE);
+      }
+      const headerOffset = offset;
+      await emit(
+        record(
+          [[4, 0x04034b50], [2, 20], [2, FLAGS], [2, method], [2, stamp.time], [2, stamp.date], [4, 0], [4, 0], [4, 0], [2, nameBytes.length], [2, 0]],
+          nameBytes
+        )
+      );
+
+      let crc = 0;
+      let size = 0;
+      let compressed = 0;
+      const take = (chunk) => {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        onProgress?.(size);
+      };
+      if (method === 8) {
+        const deflate = new CompressionStream("deflate-raw");
+        const input = deflate.writable.getWriter();
+        const feeding = pump(toStream(source), async (chunk) => {
+          take(chunk);
+          await input.write(chunk);
+        }).then(
+          () => input.close(),
+          (e) => {
+            input.abort(e).catch(() => {});
+            throw e;
+          }
+        );
+        await Promise.all([
+          feeding,
+          pump(deflate.readable, async (chunk) => {
+            compressed += chunk.length;
+            await emit(chunk);
+          }),
+        ]);
+      } else {
+        await pump(toStream(source), async (chunk) => {
+          take(chunk);
+          compressed += chunk.length;
+          await emit(chunk);
+        });
+      }
+
+      // Only reached when the size was unknown or wrong; the sink has to be discarded
+      if (size > MAX_32 || offset > MAX_32) throw new Error(TOO_LARGE);
+      await emit(record([[4, 0x08074b50], [4, crc], [4, compressed], [4, size]]));
+      entries.push({ nameBytes, crc, size, compressed, headerOffset });
+      directorySize += 46 + nameBytes.length;
+    },
+
+    // Central directory and end record; resolves to the archive size in bytes
+    async finish() {
+      const start = offset;
+      for (const e of entries) {
+        await emit(
+          record(
+            [
+              [4, 0x02014b50], [2, 20], [2, 20], [2, FLAGS], [2, method], [2, stamp.time], [2, stamp.date],
+              [4, e.crc], [4, e.compressed], [4, e.size], [2, e.nameBytes.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, e.headerOffset],
+            ],
+            e.nameBytes
+          )
+        );
+      }
+      if (offset > MAX_32) throw new Error(TOO_LARGE);
+      await emit(record([[4, 0x06054b50], [2, 0], [2, 0], [2, entries.length], [2, entries.length], [4, offset - start], [4, start], [2, 0]]));
+      return offset;
+    },
+  };
+}
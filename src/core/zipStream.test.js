@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import JSZip from "jszip";
+import { createZipWriter, crc32 } from "./zipStream.js";
+
+async function archive(files, options) {
+  const chunks = [];
+  const writer = createZipWriter((chunk) => chunks.push(chunk), options);
+  for (const [name, source] of files) await writer.add(name, source);
+  const size = await writer.finish();
+  const bytes = new Uint8Array(await new Blob(chunks).arrayBuffer());
+  expect(bytes.length).toBe(size);
+  return { bytes, writer };
+}
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+  });
+
+  it("continues across chunks", () => {
+    const enc = new TextEncoder();
+    expect(crc32(enc.encode("6789"), crc32(enc.encode("12345")))).toBe(0xcbf43926);
+  });
+});
+
+describe("createZipWriter", () => {
+  it("writes an archive other tools can read", async () => {
+    const { bytes } = await archive([
+      ["KIT/KIT_MAIN.jpg", new Uint8Array([1, 2, 3])],
+      ["manifest.csv", "a,b\r\n"],
+      ["ÜBER.txt", new Blob(["x".repeat(1000)]).stream()],
+    ]);
+    const zip = await JSZip.loadAsync(bytes);
+    expect(Object.keys(zip.files)).toEqual(["KIT/KIT_MAIN.jpg", "manifest.csv", "ÜBER.txt"]);
+    expect([...(await zip.file("KIT/KIT_MAIN.jpg").async("uint8array"))]).toEqual([1, 2, 3]);
+    expect(await zip.file("ÜBER.txt").async("string")).toBe("x".repeat(1000));
+  });
+
+  it("deflates when asked", async () => {
+    const text = "abc".repeat(5000);
+    const { bytes, writer } = await archive([["big.txt", text]], { compression: "deflate" });
+    expect(writer.compression).toBe("deflate");
+    expect(bytes.length).toBeLessThan(1000);
+    expect(await (await JSZip.loadAsync(bytes)).file("big.txt").async("string")).toBe(text);
+  });
+
+  it("reports progress per file", async () => {
+    const seen = [];
+    const writer = createZipWriter(() => {});
+    await writer.add("a.bin", new Uint8Array(10), { onProgress: (n) => seen.push(n) });
+    expect(seen).toEqual([10]);
+  });
+
+  it("refuses an entry past 4 GB before writing any of it", async () => {
+    const chunks = [];
+    const writer = createZipWriter((chunk) => chunks.push(chunk));
+    await writer.add("a.txt", "small");
+    const written = chunks.length;
+    await expect(writer.add("huge.bin", new Blob(["x"]).stream(), { size: 2 ** 32 })).rejects.toThrow("4 GB");
+    await expect(writer.add("edge.bin", new Blob(["x"]).stream(), { size: 2 ** 32 - 100 })).rejects.toThrow("4 GB");
+    expect(chunks).toHaveLength(written);
+  });
+
+  it("passes source errors through", async () => {
+    const failing = new ReadableStream({ pull: (controller) => controller.error(new Error("read failed")) });
+    await expect(createZipWriter(() => {}, { compression: "deflate" }).add("x", failing)).rejects.toThrow("read failed");
+  });
+});
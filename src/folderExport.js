@@ -0,0 +1,115 @@
+import { resolveConflict } from "./core/packaging";
+
+// ---------------- Save to folder ----------------
+// Writes renamed files straight into a folder picked with the File System Access API
+// (Chromium). Elsewhere the app falls back to individual anchor downloads.
+
+export const folderExportSupported = () => typeof window !== "undefined" && typeof window.showDirectoryPicker === "function";
+
+export const DEFAULT_FOLDER_EXPORT = {
+  subfolders: false, // one subfolder per product
+  conflict: "rename", // see CONFLICT_POLICIES
+};
+
+// Ask for the destination once per export; the browser reopens the last one picked.
+// Rejects with AbortError when the dialog is dismissed.
+export const pickFolder = () => window.showDirectoryPicker({ id: "amazon-image-renamer-export", mode: "readwrite" });
+
+// Names of the files already in a directory, as they are on disk
+async function fileNames(dir) {
+  const names = new Set();
+  for await (const entry of dir.values()) if (entry.kind === "file") names.add(entry.name);
+  return names;
+}
+
+// Write `targets` (from exportTargets; their `folder` becomes a subfolder) into `root`.
+// `render(p, slot)` resolves to {name, blob, error?}. `onUpdate(job)` gets the same
+// snapshots as exportZip, with per-file status "waiting" | "rendering" | "writing" |
+// "done" | "skipped" | "failed". Resolves to {outputs, failed, skipped, renamed};
+// rejects with AbortError once `signal` fires (files written so far stay).
+export async function saveToFolder(root, targets, { render, conflict = "rename", signal, onUpdate = () => {} }) {
+  const files = targets.map((t) => ({ path: t.path, status: "waiting", note: "" }));
+  const job = { files, done: 0, total: targets.length, fraction: 0 };
+  const update = () => onUpdate({ ...job, files: [...files] });
+  const setFile = (i, patch) => {
+    files[i] = { ...files[i], ...patch };
+    update();
+  };
+  const checkAbort = () => {
+    if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+  };
+
+  // Directory handle and its existing file names per subfolder ("" is the root)
+  const folders = new Map();
+  const openFolder = async (folder) => {
+    if (!folders.has(folder)) {
+      const dir = folder ? await root.getDirectoryHandle(folder, { create: true }) : root;
+      folders.set(folder, { dir, existing: await fileNames(dir) });
+    }
+    return folders.get(folder);
+  };
+
+  // Never rejects: a failed render is reported on its file and skipped
+  const renderOne = async (i) => {
+    setFile(i, { status: "rendering" });
+    const { product: p, slot } = targets[i];
+    try {
+      return await render(p, slot);
+    } catch (e) {
+      console.error(e);
+      return { failure: e?.message || String(e) };
+    }
+  };
+
+  const outputs = [];
+  let next = targets.length ? renderOne(0) : null;
+  for (let i = 0; i < targets.length; i++) {
+    const out = await next;
+    checkAbort();
+    next = i + 1 < targets.length ? renderOne(i + 1) : null;
+    const { product: p, slot, folder } = targets[i];
+    if (out.failure) {
+      setFile(i, { status: "failed", note: out.failure });
+    } else {
+      try {
+        const { dir, existing } = await openFolder(folder);
+        const { name, action, replaces } = resolveConflict(out.name, existing, conflict);
+        const path = folder ? `${folder}/${name}` : name;
+        if (action === "skip") {
+          setFile(i, { path, status: "skipped", note: "A file with this name already exists" });
+        } else {
+          setFile(i, { path, status: "writing" });
+          // A case variant would be the same file on case-insensitive disks; remove it everywhere
+          if (replaces) {
+            await dir.removeEntry(replaces);
+            existing.delete(replaces);
+          }
+          const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+          await writable.write(out.blob);
+          await writable.close();
+          existing.add(name);
+          outputs.push({ ...out, name, product: p, slot, folder });
+          const notes = [
+            action === "rename" && `Renamed from ${out.name}`,
+            action === "overwrite" && (replaces ? `Replaced ${replaces}` : "Replaced the existing file"),
+            out.error && "Could not be processed; saved unchanged",
+          ].filter(Boolean);
+          setFile(i, { status: "done", note: notes.join("; ") });
+        }
+      } catch (e) {
+        console.error(e);
+        setFile(i, { status: "failed", note: e?.message || String(e) });
+      }
+    }
+    job.done++;
+    job.fraction = job.done / job.total;
+    update();
+  }
+  checkAbort();
+  return {
+    outputs,
+    failed: files.filter((f) => f.status === "failed"),
+    skipped: files.filter((f) => f.status === "skipped"),
+    renamed: files.filter((f) => f.note.startsWith("Renamed")),
+  };
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { exportTargets } from "./core/packaging.js";
+import { saveToFolder } from "./folderExport.js";
+import { product } from "./test/fixtures.js";
+
+// In-memory stand-in for a FileSystemDirectoryHandle: {name → Blob | directory}
+function fakeDir(name = "out", entries = {}) {
+  const dir = {
+    name,
+    kind: "directory",
+    entries,
+    async *values() {
+      for (const [key, value] of Object.entries(entries)) yield value.kind === "directory" ? value : { kind: "file", name: key };
+    },
+    async getDirectoryHandle(sub, { create } = {}) {
+      if (!entries[sub] && create) entries[sub] = fakeDir(sub);
+      return entries[sub];
+    },
+    async removeEntry(file) {
+      delete entries[file];
+    },
+    async getFileHandle(file) {
+      return {
+        createWritable: async () => {
+          let data;
+          return { write: async (blob) => { data = blob; }, close: async () => { entries[file] = data; } };
+        },
+      };
+    },
+  };
+  return dir;
+}
+
+const render = async (p, slot) => ({ name: slot.name, blob: slot.item.file });
+
+describe("saveToFolder", () => {
+  it("writes into per-product subfolders", async () => {
+    const root = fakeDir();
+    const targets = exportTargets([product({ product: "Kit" }, ["a.jpg"]), product({ product: "Cap" }, ["b.jpg"])], { folders: true });
+    const { outputs } = await saveToFolder(root, targets, { render });
+    expect(outputs.map((o) => `${o.folder}/${o.name}`)).toEqual(["KIT/KIT_202511_MAIN.jpg", "CAP/CAP_202511_MAIN.jpg"]);
+    expect(await root.entries.KIT.entries["KIT_202511_MAIN.jpg"].text()).toBe("a.jpg");
+  });
+
+  it("renames, skips or overwrites existing files", async () => {
+    const targets = exportTargets([product({ product: "Kit" }, ["a.jpg"])]);
+    const existing = () => ({ "kit_202511_main.jpg": new Blob(["old"]) });
+
+    const renamed = fakeDir("out", existing());
+    const result = await saveToFolder(renamed, targets, { render });
+    expect(result.renamed.map((f) => f.path)).toEqual(["KIT_202511_MAIN_2.jpg"]);
+    expect(Object.keys(renamed.entries)).toContain("KIT_202511_MAIN_2.jpg");
+
+    const skipped = fakeDir("out", existing());
+    expect((await saveToFolder(skipped, targets, { render, conflict: "skip" })).skipped).toHaveLength(1);
+    expect(Object.keys(skipped.entries)).toEqual(["kit_202511_main.jpg"]);
+
+    const overwritten = fakeDir("out", { "KIT_202511_MAIN.jpg": new Blob(["old"]) });
+    const updates = [];
+    await saveToFolder(overwritten, targets, { render, conflict: "overwrite", onUpdate: (job) => updates.push(job) });
+    expect(updates[updates.length - 1].files[0]).toMatchObject({ status: "done", note: "Replaced the existing file" });
+    expect(await overwritten.entries["KIT_202511_MAIN.jpg"].text()).toBe("a.jpg");
+
+    // A name differing only in case is the same file on case-insensitive filesystems
+    const variant = fakeDir("out", existing());
+    const notes = [];
+    await saveToFolder(variant, targets, { render, conflict: "overwrite", onUpdate: (job) => notes.push(job.files[0].note) });
+    expect(Object.keys(variant.entries)).toEqual(["KIT_202511_MAIN.jpg"]);
+    expect(await variant.entries["KIT_202511_MAIN.jpg"].text()).toBe("a.jpg");
+    expect(notes[notes.length - 1]).toBe("Replaced kit_202511_main.jpg");
+  });
+
+  it("stops between files when cancelled", async () => {
+    const controller = new AbortController();
+    const targets = exportTargets([product({ product: "Kit" }, ["a.jpg", "b.jpg"])]);
+    const cancelling = async (p, slot) => {
+      controller.abort();
+      return render(p, slot);
+    };
+    await expect(saveToFolder(fakeDir(), targets, { render: cancelling, signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
@@ -0,0 +1,147 @@
+import { editLayout, isEdited } from "./core/edits";
+
+// ---------------- Export image processing ----------------
+// Runs inside the image worker (OffscreenCanvas) and, as a fallback, on the
+// main thread with a regular <canvas>. No React or DOM state in here.
+export const DEFAULT_PROCESSING = {
+  enabled: false,
+  size: 2000, // fit into size×size; 0 keeps the original dimensions
+  upscale: false,
+  pad: "main", // "off" | "main" | "all": pad to a white square
+  flatten: true, // composite transparency onto white
+  format: "jpeg", // "jpeg" | "keep"
+  quality: 0.9,
+  maxMB: 10, // 0 disables the size cap
+};
+
+// Re-encode with the EXIF orientation applied and nothing else changed
+export const UPRIGHT_ONLY = { enabled: true, size: 0, upscale: false, pad: "off", flatten: false, format: "keep", quality: 0.95, maxMB: 0 };
+
+// Small upright JPEG for grid previews
+export const THUMBNAIL = { enabled: true, size: 480, upscale: false, pad: "off", flatten: true, format: "jpeg", quality: 0.8, maxMB: 0 };
+
+// Working copy for the crop/rotate editor; keeps transparency for the trim scan
+export const EDITOR_PREVIEW = { enabled: true, size: 1200, upscale: false, pad: "off", flatten: false, format: "keep", quality: 0.9, maxMB: 0 };
+
+const ENCODABLE = ["image/jpeg", "image/png", "image/webp"];
+const EXT_FOR_MIME = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+
+// MIME type the pipeline will write for a file
+export function outputMime(options, file) {
+  if (options.format === "jpeg") return "image/jpeg";
+  return ENCODABLE.includes(file?.type) ? file.type : "image/png";
+}
+
+// Extension of the processed file, or null when processing is off
+export function processedExtension(options, file) {
+  return options?.enabled ? EXT_FOR_MIME[outputMime(options, file)] : null;
+}
+
+export const shouldPad = (options, type) => options.pad === "all" || (options.pad === "main" && type === "MAIN");
+
+// How a slot of `type` is written: {mime, pad, flatten}. JPEG has no alpha channel and
+// padding is always white, so both flatten.
+export function outputPlan(options, file, type) {
+  const mime = outputMime(options, file);
+  const pad = shouldPad(options, type);
+  return { mime, pad, flatten: !!(options.flatten || pad || mime === "image/jpeg") };
+}
+
+// Output canvas size and where the image is drawn inside it
+export function computeLayout(width, height, { size, upscale, pad }) {
+  const target = Number(size) || 0;
+  const scale = target ? Math.min(target / width, target / height, upscale ? Infinity : 1) : 1;
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  if (!pad) return { canvasWidth: w, canvasHeight: h, x: 0, y: 0, width: w, height: h };
+  const side = Math.max(w, h);
+  return { canvasWidth: side, canvasHeight: side, x: Math.round((side - w) / 2), y: Math.round((side - h) / 2), width: w, height: h };
+}
+
+// Decode with the EXIF orientation applied; engines that predate the option reject it
+export async function decodeUpright(file) {
+  try {
+    return await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch (_) {
+    return await createImageBitmap(file);
+  }
+}
+
+function makeCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function encode(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === "function") return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("encode failed"))), type, quality)
+  );
+}
+
+function render(bitmap, layout, flatten) {
+  const canvas = makeCanvas(layout.canvasWidth, layout.canvasHeight);
+  const ctx = canvas.getContext("2d");
+  if (flatten) {
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, layout.canvasWidth, layout.canvasHeight);
+  }
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, layout.x, layout.y, layout.width, layout.height);
+  return canvas;
+}
+
+// Draw an upright image with the editor's flips, rotation, crop and padding (core/edits)
+export function renderEdit(source, edit) {
+  const layout = editLayout(source.width, source.height, edit);
+  const frame = makeCanvas(layout.frameWidth, layout.frameHeight);
+  const fctx = frame.getContext("2d");
+  fctx.translate(layout.frameWidth / 2, layout.frameHeight / 2);
+  fctx.rotate((edit.rotate * Math.PI) / 180);
+  fctx.scale(edit.flipH ? -1 : 1, edit.flipV ? -1 : 1);
+  fctx.drawImage(source, -source.width / 2, -source.height / 2);
+
+  const canvas = makeCanvas(layout.canvasWidth, layout.canvasHeight);
+  const ctx = canvas.getContext("2d");
+  if (edit.fill > 0) {
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, layout.canvasWidth, layout.canvasHeight);
+  }
+  const { crop } = layout;
+  ctx.drawImage(frame, crop.x, crop.y, crop.width, crop.height, layout.x, layout.y, crop.width, crop.height);
+  return canvas;
+}
+
+// Process one image. `type` is the slot's Amazon type (padding may apply to MAIN only);
+// `edit` holds the slot's crop/rotate parameters, applied before everything else.
+// Resolves to a Blob; rejects if the browser cannot decode the source.
+export async function processImage(file, options, type, edit = null) {
+  const decoded = await decodeUpright(file);
+  const bitmap = isEdited(edit) ? renderEdit(decoded, edit) : decoded;
+  try {
+    const { mime, pad, flatten } = outputPlan(options, file, type);
+    const lossy = mime !== "image/png";
+    const maxBytes = (Number(options.maxMB) || 0) * 1024 * 1024;
+
+    let layout = computeLayout(bitmap.width, bitmap.height, { ...options, pad });
+    let quality = Number(options.quality) || 0.9;
+    let blob = await encode(render(bitmap, layout, flatten), mime, quality);
+
+    // Cap the file size: lower quality first, then shrink the pixels
+    for (let attempt = 0; maxBytes && blob.size > maxBytes && attempt < 12; attempt++) {
+      if (lossy && quality > 0.5) {
+        quality = Math.max(0.5, quality - 0.1);
+      } else {
+        const shrink = { size: Math.round(Math.max(layout.canvasWidth, layout.canvasHeight) * 0.85), upscale: false, pad };
+        layout = computeLayout(bitmap.width, bitmap.height, shrink);
+      }
+      blob = await encode(render(bitmap, layout, flatten), mime, quality);
+    }
+    return blob;
+  } finally {
+    decoded.close?.();
+  }
+}
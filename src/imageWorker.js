@@ -0,0 +1,12 @@
+import { processImage } from "./imageProcessing";
+
+// Export processing off the main thread: {id, file, options, type, edit} → {id, blob} or {id, error}
+self.onmessage = async ({ data }) => {
+  const { id, file, options, type, edit } = data;
+  try {
+    const blob = await processImage(file, options, type, edit);
+    self.postMessage({ id, blob });
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
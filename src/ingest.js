@@ -0,0 +1,187 @@
+import JSZip from "jszip";
+import { IMAGE_EXT_RE } from "./core/naming.js";
+
+// ---------------- Drop / pick ingestion ----------------
+// Everything dropped or picked is flattened to [{file, path}] (folders walked,
+// ZIPs unpacked) and then split into images and skipped files with a reason.
+const ZIP_RE = /\.zip$/i;
+const MIME_FOR_EXT = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+  webp: "image/webp",
+};
+
+export const isImageFile = (f) => !!f && ((f.type && f.type.startsWith("image/")) || IMAGE_EXT_RE.test(f.name || ""));
+export const isZipFile = (f) => !!f && (ZIP_RE.test(f.name || "") || f.type === "application/zip" || f.type === "application/x-zip-compressed");
+// Finder/Explorer litter; skipped and listed in the report
+const isJunk = (path) => /(^|\/)(__MACOSX|\.[^/]*|Thumbs\.db|desktop\.ini)(\/|$)/i.test(path);
+
+const baseName = (path) => path.split("/").pop();
+const mimeFor = (name) => MIME_FOR_EXT[(/\.([^.]+)$/.exec(name)?.[1] || "").toLowerCase()] || "";
+
+function readAllEntries(reader) {
+  // readEntries returns results in batches; keep reading until it comes back empty
+  return new Promise((resolve, reject) => {
+    const all = [];
+    const next = () => reader.readEntries((batch) => {
+      if (!batch.length) return resolve(all);
+      all.push(...batch);
+      next();
+    }, reject);
+    next();
+  });
+}
+
+async function walkEntry(entry, prefix = "") {
+  const path = `${prefix}${entry.name}`;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path }];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map((child) => walkEntry(child, `${path}/`)));
+    return nested.flat();
+  }
+  return [];
+}
+
+// Files, or links/images dragged from another tab; text dragged around the page doesn't count
+export const isExternalDrag = (dataTransfer) => {
+  const types = Array.from(dataTransfer?.types || []);
+  return types.includes("Files") || types.includes("text/uri-list");
+};
+
+// Image URLs in a drop without files: <img> sources from the HTML flavour (so dragging a
+// linked image takes the image, not the link), else the uri-list. http(s) and data: only.
+export function droppedUrls(dataTransfer) {
+  const html = dataTransfer?.getData?.("text/html") || "";
+  const fromHtml = [...html.matchAll(/<img\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi)].map((m) => m[1].replace(/&amp;/g, "&"));
+  const fromList = (dataTransfer?.getData?.("text/uri-list") || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  return [...new Set(fromHtml.length ? fromHtml : fromList)].filter((url) => /^(https?:|data:image\/)/i.test(url));
+}
+
+// File name for a downloaded image: the last path segment, with an extension for its type
+export function urlFileName(url, type = "") {
+  let name = "";
+  if (!/^data:/i.test(url)) {
+    try {
+      name = decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+    } catch (_) {}
+  }
+  if (IMAGE_EXT_RE.test(name)) return name;
+  const ext = Object.keys(MIME_FOR_EXT).find((e) => MIME_FOR_EXT[e] === type) || "jpg";
+  return `${name.replace(/\.[^.]*$/, "") || "image"}.${ext}`;
+}
+
+// Download a dropped image URL as {file, path}, or {path, error} when the site refuses
+// (most don't send CORS headers) or it isn't an image
+export async function fetchDroppedUrl(url) {
+  const label = /^data:/i.test(url) ? "Dropped image" : url;
+  let blob;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    blob = await res.blob();
+  } catch (_) {
+    return { path: label, error: "Could not download (the site may not allow it); save the image and drop the file instead" };
+  }
+  // Some servers label images as a generic download; trust the extension then
+  const declared = blob.type.split(";")[0];
+  if (declared && !declared.startsWith("image/") && declared !== "application/octet-stream") {
+    return { path: label, error: `Not an image (${declared})` };
+  }
+  const name = urlFileName(url, declared);
+  return { file: new File([blob], name, { type: declared.startsWith("image/") ? declared : mimeFor(name) }), path: name };
+}
+
+// Snapshot a drop's entries synchronously (DataTransfer is emptied once the handler yields),
+// then resolve to [{file, path}] with directories walked recursively. Drops without files
+// (images from another tab) download their URLs instead.
+export function collectDropped(dataTransfer) {
+  const items = Array.from(dataTransfer?.items || []).filter((it) => it.kind === "file");
+  if (!items.length && !dataTransfer?.files?.length) {
+    return Promise.all(droppedUrls(dataTransfer).map(fetchDroppedUrl));
+  }
+  const entries = items.map((it) => (typeof it.webkitGetAsEntry === "function" ? it.webkitGetAsEntry() : null));
+  if (entries.length && entries.every(Boolean)) {
+    return Promise.all(entries.map((entry) => walkEntry(entry))).then((lists) => lists.flat());
+  }
+  const files = Array.from(dataTransfer?.files || []);
+  return Promise.resolve(files.map((file) => ({ file, path: file.webkitRelativePath || file.name })));
+}
+
+// Files from an <input type="file">; folder pickers fill webkitRelativePath
+export const fromFileList = (list) => Array.from(list || []).map((file) => ({ file, path: file.webkitRelativePath || file.name }));
+
+// Bytes rather than Blobs in and out: JSZip reads those on every platform, Node included
+async function unpackZip(zipFile, path) {
+  const zip = await JSZip.loadAsync(await zipFile.arrayBuffer());
+  const out = [];
+  const jobs = [];
+  zip.forEach((innerPath, entry) => {
+    if (entry.dir) return;
+    jobs.push(
+      entry.async("uint8array").then((bytes) => {
+        const name = baseName(innerPath);
+        out.push({ file: new File([bytes], name, { type: mimeFor(name), lastModified: entry.date?.getTime?.() }), path: `${path}/${innerPath}` });
+      })
+    );
+  });
+  await Promise.all(jobs);
+  // JSZip order follows the archive; keep it stable by path
+  return out.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+}
+
+// Split [{file, path}] into images and skipped files, unpacking ZIP archives on the way
+export async function sortIngest(sources) {
+  const images = [];
+  const skipped = [];
+  for (const { file, path, error } of sources) {
+    if (error) {
+      skipped.push({ name: path, reason: error });
+    } else if (isJunk(path)) {
+      skipped.push({ name: path, reason: "System or hidden file" });
+    } else if (isZipFile(file)) {
+      try {
+        const inner = await unpackZip(file, path);
+        const result = await sortIngest(inner);
+        if (!result.images.length && !result.skipped.length) skipped.push({ name: path, reason: "Archive is empty" });
+        images.push(...result.images);
+        skipped.push(...result.skipped);
+      } catch (e) {
+        console.error(e);
+        skipped.push({ name: path, reason: "Could not read ZIP archive" });
+      }
+    } else if (isImageFile(file)) {
+      images.push({ file, path });
+    } else {
+      skipped.push({ name: path, reason: `Not a supported image (${file.type || "unknown type"})` });
+    }
+  }
+  return { images, skipped };
+}
+
+// Folder directly containing an ingested file ("" for loose files); "x.zip" counts as folder "x"
+export const parentFolder = (path) => {
+  const parts = String(path || "").split("/");
+  return parts.length > 1 ? parts[parts.length - 2].replace(ZIP_RE, "") : "";
+};
+
+// Group ingested images by parent folder, keeping drop order
+export function groupByFolder(images) {
+  const groups = new Map();
+  images.forEach((img) => {
+    const key = parentFolder(img.path);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(img);
+  });
+  return groups;
+}
@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from "vitest";
+import JSZip from "jszip";
+import { collectDropped, droppedUrls, groupByFolder, isExternalDrag, sortIngest, urlFileName } from "./ingest";
+
+// Minimal DataTransfer stand-in
+const transfer = (data) => ({ types: Object.keys(data), getData: (type) => data[type] || "" });
+
+// A ZIP File holding {path: content}; paths ending in "/" are folders
+async function zipFile(name, entries) {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => (path.endsWith("/") ? zip.folder(path) : zip.file(path, content)));
+  return new File([await zip.generateAsync({ type: "uint8array" })], name, { type: "application/zip" });
+}
+
+// FileSystemEntry stand-ins: a folder hands out its children two per readEntries batch
+const fileEntry = (name) => ({ name, isFile: true, file: (resolve) => resolve(new File([name], name)) });
+const dirEntry = (name, children) => ({
+  name,
+  isDirectory: true,
+  createReader: () => {
+    let at = 0;
+    return { readEntries: (resolve) => resolve(children.slice(at, (at += 2))) };
+  },
+});
+
+describe("dropped URLs", () => {
+  it("prefers image sources from the HTML over the link", () => {
+    const dt = transfer({
+      "text/uri-list": "https://shop.example/item/42",
+      "text/html": '<a href="https://shop.example/item/42"><img alt="x" src="https://img.example/a.jpg?w=1&amp;h=2"></a>',
+    });
+    expect(droppedUrls(dt)).toEqual(["https://img.example/a.jpg?w=1&h=2"]);
+  });
+
+  it("falls back to the uri-list and ignores comments and other schemes", () => {
+    const dt = transfer({ "text/uri-list": "# dragged\r\nhttps://img.example/b.png\r\nfile:///etc/passwd" });
+    expect(droppedUrls(dt)).toEqual(["https://img.example/b.png"]);
+  });
+
+  it("only counts files and links as external drags", () => {
+    expect(isExternalDrag(transfer({ Files: "" }))).toBe(true);
+    expect(isExternalDrag(transfer({ "text/uri-list": "https://x" }))).toBe(true);
+    expect(isExternalDrag(transfer({ "text/plain": "hello" }))).toBe(false);
+  });
+});
+
+describe("urlFileName", () => {
+  it("keeps image names and adds an extension otherwise", () => {
+    expect(urlFileName("https://img.example/I/71ab%20c._AC_SL1500_.jpg?x=1")).toBe("71ab c._AC_SL1500_.jpg");
+    expect(urlFileName("https://img.example/render/photo", "image/png")).toBe("photo.png");
+    expect(urlFileName("data:image/webp;base64,AAAA", "image/webp")).toBe("image.webp");
+  });
+});
+
+describe("collectDropped", () => {
+  it("walks dropped folders, reading every batch", async () => {
+    const shoot = dirEntry("Shoot", [fileEntry("1.jpg"), fileEntry("2.jpg"), fileEntry("3.jpg"), dirEntry("Alt", [fileEntry("4.png")])]);
+    const dt = { items: [{ kind: "file", webkitGetAsEntry: () => shoot }, { kind: "file", webkitGetAsEntry: () => fileEntry("loose.jpg") }] };
+    const found = await collectDropped(dt);
+    expect(found.map((f) => f.path)).toEqual(["Shoot/1.jpg", "Shoot/2.jpg", "Shoot/3.jpg", "Shoot/Alt/4.png", "loose.jpg"]);
+    expect(found[3].file.name).toBe("4.png");
+  });
+
+  it("falls back to the file list without entry support", async () => {
+    const file = new File(["x"], "a.jpg");
+    const found = await collectDropped({ items: [{ kind: "file" }], files: [file] });
+    expect(found).toEqual([{ file, path: "a.jpg" }]);
+  });
+});
+
+describe("sortIngest", () => {
+  it("unpacks ZIPs with nested folders and skips junk and other files", async () => {
+    const archive = await zipFile("Launch.zip", {
+      "Kit/img_10.jpg": "10",
+      "Kit/img_2.JPG": "2",
+      "Kit/Alt/side.png": "side",
+      "Kit/empty/": null,
+      "Kit/notes.txt": "notes",
+      "Kit/.DS_Store": "",
+      "__MACOSX/Kit/._img_2.JPG": "",
+    });
+    const { images, skipped } = await sortIngest([{ file: archive, path: "Launch.zip" }]);
+    expect(images.map((i) => i.path)).toEqual(["Launch.zip/Kit/Alt/side.png", "Launch.zip/Kit/img_2.JPG", "Launch.zip/Kit/img_10.jpg"]);
+    expect(images.map((i) => [i.file.name, i.file.type])).toEqual([["side.png", "image/png"], ["img_2.JPG", "image/jpeg"], ["img_10.jpg", "image/jpeg"]]);
+    expect(await images[2].file.text()).toBe("10");
+    expect(skipped).toEqual([
+      { name: "Launch.zip/__MACOSX/Kit/._img_2.JPG", reason: "System or hidden file" },
+      { name: "Launch.zip/Kit/.DS_Store", reason: "System or hidden file" },
+      { name: "Launch.zip/Kit/notes.txt", reason: "Not a supported image (unknown type)" },
+    ]);
+    expect([...groupByFolder(images).keys()]).toEqual(["Alt", "Kit"]);
+  });
+
+  it("reports empty and unreadable archives", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const empty = await zipFile("empty.zip", { "only/": null });
+    const broken = new File(["not a zip"], "broken.zip");
+    const { images, skipped } = await sortIngest([{ file: empty, path: "empty.zip" }, { file: broken, path: "broken.zip" }]);
+    expect(images).toEqual([]);
+    expect(skipped).toEqual([
+      { name: "empty.zip", reason: "Archive is empty" },
+      { name: "broken.zip", reason: "Could not read ZIP archive" },
+    ]);
+    vi.restoreAllMocks();
+  });
+
+  it("reports sources that failed to download", async () => {
+    const { images, skipped } = await sortIngest([{ path: "https://img.example/a.jpg", error: "Could not download" }]);
+    expect(images).toEqual([]);
+    expect(skipped).toEqual([{ name: "https://img.example/a.jpg", reason: "Could not download" }]);
+  });
+});
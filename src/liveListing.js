@@ -0,0 +1,95 @@
+import { imageTypeForIndex, parseTypeCode } from "./core/slotTypes.js";
+import { typeHintFromName } from "./arrange";
+import { urlFileName } from "./ingest";
+
+// ---------------- Live listing import ----------------
+// Brings in the images currently on a listing for comparison: files named like
+// ASIN.MAIN.jpg (loose, in a folder or in a ZIP) or a pasted list of image URLs,
+// fetched through a configurable CORS proxy since image hosts rarely allow it.
+
+// B0 and eight more letters or digits, or ten digits for books (the ISBN-10)
+const ASIN_RE = /^(B0[A-Z0-9]{8}|\d{10})(?=[._\-\s])/i;
+
+// ASIN a file name starts with ("B0ABCDEFGH.PT01.jpg"), or null; other 10-character
+// prefixes ("Product123.MAIN.jpg") are not ASINs
+export const asinFromName = (name) => ASIN_RE.exec(String(name || "").split("/").pop())?.[1].toUpperCase() || null;
+
+// Live slots from ingested images by the type code in their names. With an `asin`,
+// files named for another ASIN are skipped. Returns {items: [{type, file, path}], skipped}.
+export function liveFromImages(images, asin = "") {
+  const items = [];
+  const skipped = [];
+  const seen = new Set();
+  images.forEach(({ file, path }) => {
+    const name = path.split("/").pop();
+    const type = typeHintFromName(name);
+    const fileAsin = asinFromName(name);
+    if (!type) {
+      skipped.push({ name: path, reason: "No slot type (MAIN, PT01…) in the file name" });
+    } else if (asin && fileAsin && fileAsin !== asin.trim().toUpperCase()) {
+      skipped.push({ name: path, reason: `Belongs to ASIN ${fileAsin}` });
+    } else if (seen.has(type)) {
+      skipped.push({ name: path, reason: `Another ${type} image came first` });
+    } else {
+      seen.add(type);
+      items.push({ type, file, path });
+    }
+  });
+  return { items, skipped };
+}
+
+// One http(s) URL per line, optionally after a slot type ("PT03 https://…" or
+// "PT03,https://…"). Untyped lines take MAIN, PT01… in order, skipping typed ones.
+export function parseUrlList(text) {
+  const entries = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const m = /^(\S+?)[\s,;=]+(\S+)$/.exec(line);
+      const type = m && parseTypeCode(m[1]);
+      return type ? { type, url: m[2] } : { type: null, url: line };
+    })
+    .filter((e) => /^https?:\/\/\S+$/i.test(e.url));
+  const claimed = new Set(entries.map((e) => e.type).filter(Boolean));
+  let next = 0;
+  return entries.map((e) => {
+    if (e.type) return e;
+    while (claimed.has(imageTypeForIndex(next))) next++;
+    return { ...e, type: imageTypeForIndex(next++) };
+  });
+}
+
+// Request URL through the proxy: "{url}" in the template becomes the encoded image URL,
+// otherwise it is appended (e.g. "https://proxy.example/?url="). No proxy, no change.
+export function proxiedUrl(url, proxy = "") {
+  const template = String(proxy || "").trim();
+  if (!template) return url;
+  return template.includes("{url}") ? template.replace("{url}", encodeURIComponent(url)) : `${template}${encodeURIComponent(url)}`;
+}
+
+async function fetchLiveImage({ type, url }, proxy) {
+  try {
+    const res = await fetch(proxiedUrl(url, proxy));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const blob = await res.blob();
+    const declared = blob.type.split(";")[0];
+    if (declared && !declared.startsWith("image/") && declared !== "application/octet-stream") {
+      return { error: { name: url, reason: `Not an image (${declared})` } };
+    }
+    const name = urlFileName(url, declared);
+    return { item: { type, file: new File([blob], name, { type: declared.startsWith("image/") ? declared : "image/jpeg" }), path: url } };
+  } catch (e) {
+    const reason = proxy ? `Could not download through the proxy (${e?.message || e})` : "Could not download; the image host needs a proxy";
+    return { error: { name: url, reason } };
+  }
+}
+
+// Fetch parseUrlList entries; resolves to {items: [{type, file, path}], skipped}
+export async function fetchLiveImages(entries, proxy = "") {
+  const results = await Promise.all(entries.map((entry) => fetchLiveImage(entry, proxy)));
+  return {
+    items: results.filter((r) => r.item).map((r) => r.item),
+    skipped: results.filter((r) => r.error).map((r) => r.error),
+  };
+}
@@ -0,0 +1,74 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { asinFromName, fetchLiveImages, liveFromImages, parseUrlList, proxiedUrl } from "./liveListing";
+
+const image = (path) => ({ file: new File(["x"], path.split("/").pop(), { type: "image/jpeg" }), path });
+
+describe("liveFromImages", () => {
+  it("takes the slot type from ASIN.TYPE.jpg names", () => {
+    const { items, skipped } = liveFromImages(
+      [image("live/B0ABCDEFGH.MAIN.jpg"), image("live/B0ABCDEFGH.PT01.jpg"), image("live/B0OTHER123.PT02.jpg"), image("live/notes.jpg"), image("live/copy.MAIN.jpg")],
+      "b0abcdefgh"
+    );
+    expect(items.map((i) => i.type)).toEqual(["MAIN", "PT01"]);
+    expect(skipped.map((s) => s.reason)).toEqual([
+      "Belongs to ASIN B0OTHER123",
+      "No slot type (MAIN, PT01…) in the file name",
+      "Another MAIN image came first",
+    ]);
+    expect(asinFromName("live/B0ABCDEFGH.MAIN.jpg")).toBe("B0ABCDEFGH");
+  });
+
+  it("only reads ASIN-shaped prefixes", () => {
+    expect(asinFromName("0306406152_PT01.jpg")).toBe("0306406152");
+    expect(asinFromName("Product123.MAIN.jpg")).toBeNull();
+    expect(asinFromName("A0ABCDEFGH.MAIN.jpg")).toBeNull();
+    const { items, skipped } = liveFromImages([{ file: {}, path: "Product123.MAIN.jpg" }], "B0ABCDEFGH");
+    expect(items.map((i) => i.type)).toEqual(["MAIN"]);
+    expect(skipped).toEqual([]);
+  });
+});
+
+describe("parseUrlList", () => {
+  it("numbers untyped lines around explicitly typed ones", () => {
+    const text = "https://img.example/a.jpg\nMAIN https://img.example/m.jpg\n\nPT02,https://img.example/c.jpg\nnot a url\nhttps://img.example/b.jpg";
+    expect(parseUrlList(text)).toEqual([
+      { type: "PT01", url: "https://img.example/a.jpg" },
+      { type: "MAIN", url: "https://img.example/m.jpg" },
+      { type: "PT02", url: "https://img.example/c.jpg" },
+      { type: "PT03", url: "https://img.example/b.jpg" },
+    ]);
+  });
+});
+
+describe("proxiedUrl", () => {
+  it("fills or appends the encoded URL", () => {
+    const url = "https://img.example/a.jpg?x=1";
+    expect(proxiedUrl(url, "")).toBe(url);
+    expect(proxiedUrl(url, "https://proxy.example/fetch?u={url}&cache=1")).toBe(`https://proxy.example/fetch?u=${encodeURIComponent(url)}&cache=1`);
+    expect(proxiedUrl(url, "https://proxy.example/?")).toBe(`https://proxy.example/?${encodeURIComponent(url)}`);
+  });
+});
+
+describe("fetchLiveImages", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("keeps images and reports failures", async () => {
+    vi.stubGlobal("fetch", async (url) => {
+      if (url.includes("broken")) throw new TypeError("Failed to fetch");
+      if (url.includes("page")) return new Response("<html>", { headers: { "Content-Type": "text/html" } });
+      return new Response(new Blob(["img"], { type: "image/png" }));
+    });
+    const { items, skipped } = await fetchLiveImages(
+      [
+        { type: "MAIN", url: "https://img.example/main" },
+        { type: "PT01", url: "https://img.example/broken.jpg" },
+        { type: "PT02", url: "https://img.example/page" },
+      ],
+      "https://proxy.example/?url="
+    );
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ type: "MAIN", path: "https://img.example/main" });
+    expect(items[0].file.name).toBe("main.png");
+    expect(skipped.map((s) => s.reason)).toEqual(["Could not download through the proxy (Failed to fetch)", "Not an image (text/html)"]);
+  });
+});
@@ -0,0 +1,211 @@
+import JSZip from "jszip";
+import { parseTypeCode } from "./core/slotTypes";
+
+// ---------------- Studio manifest import ----------------
+// A manifest maps original filename → SKU/ASIN → position (MAIN, PT01…, SWCH).
+// Header names vary by studio, so columns are matched loosely.
+const HEADER_PATTERNS = {
+  filename: /^(original[ _-]?)?(file[ _-]?name|file|filename|image|original)$/i,
+  sku: /^(seller[ _-]?)?sku$/i,
+  asin: /^asin$/i,
+  position: /^(position|slot|type|variant|image[ _-]?type|code)$/i,
+};
+
+// Minimal RFC 4180 CSV parser; also accepts ";" and tab delimited exports.
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  , ",");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// "B12" → 1
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/i.exec(ref || "")?.[0].toUpperCase() || "A";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS("*", tag));
+const textOf = (node) => byTag(node, "t").map((t) => t.textContent).join("");
+
+// Read the first worksheet of an .xlsx (a zip of SpreadsheetML parts) into rows of strings.
+export async function parseXlsx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = async (path) => {
+    const part = zip.file(path);
+    return part ? new DOMParser().parseFromString(await part.async("string"), "application/xml") : null;
+  };
+
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const workbook = await xml("xl/workbook.xml");
+  const rels = await xml("xl/_rels/workbook.xml.rels");
+  const firstSheet = workbook && byTag(workbook, "sheet")[0];
+  if (firstSheet && rels) {
+    const relId = firstSheet.getAttribute("r:id") || firstSheet.getAttributeNS("http://schemas.openxmlformats.org/officeDocument/2006/relationships", "id");
+    const rel = byTag(rels, "Relationship").find((r) => r.getAttribute("Id") === relId);
+    const target = rel?.getAttribute("Target");
+    if (target) sheetPath = target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+  }
+
+  const shared = await xml("xl/sharedStrings.xml");
+  const strings = shared ? byTag(shared, "si").map(textOf) : [];
+  const sheet = await xml(sheetPath);
+  if (!sheet) throw new Error("Workbook has no readable worksheet");
+
+  return byTag(sheet, "row")
+    .map((rowNode) => {
+      const row = [];
+      byTag(rowNode, "c").forEach((c, i) => {
+        const type = c.getAttribute("t");
+        const v = byTag(c, "v")[0]?.textContent ?? "";
+        const value = type === "s" ? strings[Number(v)] ?? "" : type === "inlineStr" ? textOf(c) : v;
+        const col = c.getAttribute("r") ? columnIndex(c.getAttribute("r")) : i;
+        row[col] = value;
+      });
+      return Array.from(row, (v) => v ?? "");
+    })
+    .filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+// Preferred slot for a position code in the grid (MAIN=0, PTnn=n); null means "first free slot"
+export function slotIndexForPosition(position, slotCount) {
+  if (position === "MAIN") return 0;
+  const m = /^PT(\d+)$/.exec(position || "");
+  if (m && Number(m[1]) < slotCount) return Number(m[1]);
+  return null;
+}
+
+const baseName = (name) => String(name || "").split(/[\\/]/).pop().trim();
+
+// Turn raw rows into manifest entries using the header row
+export function rowsToEntries(rows) {
+  if (!rows.length) return { entries: [], error: "Manifest is empty" };
+  const header = rows[0].map((h) => String(h).trim());
+  const col = {};
+  Object.entries(HEADER_PATTERNS).forEach(([key, re]) => {
+    col[key] = header.findIndex((h) => re.test(h));
+  });
+  if (col.filename < 0 || col.position < 0 || (col.sku < 0 && col.asin < 0)) {
+    return { entries: [], error: "Manifest needs filename, SKU or ASIN, and position columns" };
+  }
+  const entries = rows.slice(1).map((r, i) => ({
+    line: i + 2,
+    filename: baseName(r[col.filename]),
+    sku: col.sku >= 0 ? String(r[col.sku] || "").trim() : "",
+    asin: col.asin >= 0 ? String(r[col.asin] || "").trim().toUpperCase() : "",
+    rawPosition: String(r[col.position] || "").trim(),
+    position: parseTypeCode(r[col.position]),
+  }));
+  return { entries, error: null };
+}
+
+export async function readManifest(file) {
+  const isXlsx = /\.xlsx$/i.test(file.name) || file.type === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+  const rows = isXlsx ? await parseXlsx(await file.arrayBuffer()) : parseCsv(await file.text());
+  return rowsToEntries(rows);
+}
+
+export const isManifestFile = (file) => /\.(csv|tsv|txt|xlsx)$/i.test(file?.name || "");
+
+const sameKey = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Match entries against dropped files and existing products.
+// Returns the assignments to apply plus everything worth reporting.
+// Every assignment pins its slot to the manifest's position via typeOverride; positions
+// that are already filled in an existing product are listed in report.conflicts.
+export function planManifest(entries, files, products, defaultSlotCount) {
+  const byName = new Map();
+  files.forEach((f) => {
+    const key = f.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, f);
+  });
+
+  const report = { unmatchedFiles: [], missingFiles: [], duplicates: [], conflicts: [], missingPositions: [], invalid: [] };
+  const assignments = [];
+  const usedFiles = new Set();
+  const claimed = new Map(); // "productKey|position" → entry
+  const positionsByProduct = new Map();
+
+  entries.forEach((entry) => {
+    const productKey = (entry.sku || entry.asin).toLowerCase();
+    if (!entry.filename || !productKey) {
+      report.invalid.push(`Line ${entry.line}: missing filename or SKU/ASIN`);
+      return;
+    }
+    if (!entry.position) {
+      report.invalid.push(`Line ${entry.line}: unknown position "${entry.rawPosition}"`);
+      return;
+    }
+    const file = byName.get(entry.filename.toLowerCase());
+    if (!file) {
+      report.missingFiles.push(`${entry.filename} (line ${entry.line})`);
+      return;
+    }
+    if (usedFiles.has(file)) {
+      report.duplicates.push(`${entry.filename} is assigned more than once (line ${entry.line} ignored)`);
+      return;
+    }
+    const claimKey = `${productKey}|${entry.position}`;
+    if (claimed.has(claimKey)) {
+      const first = claimed.get(claimKey);
+      report.duplicates.push(`${entry.sku || entry.asin} ${entry.position}: ${first.filename} and ${entry.filename} (line ${entry.line} ignored)`);
+      return;
+    }
+    claimed.set(claimKey, entry);
+    usedFiles.add(file);
+    if (!positionsByProduct.has(productKey)) positionsByProduct.set(productKey, { label: entry.sku || entry.asin, codes: new Set() });
+    positionsByProduct.get(productKey).codes.add(entry.position);
+
+    const existing = products.find((p) => sameKey(p.sku, entry.sku) || sameKey(p.asin, entry.asin));
+    const slotIndex = slotIndexForPosition(entry.position, existing?.files.length ?? defaultSlotCount);
+    const occupant = slotIndex != null ? existing?.files[slotIndex] : null;
+    if (occupant) report.conflicts.push(`${entry.sku || entry.asin} ${entry.position}: ${entry.filename} replaces ${occupant.file?.name || "an image"}`);
+    assignments.push({
+      productKey,
+      productId: existing?.id || null,
+      sku: entry.sku,
+      asin: entry.asin,
+      slotIndex,
+      position: entry.position,
+      file,
+      path: file.webkitRelativePath || file.name,
+    });
+  });
+
+  files.forEach((f) => { if (!usedFiles.has(f)) report.unmatchedFiles.push(f.name); });
+
+  // MAIN is required; PT images should be consecutive
+  positionsByProduct.forEach(({ label, codes }) => {
+    if (!codes.has("MAIN")) report.missingPositions.push(`${label}: MAIN`);
+    const pts = [...codes].map((c) => /^PT(\d+)$/.exec(c)).filter(Boolean).map((m) => Number(m[1]));
+    const highest = Math.max(0, ...pts);
+    for (let i = 1; i < highest; i++) {
+      if (!pts.includes(i)) report.missingPositions.push(`${label}: PT${String(i).padStart(2, "0")}`);
+    }
+  });
+
+  return { assignments, report };
+}
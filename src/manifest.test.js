@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, planManifest, rowsToEntries, slotIndexForPosition } from "./manifest";
+
+const file = (name) => ({ name });
+
+describe("parseCsv", () => {
+  it("handles quotes, escaped quotes and CRLF", () => {
+    expect(parseCsv('\uFEFFfile,sku\r\n"a, b.jpg","say ""hi"""\r\n\r\nc.jpg,X')).toEqual([
+      ["file", "sku"],
+      ["a, b.jpg", 'say "hi"'],
+      ["c.jpg", "X"],
+    ]);
+  });
+
+  it("detects semicolon and tab delimiters", () => {
+    expect(parseCsv("file;sku\na.jpg;X")).toEqual([["file", "sku"], ["a.jpg", "X"]]);
+    expect(parseCsv("file\tsku\na.jpg\tX")).toEqual([["file", "sku"], ["a.jpg", "X"]]);
+  });
+});
+
+describe("rowsToEntries", () => {
+  it("matches headers loosely and normalizes values", () => {
+    const { entries, error } = rowsToEntries([
+      ["Original File Name", "Seller SKU", "ASIN", "Image Type"],
+      ["shoot/IMG_1.jpg", " KIT-1 ", "b0abcdefgh", "pt 2"],
+    ]);
+    expect(error).toBeNull();
+    expect(entries).toEqual([{ line: 2, filename: "IMG_1.jpg", sku: "KIT-1", asin: "B0ABCDEFGH", rawPosition: "pt 2", position: "PT02" }]);
+  });
+
+  it("reports missing columns", () => {
+    expect(rowsToEntries([["file", "position"]]).error).toMatch(/SKU or ASIN/);
+    expect(rowsToEntries([]).error).toBe("Manifest is empty");
+  });
+});
+
+describe("slotIndexForPosition", () => {
+  it("maps MAIN and PT codes inside the grid only", () => {
+    expect(slotIndexForPosition("MAIN", 10)).toBe(0);
+    expect(slotIndexForPosition("PT03", 10)).toBe(3);
+    expect(slotIndexForPosition("PT12", 10)).toBeNull();
+    expect(slotIndexForPosition("SWCH", 10)).toBeNull();
+  });
+});
+
+describe("planManifest", () => {
+  const entry = (line, filename, sku, position) => ({ line, filename, sku, asin: "", rawPosition: position || "??", position });
+
+  it("assigns files and reports everything that does not fit", () => {
+    const entries = [
+      entry(2, "a.jpg", "KIT", "MAIN"),
+      entry(3, "b.jpg", "KIT", "PT02"),
+      entry(4, "c.jpg", "KIT", "PT02"),
+      entry(5, "gone.jpg", "KIT", "PT03"),
+      entry(6, "d.jpg", "CAP", null),
+    ];
+    const { assignments, report } = planManifest(entries, [file("a.jpg"), file("b.jpg"), file("c.jpg"), file("extra.jpg")], [], 10);
+    expect(assignments.map((a) => [a.file.name, a.slotIndex, a.path])).toEqual([["a.jpg", 0, "a.jpg"], ["b.jpg", 2, "b.jpg"]]);
+    expect(report.duplicates).toEqual(["KIT PT02: b.jpg and c.jpg (line 4 ignored)"]);
+    expect(report.missingFiles).toEqual(["gone.jpg (line 5)"]);
+    expect(report.unmatchedFiles).toEqual(["c.jpg", "extra.jpg"]);
+    expect(report.invalid).toEqual(['Line 6: unknown position "??"']);
+    expect(report.missingPositions).toEqual(["KIT: PT01"]);
+  });
+
+  it("targets existing products and flags slots it would replace", () => {
+    const existing = { id: "p1", sku: "kit", asin: "", files: [{ file: file("old.jpg") }, null, null] };
+    const { assignments, report } = planManifest([entry(2, "a.jpg", "KIT", "MAIN"), entry(3, "b.jpg", "KIT", "PT01")], [file("a.jpg"), file("b.jpg")], [existing], 10);
+    expect(assignments.map((a) => a.productId)).toEqual(["p1", "p1"]);
+    expect(report.conflicts).toEqual(["KIT MAIN: a.jpg replaces old.jpg"]);
+  });
+});
@@ -0,0 +1,64 @@
+import { processImage } from "./imageProcessing";
+
+// ---------------- Worker client ----------------
+// One shared worker; requests are matched to replies by id.
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const workerSupported = () => typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined";
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./imageWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return;
+    pending.delete(data.id);
+    if (data.error) job.reject(new Error(data.error));
+    else job.resolve(data.blob);
+  };
+  worker.onerror = (e) => {
+    // A crashed worker fails everything in flight; the next call starts a fresh one
+    pending.forEach((job) => job.reject(new Error(e.message || "Image worker failed")));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+function run(file, options, type, edit) {
+  if (!workerSupported()) return processImage(file, options, type, edit);
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, file, options, type, edit });
+  });
+}
+
+// Full-size decodes are memory hungry, so only a couple run at once; the rest queue
+const MAX_RUNNING = 2;
+let running = 0;
+const queue = [];
+
+function next() {
+  if (running >= MAX_RUNNING || !queue.length) return;
+  const { args, resolve, reject } = queue.shift();
+  running++;
+  run(...args)
+    .then(resolve, reject)
+    .finally(() => {
+      running--;
+      next();
+    });
+}
+
+// Process a file with the export pipeline (and the slot's edit, if any), in the worker
+// when OffscreenCanvas is available
+export function processInBackground(file, options, type, edit = null) {
+  return new Promise((resolve, reject) => {
+    queue.push({ args: [file, options, type, edit], resolve, reject });
+    next();
+  });
+}
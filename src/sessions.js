@@ -0,0 +1,147 @@
+import {
+  DEFAULT_FIELD_RULES,
+  DEFAULT_METADATA,
+  DEFAULT_NAMING,
+  MANIFEST_FORMATS,
+  REORDER_MODES,
+  ZIP_COMPRESSION,
+  validFieldRules,
+} from "./core";
+import { DEFAULT_PROCESSING } from "./imageProcessing";
+import { DEFAULT_FOLDER_EXPORT } from "./folderExport";
+
+// ---------------- IndexedDB sessions ----------------
+// Workspaces are stored with their image Files as blobs. Previews (data URLs)
+// are not stored; they are rebuilt from the blobs on restore.
+const DB_NAME = "amazon-image-renamer";
+const DB_VERSION = 2;
+const STORE = "sessions";
+// Naming profiles are app-wide rather than per session; one record holds them all
+const PROFILE_STORE = "profiles";
+const PROFILES_KEY = "profiles";
+
+// The live workspace is autosaved under a reserved id and never listed as a session
+export const AUTOSAVE_ID = "__autosave__";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      [STORE, PROFILE_STORE].forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // let a failed open be retried later
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function run(mode, fn, storeName = STORE) {
+  const db = await openDb();
+  return await new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Strip runtime-only fields (preview URLs, errors) from a workspace
+export function serializeWorkspace(ws) {
+  return {
+    activeId: ws.activeId,
+    naming: ws.naming,
+    processing: ws.processing,
+    metadata: ws.metadata,
+    manifest: ws.manifest,
+    compression: ws.compression,
+    folderExport: ws.folderExport,
+    reorder: ws.reorder,
+    skipDuplicates: ws.skipDuplicates,
+    liveProxy: ws.liveProxy,
+    profileId: ws.profileId,
+    fieldRules: ws.fieldRules,
+    products: ws.products.map((p) => ({
+      ...p,
+      files: p.files.map((item) => {
+        if (!item) return null;
+        const { url, error, ...rest } = item;
+        return rest;
+      }),
+    })),
+  };
+}
+
+// The settings of a stored workspace, laid over the defaults; values of the wrong
+// kind (older versions, hand-edited data) fall back to the default
+export function restoreSettings(saved) {
+  return {
+    naming: { ...DEFAULT_NAMING, ...saved.naming },
+    processing: { ...DEFAULT_PROCESSING, ...saved.processing },
+    metadata: { ...DEFAULT_METADATA, ...saved.metadata },
+    manifest: Array.isArray(saved.manifest) ? saved.manifest : MANIFEST_FORMATS,
+    compression: ZIP_COMPRESSION.includes(saved.compression) ? saved.compression : "store",
+    folderExport: { ...DEFAULT_FOLDER_EXPORT, ...saved.folderExport },
+    reorder: REORDER_MODES.includes(saved.reorder) ? saved.reorder : "swap",
+    skipDuplicates: !!saved.skipDuplicates,
+    liveProxy: typeof saved.liveProxy === "string" ? saved.liveProxy : "",
+    profileId: typeof saved.profileId === "string" ? saved.profileId : null,
+    fieldRules: { ...DEFAULT_FIELD_RULES, ...validFieldRules(saved.fieldRules) },
+  };
+}
+
+// `sessionId` lets the autosave remember which named session was open
+export async function saveSession({ id = crypto.randomUUID(), name, workspace, sessionId = null }) {
+  const data = serializeWorkspace(workspace);
+  const record = {
+    id,
+    name,
+    sessionId,
+    updatedAt: Date.now(),
+    productCount: data.products.length,
+    imageCount: data.products.reduce((n, p) => n + p.files.filter(Boolean).length, 0),
+    workspace: data,
+  };
+  await run("readwrite", (store) => store.put(record));
+  return record;
+}
+
+export const loadSession = (id) => run("readonly", (store) => store.get(id));
+
+export const deleteSession = (id) => run("readwrite", (store) => store.delete(id));
+
+// Named sessions, newest first, without their workspace payload
+export async function listSessions() {
+  const all = (await run("readonly", (store) => store.getAll())) || [];
+  return all
+    .filter((r) => r.id !== AUTOSAVE_ID)
+    .map(({ workspace, ...meta }) => meta)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function duplicateSession(id, name) {
+  const source = await loadSession(id);
+  if (!source) throw new Error("Session not found");
+  const record = { ...source, id: crypto.randomUUID(), name, updatedAt: Date.now() };
+  await run("readwrite", (store) => store.put(record));
+  return record;
+}
+
+// ---------------- Naming profiles ----------------
+// Resolves to {profiles, defaultId}; empty when nothing was saved yet
+export async function loadProfiles() {
+  const record = await run("readonly", (store) => store.get(PROFILES_KEY), PROFILE_STORE);
+  return { profiles: Array.isArray(record?.profiles) ? record.profiles : [], defaultId: record?.defaultId || null };
+}
+
+export const saveProfiles = ({ profiles, defaultId }) =>
+  run("readwrite", (store) => store.put({ id: PROFILES_KEY, profiles, defaultId }), PROFILE_STORE);
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_FIELD_RULES, DEFAULT_METADATA, DEFAULT_NAMING, MANIFEST_FORMATS } from "./core";
+import { DEFAULT_PROCESSING } from "./imageProcessing";
+import { DEFAULT_FOLDER_EXPORT } from "./folderExport";
+import { restoreSettings, serializeWorkspace } from "./sessions";
+import { product, withName } from "./test/fixtures.js";
+
+const workspace = () => ({
+  activeId: "p1",
+  naming: { ...DEFAULT_NAMING, template: "{sku}_{type}.{ext}" },
+  processing: { ...DEFAULT_PROCESSING, enabled: true, size: 2000 },
+  metadata: { ...DEFAULT_METADATA, embed: true, copyright: "© Brand" },
+  manifest: ["json"],
+  compression: "deflate",
+  folderExport: { subfolders: true, conflict: "skip" },
+  reorder: "insert",
+  skipDuplicates: true,
+  liveProxy: "https://proxy.example/?url=",
+  profileId: "brand",
+  fieldRules: { ...DEFAULT_FIELD_RULES, product: "folder", campaignCodes: ["SPRING26"], diffFromCodes: true },
+  products: [
+    product({ id: "p1", product: "Kit", diff: "SPRING26", derived: { diff: "campaign code in “Kit SPRING26/a.jpg”" } }, [
+      {
+        id: "a",
+        file: withName("a.jpg"),
+        path: "Kit SPRING26/a.jpg",
+        url: "blob:preview",
+        error: "Could not read",
+        typeOverride: "PT02",
+        nameOverride: "KIT_FRONT",
+        edit: { rotate: 90, flipH: true, crop: { x: 0.1, y: 0, w: 0.8, h: 1 } },
+      },
+      null,
+    ]),
+  ],
+});
+
+describe("serializeWorkspace", () => {
+  it("keeps everything a restore needs and drops previews and errors", () => {
+    const ws = workspace();
+    // IndexedDB stores a structured clone
+    const stored = structuredClone(serializeWorkspace(ws));
+    const [item, empty] = stored.products[0].files;
+    expect(empty).toBeNull();
+    expect(item).not.toHaveProperty("url");
+    expect(item).not.toHaveProperty("error");
+    expect(item).toMatchObject({ id: "a", path: "Kit SPRING26/a.jpg", typeOverride: "PT02", nameOverride: "KIT_FRONT", edit: ws.products[0].files[0].edit });
+    expect(item.file).toBeInstanceOf(Blob);
+    expect(stored.products[0].derived).toEqual(ws.products[0].derived);
+    expect(stored.products[0]).toMatchObject({ id: "p1", product: "Kit", diff: "SPRING26" });
+    expect(stored.activeId).toBe("p1");
+  });
+});
+
+describe("restoreSettings", () => {
+  it("round-trips every setting", () => {
+    const ws = workspace();
+    const { products, activeId, ...settings } = ws;
+    expect(restoreSettings(structuredClone(serializeWorkspace(ws)))).toEqual(settings);
+  });
+
+  it("fills settings missing from older sessions with the defaults", () => {
+    expect(restoreSettings({ products: [] })).toEqual({
+      naming: DEFAULT_NAMING,
+      processing: DEFAULT_PROCESSING,
+      metadata: DEFAULT_METADATA,
+      manifest: MANIFEST_FORMATS,
+      compression: "store",
+      folderExport: DEFAULT_FOLDER_EXPORT,
+      reorder: "swap",
+      skipDuplicates: false,
+      liveProxy: "",
+      profileId: null,
+      fieldRules: DEFAULT_FIELD_RULES,
+    });
+  });
+
+  it("replaces malformed values with the defaults", () => {
+    const restored = restoreSettings({
+      manifest: "csv",
+      compression: "zstd",
+      reorder: "shuffle",
+      liveProxy: 42,
+      profileId: {},
+      fieldRules: { product: "exif", pattern: 3, campaignCodes: "SPRING", diffFromCodes: true },
+    });
+    expect(restored).toMatchObject({ manifest: MANIFEST_FORMATS, compression: "store", reorder: "swap", liveProxy: "", profileId: null });
+    expect(restored.fieldRules).toEqual({ ...DEFAULT_FIELD_RULES, diffFromCodes: true });
+  });
+});
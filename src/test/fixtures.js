@@ -0,0 +1,24 @@
+import JSZip from "jszip";
+
+// ---------------- Shared test fixtures ----------------
+// Blobs have no name; give each one the `name` a File would carry
+export const withName = (name, body) => Object.assign(new Blob([body ?? name]), { name });
+
+// A product with the given slots: a name becomes a slot holding that file, an item
+// object is used as is and null leaves the slot empty
+export const product = (fields = {}, slots = []) => ({
+  product: "",
+  sku: "",
+  asin: "",
+  date: "202511",
+  diff: "",
+  files: slots.map((slot) => (typeof slot === "string" ? { id: slot, file: withName(slot) } : slot)),
+  ...fields,
+});
+
+// Sorted file paths in a ZIP, given as a JSZip instance, a Blob or bytes
+export async function listZip(zip) {
+  const data = zip instanceof JSZip ? await zip.generateAsync({ type: "uint8array" }) : zip instanceof Blob ? await zip.arrayBuffer() : zip;
+  const reread = await JSZip.loadAsync(data);
+  return Object.keys(reread.files).filter((path) => !reread.files[path].dir).sort();
+}
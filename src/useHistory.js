@@ -0,0 +1,74 @@
+import { useCallback, useState } from "react";
+
+// Edits with the same coalesce key inside this window become one undo step (typing)
+const COALESCE_MS = 1000;
+
+// ---------------- History steps ----------------
+// Pure transitions on {past, present, future, lastKey, lastAt}, used by the hook below.
+export const emptyHistory = (present) => ({ past: [], present, future: [], lastKey: null, lastAt: 0 });
+
+// `next` becomes the present; see set() for `record` and `coalesce`
+export function applyChange(h, next, { record = true, coalesce = null, limit = 100, now = Date.now() } = {}) {
+  if (next === h.present) return h;
+  if (!record) return { ...h, present: next };
+  if (coalesce && coalesce === h.lastKey && now - h.lastAt < COALESCE_MS) {
+    return { ...h, present: next, future: [], lastAt: now };
+  }
+  return {
+    past: [...h.past, h.present].slice(-limit),
+    present: next,
+    future: [],
+    lastKey: coalesce,
+    lastAt: now,
+  };
+}
+
+export function undoStep(h) {
+  if (!h.past.length) return h;
+  return {
+    past: h.past.slice(0, -1),
+    present: h.past[h.past.length - 1],
+    future: [h.present, ...h.future],
+    lastKey: null,
+    lastAt: 0,
+  };
+}
+
+export function redoStep(h) {
+  if (!h.future.length) return h;
+  return {
+    past: [...h.past, h.present],
+    present: h.future[0],
+    future: h.future.slice(1),
+    lastKey: null,
+    lastAt: 0,
+  };
+}
+
+// useState with an undo/redo stack.
+// set(updater, {record, coalesce}): record=false changes the present without a history
+// entry (e.g. switching products); `coalesce` merges rapid edits of the same field.
+export default function useHistory(initial, { limit = 100 } = {}) {
+  const [history, setHistory] = useState(() => emptyHistory(typeof initial === "function" ? initial() : initial));
+
+  const set = useCallback((updater, { record = true, coalesce = null } = {}) => {
+    setHistory((h) => applyChange(h, typeof updater === "function" ? updater(h.present) : updater, { record, coalesce, limit }));
+  }, [limit]);
+
+  const undo = useCallback(() => setHistory(undoStep), []);
+
+  const redo = useCallback(() => setHistory(redoStep), []);
+
+  // Replace the state and forget its history (e.g. after opening a session)
+  const reset = useCallback((value) => setHistory(emptyHistory(value)), []);
+
+  return {
+    state: history.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { applyChange, emptyHistory, redoStep, undoStep } from "./useHistory";
+
+describe("history steps", () => {
+  it("undoes and redoes recorded changes", () => {
+    let h = applyChange(applyChange(emptyHistory("a"), "b"), "c");
+    h = undoStep(undoStep(h));
+    expect(h.present).toBe("a");
+    expect(h.future).toEqual(["b", "c"]);
+    h = redoStep(h);
+    expect(h.present).toBe("b");
+    expect(undoStep(emptyHistory("x"))).toEqual(emptyHistory("x"));
+    expect(redoStep(emptyHistory("x"))).toEqual(emptyHistory("x"));
+  });
+
+  it("drops the redo stack on a new change", () => {
+    const h = applyChange(undoStep(applyChange(emptyHistory("a"), "b")), "c");
+    expect(h.past).toEqual(["a"]);
+    expect(h.future).toEqual([]);
+  });
+
+  it("changes the present without an entry when not recording", () => {
+    const h = applyChange(applyChange(emptyHistory("a"), "b"), "b2", { record: false });
+    expect(h.present).toBe("b2");
+    expect(undoStep(h).present).toBe("a");
+  });
+
+  it("ignores updates that return the same state", () => {
+    const h = emptyHistory({ n: 1 });
+    expect(applyChange(h, h.present)).toBe(h);
+  });
+
+  it("coalesces rapid edits with the same key into one step", () => {
+    let h = applyChange(emptyHistory(""), "K", { coalesce: "product", now: 0 });
+    h = applyChange(h, "Ki", { coalesce: "product", now: 500 });
+    h = applyChange(h, "Kit", { coalesce: "product", now: 1200 });
+    expect(h.past).toEqual([""]);
+    // a pause, another key or an undo starts a new step
+    h = applyChange(h, "Kit!", { coalesce: "product", now: 2500 });
+    h = applyChange(h, "Kit!?", { coalesce: "date", now: 2600 });
+    expect(h.past).toEqual(["", "Kit", "Kit!"]);
+    h = applyChange(undoStep(h), "Kit!!", { coalesce: "product", now: 2700 });
+    expect(h.past).toEqual(["", "Kit", "Kit!"]);
+  });
+
+  it("keeps at most `limit` undo steps", () => {
+    let h = emptyHistory(0);
+    for (let n = 1; n <= 5; n++) h = applyChange(h, n, { limit: 3 });
+    expect(h.past).toEqual([2, 3, 4]);
+  });
+});
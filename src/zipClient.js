@@ -0,0 +1,71 @@
+import { createZipWriter } from "./core/zipStream";
+
+// ---------------- ZIP worker client ----------------
+// Starts an archive in its own worker (or on this thread without Worker support).
+// `sink(chunk)` gets the archive bytes in order and may return a promise.
+// Returns {ready, add(name, blob, onProgress), finish(), abort()}; add and finish must
+// be awaited in turn. `ready` resolves to the compression actually used.
+export function startZip({ compression, sink }) {
+  if (typeof Worker === "undefined") {
+    const writer = createZipWriter(sink, { compression });
+    let aborted = false;
+    const check = () => {
+      if (aborted) throw new Error("ZIP cancelled");
+    };
+    return {
+      ready: Promise.resolve(writer.compression),
+      add: async (name, blob, onProgress) => {
+        check();
+        await writer.add(name, blob.stream(), { onProgress, size: blob.size });
+      },
+      finish: async () => {
+        check();
+        return await writer.finish();
+      },
+      abort: () => { aborted = true; },
+    };
+  }
+
+  const worker = new Worker(new URL("./zipWorker.js", import.meta.url), { type: "module" });
+  let writes = Promise.resolve(); // sink writes, kept in order
+  let job = null; // {resolve, reject, onProgress} of the message in flight
+  const send = (message, onProgress) =>
+    new Promise((resolve, reject) => {
+      job = { resolve, reject, onProgress };
+      worker.postMessage(message);
+    });
+  const fail = (error) => {
+    job?.reject(error);
+    job = null;
+    worker.terminate();
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === "chunk") {
+      writes = writes.then(() => sink(data.chunk));
+      writes.catch(fail);
+    } else if (data.type === "progress") {
+      job?.onProgress?.(data.read);
+    } else if (data.type === "error") {
+      fail(new Error(data.error));
+    } else {
+      // started / added / done: settle once every chunk before it is written
+      const current = job;
+      job = null;
+      writes.then(() => current?.resolve(data.type === "done" ? data.size : data.compression), (e) => current?.reject(e));
+    }
+  };
+  worker.onerror = (e) => fail(new Error(e.message || "ZIP worker failed"));
+
+  const ready = send({ type: "start", compression });
+  return {
+    ready,
+    add: (name, blob, onProgress) => send({ type: "file", name, blob }, onProgress),
+    finish: async () => {
+      const size = await send({ type: "finish" });
+      worker.terminate();
+      return size;
+    },
+    abort: () => fail(new Error("ZIP cancelled")),
+  };
+}
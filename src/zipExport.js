@@ -0,0 +1,125 @@
+import { manifestEntries, manifestFiles } from "./core/exportManifest";
+import { startZip } from "./zipClient";
+
+// ---------------- Streaming ZIP export ----------------
+// Renders one slot at a time (the next one is prepared while the current one is
+// zipped) and streams the archive to disk or to a Blob, so a batch of hundreds of
+// images never sits in memory at once.
+
+// Where the archive goes: a file picked with the File System Access API when the
+// browser has it, otherwise chunks collected into a Blob. Rejects with AbortError
+// when the save dialog is dismissed.
+export async function openZipSink(zipName) {
+  if (typeof window !== "undefined" && typeof window.showSaveFilePicker === "function") {
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: zipName,
+        types: [{ description: "ZIP archive", accept: { "application/zip": [".zip"] } }],
+      });
+      const writable = await handle.createWritable();
+      return {
+        toDisk: true,
+        write: (chunk) => writable.write(chunk),
+        close: async () => {
+          await writable.close();
+          return null;
+        },
+        abort: () => writable.abort().catch(() => {}),
+      };
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      // e.g. the dialog needs a fresh click after confirm(); keep it in memory instead
+    }
+  }
+  const chunks = [];
+  return {
+    toDisk: false,
+    write: (chunk) => { chunks.push(chunk); },
+    close: async () => new Blob(chunks, { type: "application/zip" }),
+    abort: () => { chunks.length = 0; },
+  };
+}
+
+// Build the archive for `targets` (from exportTargets). `render(p, slot)` resolves to
+// {name, blob, error?}. `onUpdate(job)` gets a fresh snapshot after every change:
+// {files: [{path, status, note}], done, total, fraction, compression}. Per-file
+// status is "waiting" | "rendering" | "zipping" | "done" | "failed"; files that fail
+// to render are left out and noted. Resolves to {blob (null when written to disk),
+// outputs, failed}; rejects with AbortError once `signal` fires.
+export async function exportZip(targets, { sink, render, compression = "store", manifest = [], signal, onUpdate = () => {} }) {
+  const files = targets.map((t) => ({ path: t.path, status: "waiting", note: "" }));
+  const job = { files, done: 0, total: targets.length, fraction: 0, compression };
+  const update = () => onUpdate({ ...job, files: [...files] });
+  const setFile = (i, patch) => {
+    files[i] = { ...files[i], ...patch };
+    update();
+  };
+
+  const zip = startZip({ compression, sink: sink.write });
+  const stop = () => {
+    zip.abort();
+    sink.abort();
+  };
+  signal?.addEventListener("abort", stop);
+  const checkAbort = () => {
+    if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+  };
+
+  // Never rejects: a failed render is reported on its file and skipped
+  const renderOne = async (i) => {
+    setFile(i, { status: "rendering" });
+    const { product: p, slot } = targets[i];
+    try {
+      return await render(p, slot);
+    } catch (e) {
+      console.error(e);
+      return { failure: e?.message || String(e) };
+    }
+  };
+
+  const outputs = [];
+  const entries = [];
+  const exportedAt = new Date().toISOString();
+  try {
+    job.compression = await zip.ready;
+    update();
+    let next = targets.length ? renderOne(0) : null;
+    for (let i = 0; i < targets.length; i++) {
+      const out = await next;
+      checkAbort();
+      next = i + 1 < targets.length ? renderOne(i + 1) : null;
+      if (out.failure) {
+        setFile(i, { status: "failed", note: out.failure });
+      } else {
+        const { product: p, slot, folder } = targets[i];
+        const output = { ...out, product: p, slot, folder };
+        if (manifest.length) entries.push(...(await manifestEntries([{ ...output, data: await out.blob.arrayBuffer() }], exportedAt)));
+        // the name can change when processing fails and the original extension is kept
+        const path = folder ? `${folder}/${out.name}` : out.name;
+        setFile(i, { path, status: "zipping", note: out.error ? "Could not be processed; exported unchanged" : "" });
+        const size = out.blob.size || 1;
+        await zip.add(path, out.blob, (read) => {
+          job.fraction = (job.done + Math.min(1, read / size)) / job.total;
+          update();
+        });
+        outputs.push(output);
+      }
+      job.done++;
+      job.fraction = job.done / job.total;
+      setFile(i, { status: files[i].status === "failed" ? "failed" : "done" });
+      checkAbort();
+    }
+    if (entries.length) {
+      for (const f of manifestFiles(entries, manifest)) await zip.add(f.name, new Blob([f.content]));
+    }
+    await zip.finish();
+    checkAbort();
+    const blob = await sink.close();
+    return { blob, outputs, failed: files.filter((f) => f.status === "failed") };
+  } catch (e) {
+    stop();
+    throw signal?.aborted ? new DOMException("Export cancelled", "AbortError") : e;
+  } finally {
+    signal?.removeEventListener("abort", stop);
+  }
+}
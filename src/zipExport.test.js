@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from "vitest";
+import { exportTargets } from "./core/packaging.js";
+import { exportZip, openZipSink } from "./zipExport.js";
+import { listZip, product } from "./test/fixtures.js";
+
+// Runs on this thread: Node has no Worker global, so startZip falls back to it
+const renameOnly = async (p, slot) => ({ name: slot.name, blob: slot.item.file });
+
+describe("exportZip", () => {
+  it("streams every file and reports per-file status", async () => {
+    const updates = [];
+    const targets = exportTargets([product({ product: "Kit" }, ["a.jpg", "b.jpg"])]);
+    const { blob, outputs, failed } = await exportZip(targets, {
+      sink: await openZipSink("x.zip"),
+      render: renameOnly,
+      manifest: ["csv"],
+      onUpdate: (job) => updates.push(job),
+    });
+    expect(await listZip(blob)).toEqual(["KIT_202511_MAIN.jpg", "KIT_202511_PT01.jpg", "manifest.csv"]);
+    expect(outputs).toHaveLength(2);
+    expect(failed).toEqual([]);
+    const last = updates[updates.length - 1];
+    expect(last).toMatchObject({ done: 2, total: 2, fraction: 1 });
+    expect(last.files.map((f) => f.status)).toEqual(["done", "done"]);
+    expect(updates.some((job) => job.files[0].status === "zipping")).toBe(true);
+  });
+
+  it("leaves out files that fail to render", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const render = async (p, slot) => {
+      if (slot.index === 0) throw new Error("unreadable");
+      return renameOnly(p, slot);
+    };
+    const { blob, failed } = await exportZip(exportTargets([product({ product: "Kit" }, ["a.jpg", "b.jpg"])]), { sink: await openZipSink("x.zip"), render });
+    expect(await listZip(blob)).toEqual(["KIT_202511_PT01.jpg"]);
+    expect(failed).toEqual([{ path: "KIT_202511_MAIN.jpg", status: "failed", note: "unreadable" }]);
+    vi.restoreAllMocks();
+  });
+
+  it("aborts the sink when the archive would pass 4 GB", async () => {
+    const sink = { write: vi.fn(), close: vi.fn(), abort: vi.fn() };
+    const huge = async (p, slot) => ({ name: slot.name, blob: Object.defineProperty(new Blob(["x"]), "size", { value: 2 ** 32 }) });
+    const run = exportZip(exportTargets([product({ product: "Kit" }, ["a.jpg"])]), { sink, render: huge });
+    await expect(run).rejects.toThrow("4 GB");
+    expect(sink.write).not.toHaveBeenCalled();
+    expect(sink.abort).toHaveBeenCalled();
+    expect(sink.close).not.toHaveBeenCalled();
+  });
+
+  it("stops when cancelled", async () => {
+    const controller = new AbortController();
+    const render = async (p, slot) => {
+      controller.abort();
+      return renameOnly(p, slot);
+    };
+    const run = exportZip(exportTargets([product({ product: "Kit" }, ["a.jpg", "b.jpg"])]), { sink: await openZipSink("x.zip"), render, signal: controller.signal });
+    await expect(run).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
@@ -0,0 +1,39 @@
+import { createZipWriter } from "./core/zipStream";
+
+// Archive building off the main thread. One job at a time, messages in order:
+//   {type: "start", compression}  → {type: "started", compression}
+//   {type: "file", name, blob}    → {type: "progress", read}… {type: "added"}
+//   {type: "finish"}              → {type: "done", size}
+// Archive bytes stream back as {type: "chunk", chunk} (transferred); failures as {type: "error"}.
+const PROGRESS_STEP = 1 << 20;
+let writer = null;
+
+const sendChunk = (chunk) => {
+  const own = chunk.byteOffset === 0 && chunk.byteLength === chunk.buffer.byteLength ? chunk : chunk.slice();
+  self.postMessage({ type: "chunk", chunk: own }, [own.buffer]);
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === "start") {
+      writer = createZipWriter(sendChunk, { compression: data.compression });
+      self.postMessage({ type: "started", compression: writer.compression });
+    } else if (data.type === "file") {
+      let reported = 0;
+      await writer.add(data.name, data.blob.stream(), {
+        size: data.blob.size,
+        onProgress: (read) => {
+          if (read - reported < PROGRESS_STEP) return;
+          reported = read;
+          self.postMessage({ type: "progress", read });
+        },
+      });
+      self.postMessage({ type: "added" });
+    } else if (data.type === "finish") {
+      self.postMessage({ type: "done", size: await writer.finish() });
+      writer = null;
+    }
+  } catch (e) {
+    self.postMessage({ type: "error", error: e?.message || String(e) });
+  }
+};